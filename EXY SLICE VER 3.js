@@ -1,464 +1,772 @@
 // Import required Wonderland Engine components
-import { Component, Object3D, PhysXComponent, MeshComponent, Material, Mesh, MeshAttribute } from '@wonderlandengine/api';
+import { Component, Object3D, PhysXComponent, MeshComponent, Material, Mesh, MeshAttribute, Shape, ForceMode } from '@wonderlandengine/api';
+import { property } from '@wonderlandengine/api/decorators.js';
+import { vec3, quat } from 'gl-matrix';
+import { sliceGeometry, DEFAULT_WELD_TOLERANCE } from './js/slice-core.js';
+import { SliceWorkerClient } from './js/slice-worker-client.js';
+import { fitCollider, fitPrimitive, DEFAULT_MAX_HULL_VERTICES } from './js/collision-shapes.js';
+import { RigidBody } from './js/rigid-body.js';
+import { objectPools, ObjectPool } from './js/object-pool.js';
+import { instantiatePrefab, restoreDescendantStates, saveDescendantStates, setHierarchyActive } from './js/prefab.js';
+
+interface MeshData {
+    positions: Float32Array;
+    normals?: Float32Array;
+    tangents?: Float32Array;
+    texCoords?: Float32Array;
+    texCoords2?: Float32Array;
+    colors?: Float32Array;
+    jointIds?: Uint16Array;
+    jointWeights?: Float32Array;
+    indices: ArrayLike<number>;
+}
+
+// Engine attribute behind each optional MeshData array
+const MESH_DATA_ATTRIBUTES: [MeshAttribute, keyof MeshData][] = [
+    [MeshAttribute.Normal, 'normals'],
+    [MeshAttribute.Tangent, 'tangents'],
+    [MeshAttribute.TextureCoordinate, 'texCoords'],
+    [MeshAttribute.SecondaryTextureCoordinate, 'texCoords2'],
+    [MeshAttribute.Color, 'colors'],
+    [MeshAttribute.JointId, 'jointIds'],
+    [MeshAttribute.JointWeight, 'jointWeights']
+];
+
+const COLLIDER_SHAPES = ['convex', 'box', 'sphere', 'auto'];
+
+// Keeps tiny slivers from destabilizing the simulation
+const MIN_PIECE_MASS = 0.001;
+
+// Separation of pieces cut from objects without a sliceable-fruit
+const DEFAULT_SEPARATION_SPEED = 0.5; // m/s
+const DEFAULT_SEPARATION_SPIN = 2.0;  // rad/s per m/s of separation speed
+
+interface SliceStats {
+    sourceVertexCount: number;
+    sourceIndexCount: number;
+    // Vertex count without welding, i.e. three vertices per triangle
+    unweldedVertexCount: number;
+    upperVertexCount: number;
+    upperIndexCount: number;
+    lowerVertexCount: number;
+    lowerIndexCount: number;
+}
 
-interface SliceVertex {
-    position: number[];
-    normal?: number[];
-    texCoord?: number[];
+interface SliceResult {
+    upperHull: Object3D;
+    lowerHull: Object3D;
+    // Enclosed world space volumes of the pieces
+    upperVolume: number;
+    lowerVolume: number;
+    // Mesh-local skin vertices of the pieces, for fitting colliders
+    upperPositions: Float32Array;
+    lowerPositions: Float32Array;
+    stats: SliceStats;
 }
 
-interface ContourPoint {
-    position: number[];
-    edgeVerts: [number, number]; // Original edge vertices for ordering
+interface SliceJobData {
+    skin: MeshData;
+    cap: MeshData | null;
+    plane: { point: number[]; normal: number[] }; // Mesh-local cut plane
+    capMaterial: Material | null;
+}
+
+interface SliceRequest {
+    object: Object3D;
+    planePoint: number[];   // World space point on the cut plane
+    planeNormal: number[];  // World space cut plane normal
+    interiorMaterial: Material | null; // Cap material, falls back to materialAfterSlice
+    bladeDirection: number[];  // World space blade axis at the hit
+    swingVelocity: number[];   // World space sword velocity at the hit
+    velocity: number[];        // Linear and angular velocity of the object
+    angularVelocity: number[]; // at the hit, passed on to the pieces
 }
 
 class Slicer extends Component {
-    materialAfterSlice;
+    static TypeName = 'slicer';
+
+    static onRegister(engine) {
+        engine.registerComponent(RigidBody);
+    }
+
+    /** Default material for the exposed inside of sliced objects */
+    @property.material()
+    materialAfterSlice!: Material | null;
+
+    /** Slice in a Web Worker, so big meshes don't stall the frame */
+    @property.bool(true)
+    useWorker!: boolean;
+
+    /** Bundled slice-worker.js, relative to the page */
+    @property.string('slice-worker.js')
+    workerUrl!: string;
+
+    /** Slices running in the worker at once, further requests wait */
+    @property.int(2)
+    maxSlicesInFlight!: number;
+
+    /** Collider of the pieces. `auto` uses a box or sphere when it fits
+     * about as well as the convex hull. */
+    @(property.enum(COLLIDER_SHAPES, 'convex'))
+    colliderShape!: number;
+
+    /** Vertex budget of convex hull colliders (PhysX allows at most 255) */
+    @property.int(DEFAULT_MAX_HULL_VERTICES)
+    maxHullVertices!: number;
+
+    /** Density in kg/m³ for objects without a sliceable-fruit density */
+    @property.float(1000)
+    defaultDensity!: number;
+
+    /** Floor the pieces land on when the runtime has no PhysX */
+    @property.object()
+    floorObject!: Object3D | null;
+
+    /** Piece objects created ahead of time, each slice takes two */
+    @property.int(8)
+    hullPoolSize!: number;
+
+    /** Seconds before a piece goes back to the pool, 0 to keep pieces */
+    @property.float(10.0)
+    pieceLifetime!: number;
+
     sliceMask;
     isTouched = false;
-    slicePlaneNormal = [0, 1, 0]; // Default slice plane normal (horizontal cut)
-    slicePlanePoint = [0, 0, 0];  // Point on the slice plane
+    slicePlaneNormal = [0, 1, 0]; // World space slice plane normal (horizontal cut until a swing sets it)
+    slicePlanePoint = [0, 0, 0];  // World space point on the slice plane
+
+    // Vertices closer than this in position, normal and UV are merged
+    weldTolerance = DEFAULT_WELD_TOLERANCE;
+
+    // Plane in the mesh-local space of the object currently being sliced
+    localPlaneNormal = [0, 1, 0];
+    localPlanePoint = [0, 0, 0];
+
+    pendingSlices: SliceRequest[] = [];
+
+    sliceWorker: SliceWorkerClient | null = null;
+
+    // Piece objects, with a mesh component and a SliceCap child,
+    // instantiated from an inactive template
+    hullPool: ObjectPool | null = null;
+    hullTemplate: Object3D | null = null;
+
+    // Meshes created for each piece, freed when it goes back to the pool.
+    // Engine meshes can't be refilled with other index data, so they are
+    // destroyed, which lets the engine reuse their slots.
+    pieceMeshes = new Map<Object3D, Mesh[]>();
+    meshStats = { created: 0, freed: 0 };
+
+    // Seconds since start and when each piece is returned to the pool
+    time = 0;
+    pieceExpiry = new Map<Object3D, number>();
+
+    // Component states below objects hidden while the worker slices them
+    hiddenSources = new Map<Object3D, boolean[]>();
+
+    start() {
+        this.sliceWorker = new SliceWorkerClient(
+            this.useWorker ? this.workerUrl : null,
+            this.maxSlicesInFlight
+        );
+
+        this.hullPool = objectPools(this.engine).pool(`slice-hull:${this.object.objectId}`, {
+            name: 'slice-hull',
+            create: () => this.createHullContainer(),
+            reset: (hull) => this.resetHull(hull)
+        });
+        this.hullPool.prewarm(this.hullPoolSize);
+    }
+
+    onDestroy() {
+        // Pending jobs are rejected, which removes their hidden originals
+        if (this.sliceWorker) {
+            this.sliceWorker.terminate();
+        }
+        if (this.hullPool) {
+            this.hullPool.clear();
+        }
+        if (this.hullTemplate && !this.hullTemplate.isDestroyed) {
+            this.hullTemplate.destroy();
+        }
+    }
 
     update(dt) {
+        this.time += dt;
+        if (this.pieceLifetime > 0) {
+            for (const [piece, expiry] of this.pieceExpiry) {
+                if (expiry <= this.time) this.releaseObject(piece);
+            }
+        }
+
         if (this.isTouched) {
             this.isTouched = false;
 
             let objectsToBeSliced = this.checkForSlicableObjects();
 
-            objectsToBeSliced.forEach(objectToBeSliced => {
-                const meshComp = objectToBeSliced.getComponent(MeshComponent);
-                if (!meshComp || !meshComp.mesh) return;
-
-                const sliceResult = this.sliceMesh(objectToBeSliced, meshComp.mesh, meshComp.material);
-                
-                if (sliceResult) {
-                    const { upperHull, lowerHull } = sliceResult;
-                    
-                    this.makeItPhysical(upperHull);
-                    this.makeItPhysical(lowerHull);
-                    
-                    objectToBeSliced.destroy();
+            objectsToBeSliced.forEach(request => {
+                const worker = this.sliceWorker;
+                if (!worker || !worker.available) {
+                    this.sliceNow(request);
+                } else if (worker.canRun) {
+                    this.sliceInWorker(request, worker);
+                } else {
+                    // Too many jobs in flight, try again next frame
+                    this.pendingSlices.push(request);
+                    this.isTouched = true;
                 }
             });
         }
     }
 
-    checkForSlicableObjects(): Object3D[] {
-        let slicedObjects: Object3D[] = [];
-        // Implement raycasting or trigger zone logic here
-        return slicedObjects;
+    /**
+     * Slice on the main thread and replace the original right away
+     */
+    sliceNow(request: SliceRequest): void {
+        const { object: objectToBeSliced, planePoint, planeNormal, interiorMaterial } = request;
+        const meshComp = objectToBeSliced.getComponent(MeshComponent);
+        if (!meshComp || !meshComp.mesh) return;
+
+        this.slicePlanePoint = planePoint;
+        this.slicePlaneNormal = planeNormal;
+
+        const sliceResult = this.sliceMesh(
+            objectToBeSliced, meshComp.mesh, meshComp.material,
+            interiorMaterial || this.materialAfterSlice
+        );
+        this.finishSlice(request, sliceResult);
     }
 
     /**
-     * Slice a mesh along a plane and create two separate objects
+     * Post a slice to the worker. The original is hidden until the pieces
+     * are created, so the fruit doesn't vanish for the frames in between.
+     * If the worker fails, the slice is redone on the main thread.
      */
-    sliceMesh(originalObj: Object3D, originalMesh: Mesh, material: Material | null): { upperHull: Object3D, lowerHull: Object3D } | null {
-        const positions = originalMesh.attribute(MeshAttribute.Position);
-        const normals = originalMesh.attribute(MeshAttribute.Normal);
-        const texCoords = originalMesh.attribute(MeshAttribute.TextureCoordinate);
-        const indices = originalMesh.indexData;
-        
-        if (!positions || !indices) return null;
-
-        const worldPos = originalObj.getPositionWorld();
-        
-        // Arrays for upper and lower hulls
-        const upperVertices: SliceVertex[] = [];
-        const lowerVertices: SliceVertex[] = [];
-        const upperIndices: number[] = [];
-        const lowerIndices: number[] = [];
-        
-        // Track intersection points for cap generation
-        const upperContour: ContourPoint[] = [];
-        const lowerContour: ContourPoint[] = [];
-
-        // Process each triangle
-        for (let i = 0; i < indices.length; i += 3) {
-            const i0 = indices[i];
-            const i1 = indices[i + 1];
-            const i2 = indices[i + 2];
-
-            // Get vertex data
-            const v0 = this.getVertexData(i0, positions, normals, texCoords);
-            const v1 = this.getVertexData(i1, positions, normals, texCoords);
-            const v2 = this.getVertexData(i2, positions, normals, texCoords);
-
-            // Determine which side of the plane each vertex is on
-            const d0 = this.getSideOfPlane(v0.position, worldPos);
-            const d1 = this.getSideOfPlane(v1.position, worldPos);
-            const d2 = this.getSideOfPlane(v2.position, worldPos);
-
-            const side0 = Math.sign(d0);
-            const side1 = Math.sign(d1);
-            const side2 = Math.sign(d2);
-
-            // Count vertices on each side
-            const sidesSum = side0 + side1 + side2;
-
-            if (sidesSum === 3) {
-                // All vertices on upper side
-                this.addTriangle(upperVertices, upperIndices, v0, v1, v2);
-            } else if (sidesSum === -3) {
-                // All vertices on lower side
-                this.addTriangle(lowerVertices, lowerIndices, v0, v1, v2);
-            } else if (sidesSum === 0 && (side0 === 0 || side1 === 0 || side2 === 0)) {
-                // Triangle on the plane - add to both (optional) or upper only
-                this.addTriangle(upperVertices, upperIndices, v0, v1, v2);
-            } else {
-                // Triangle crosses the plane - needs splitting
-                this.splitTriangle(
-                    v0, v1, v2, d0, d1, d2,
-                    upperVertices, lowerVertices,
-                    upperIndices, lowerIndices,
-                    upperContour, lowerContour,
-                    i0, i1, i2
-                );
-            }
+    sliceInWorker(request: SliceRequest, worker: SliceWorkerClient): void {
+        const { object: objectToBeSliced, planePoint, planeNormal, interiorMaterial } = request;
+        const meshComp = objectToBeSliced.getComponent(MeshComponent);
+        if (!meshComp || !meshComp.mesh) return;
+
+        this.slicePlanePoint = planePoint;
+        this.slicePlaneNormal = planeNormal;
+
+        const material = meshComp.material;
+        const job = this.prepareSliceJob(
+            objectToBeSliced, meshComp.mesh, interiorMaterial || this.materialAfterSlice
+        );
+        if (!job) {
+            this.finishSlice(request, null);
+            return;
         }
 
-        // Validate we have geometry
-        if (upperVertices.length === 0 || lowerVertices.length === 0) {
-            console.warn("Slice resulted in empty mesh - slice plane may not intersect object");
-            return null;
-        }
-
-        // Generate caps for both hulls
-        this.generateCap(upperVertices, upperIndices, upperContour, true);
-        this.generateCap(lowerVertices, lowerIndices, lowerContour, false);
-
-        // Create mesh objects
-        const upperHull = this.createMeshObject(upperVertices, upperIndices, material, originalObj);
-        const lowerHull = this.createMeshObject(lowerVertices, lowerIndices, material, originalObj);
-
-        // Offset positions slightly
-        const upperPos = upperHull.getPositionWorld();
-        upperPos[1] += 0.1;
-        upperHull.setPositionWorld(upperPos);
+        this.setSliceSourceActive(objectToBeSliced, false);
+
+        worker.run({
+            skin: job.skin,
+            cap: job.cap,
+            plane: job.plane,
+            weldTolerance: this.weldTolerance
+        }).then(result => {
+            if (objectToBeSliced.isDestroyed) {
+                this.hiddenSources.delete(objectToBeSliced);
+                return;
+            }
+            if (!result) {
+                console.warn("Slice resulted in empty mesh - slice plane may not intersect object");
+            }
+            const sliceResult = result
+                ? this.createHulls(objectToBeSliced, result, material, job.capMaterial)
+                : null;
+            this.finishSlice(request, sliceResult);
+        }, error => {
+            if (objectToBeSliced.isDestroyed) {
+                this.hiddenSources.delete(objectToBeSliced);
+                return;
+            }
+            if (this.isDestroyed) {
+                objectPools(this.engine).release(objectToBeSliced);
+                return;
+            }
+            console.warn('Slicing in worker failed, slicing on the main thread:', error);
+            this.setSliceSourceActive(objectToBeSliced, true);
+            this.sliceNow(request);
+        });
+    }
 
-        const lowerPos = lowerHull.getPositionWorld();
-        lowerPos[1] -= 0.1;
-        lowerHull.setPositionWorld(lowerPos);
+    /**
+     * Make the pieces physical, push them apart, hand them to the
+     * original's sliceable component and remove the original
+     */
+    finishSlice(request: SliceRequest, sliceResult: SliceResult | null): void {
+        const objectToBeSliced = request.object;
+        if (sliceResult) {
+            const { upperHull, lowerHull, upperVolume, lowerVolume } = sliceResult;
+            const sliceable = objectToBeSliced.getComponent('sliceable-fruit') as any;
+            const density = sliceable && sliceable.density > 0 ? sliceable.density : this.defaultDensity;
+            
+            this.makeItPhysical(upperHull, sliceResult.upperPositions, upperVolume * density);
+            this.makeItPhysical(lowerHull, sliceResult.lowerPositions, lowerVolume * density);
+            this.separatePieces(request, upperHull, lowerHull, sliceable);
+
+            // Let a sliceable source pass itself on to the pieces
+            if (sliceable && typeof sliceable.onSliced === 'function') {
+                sliceable.onSliced([
+                    { object: upperHull, volume: upperVolume },
+                    { object: lowerHull, volume: lowerVolume }
+                ]);
+            }
+        }
 
-        return { upperHull, lowerHull };
+        // If the cut plane missed the mesh, the hit still removes the object
+        this.releaseObject(objectToBeSliced);
     }
 
     /**
-     * Get vertex data from mesh attributes
+     * Return a sliced object or expired piece to its pool, objects that
+     * aren't pooled are destroyed
      */
-    getVertexData(index: number, positions: any, normals: any, texCoords: any): SliceVertex {
-        const pos = positions.get(index);
-        const vertex: SliceVertex = {
-            position: [pos[0], pos[1], pos[2]]
-        };
-
-        if (normals) {
-            const norm = normals.get(index);
-            vertex.normal = [norm[0], norm[1], norm[2]];
-        }
+    releaseObject(obj: Object3D): void {
+        this.pieceExpiry.delete(obj);
+        this.hiddenSources.delete(obj);
+        objectPools(this.engine).release(obj);
+    }
 
-        if (texCoords) {
-            const uv = texCoords.get(index);
-            vertex.texCoord = [uv[0], uv[1]];
+    /**
+     * Push the pieces apart along the cut normal.
+     *
+     * Both pieces keep the object's velocity (scaled by inheritVelocity)
+     * and get a velocity change away from the cut, following the
+     * sliceable's strength curve for the swing speed. They also start
+     * spinning in opposite directions around the blade, so the cut opens
+     * up like a book.
+     */
+    separatePieces(request: SliceRequest, upperHull: Object3D, lowerHull: Object3D, sliceable: any): void {
+        const swingSpeed = vec3.length(request.swingVelocity as vec3);
+        const hasCurve = sliceable && typeof sliceable.getSeparationSpeed === 'function';
+        const speed = hasCurve ? sliceable.getSeparationSpeed(swingSpeed) : DEFAULT_SEPARATION_SPEED;
+        const spin = (hasCurve ? sliceable.separationSpin : DEFAULT_SEPARATION_SPIN) * speed;
+        const inherit = hasCurve ? sliceable.inheritVelocity : 1;
+
+        const pieces: [Object3D, number][] = [[upperHull, 1], [lowerHull, -1]];
+        for (const [hull, side] of pieces) {
+            const body = this.getBody(hull);
+            if (!body) continue;
+
+            body.linearVelocity = vec3.scale(vec3.create(), request.velocity as vec3, inherit);
+            body.angularVelocity = vec3.scale(vec3.create(), request.angularVelocity as vec3, inherit);
+
+            body.addForce(vec3.scale(vec3.create(), request.planeNormal as vec3, side * speed), ForceMode.VelocityChange);
+            body.addTorque(vec3.scale(vec3.create(), request.bladeDirection as vec3, side * spin), ForceMode.VelocityChange);
         }
-
-        return vertex;
     }
 
     /**
-     * Determine signed distance from vertex to slice plane
+     * PhysX or built-in rigid body of an object, both have the same
+     * velocity and force API
      */
-    getSideOfPlane(vertex: number[], planePoint: Float32Array): number {
-        const [nx, ny, nz] = this.slicePlaneNormal;
-        const dx = vertex[0] - planePoint[0];
-        const dy = vertex[1] - planePoint[1];
-        const dz = vertex[2] - planePoint[2];
-        return nx * dx + ny * dy + nz * dz;
+    getBody(obj: Object3D): PhysXComponent | RigidBody | null {
+        const physx = obj.getComponent(PhysXComponent);
+        if (physx && physx.active) return physx;
+        const body = obj.getComponent(RigidBody);
+        return body && body.active ? body : null;
     }
 
     /**
-     * Add a complete triangle to a hull
+     * Show or hide an object that is being sliced with everything below
+     * it, like its cap, stem or leaves. Showing it again restores the
+     * states its children had.
      */
-    addTriangle(vertices: SliceVertex[], indices: number[], v0: SliceVertex, v1: SliceVertex, v2: SliceVertex): void {
-        const baseIndex = vertices.length;
-        vertices.push(v0, v1, v2);
-        indices.push(baseIndex, baseIndex + 1, baseIndex + 2);
+    setSliceSourceActive(obj: Object3D, active: boolean): void {
+        if (!active) {
+            this.hiddenSources.set(obj, saveDescendantStates(obj));
+            setHierarchyActive(obj, false);
+            return;
+        }
+        obj.active = true;
+        const states = this.hiddenSources.get(obj);
+        if (states) {
+            restoreDescendantStates(obj, states);
+            this.hiddenSources.delete(obj);
+        }
+    }
+
+    checkForSlicableObjects(): SliceRequest[] {
+        const slicedObjects = this.pendingSlices;
+        this.pendingSlices = [];
+        return slicedObjects.filter(request => !request.object.isDestroyed);
     }
 
     /**
-     * Split a triangle that crosses the slice plane
+     * Queue an object to be cut by a sword swing on the next update.
+     * The cut plane contains the blade axis and the swing direction, so a
+     * diagonal swipe produces a diagonal cut.
+     * @param obj - Object to slice
+     * @param contactPoint - World space point where the blade hit
+     * @param bladeDirection - World space blade axis (hilt to tip)
+     * @param swingVelocity - World space blade velocity at impact
+     * @param interiorMaterial - Material for the cut faces, e.g. a red
+     *     watermelon inside. Defaults to materialAfterSlice.
      */
-    splitTriangle(
-        v0: SliceVertex, v1: SliceVertex, v2: SliceVertex,
-        d0: number, d1: number, d2: number,
-        upperVerts: SliceVertex[], lowerVerts: SliceVertex[],
-        upperIndices: number[], lowerIndices: number[],
-        upperContour: ContourPoint[], lowerContour: ContourPoint[],
-        i0: number, i1: number, i2: number
+    requestSlice(
+        obj: Object3D,
+        contactPoint: ArrayLike<number>,
+        bladeDirection: ArrayLike<number>,
+        swingVelocity: ArrayLike<number>,
+        interiorMaterial: Material | null = null
     ): void {
-        // Sort vertices by distance to plane
-        const verts = [
-            { v: v0, d: d0, i: i0 },
-            { v: v1, d: d1, i: i1 },
-            { v: v2, d: d2, i: i2 }
-        ].sort((a, b) => a.d - b.d);
-
-        const [vMin, vMid, vMax] = verts;
-
-        // Check configuration: 2-1 split or 1-2 split
-        if (Math.sign(vMin.d) === Math.sign(vMid.d)) {
-            // Two vertices on one side, one on the other (2-1 split)
-            const [v2Same, v1Diff] = [vMid, vMax];
-            
-            // Find intersection points
-            const t1 = Math.abs(vMin.d) / (Math.abs(vMin.d) + Math.abs(v1Diff.d));
-            const t2 = Math.abs(v2Same.d) / (Math.abs(v2Same.d) + Math.abs(v1Diff.d));
-            
-            const vInt1 = this.interpolateVertex(vMin.v, v1Diff.v, t1);
-            const vInt2 = this.interpolateVertex(v2Same.v, v1Diff.v, t2);
-
-            // Add to contours
-            const contourPt1 = { position: vInt1.position, edgeVerts: [vMin.i, v1Diff.i] as [number, number] };
-            const contourPt2 = { position: vInt2.position, edgeVerts: [v2Same.i, v1Diff.i] as [number, number] };
-
-            if (vMin.d < 0) {
-                // Two on lower, one on upper
-                this.addTriangle(lowerVerts, lowerIndices, vMin.v, v2Same.v, vInt1);
-                this.addTriangle(lowerVerts, lowerIndices, v2Same.v, vInt2, vInt1);
-                this.addTriangle(upperVerts, upperIndices, vInt1, vInt2, v1Diff.v);
-                
-                lowerContour.push(contourPt1, contourPt2);
-                upperContour.push(contourPt1, contourPt2);
-            } else {
-                // Two on upper, one on lower
-                this.addTriangle(upperVerts, upperIndices, vMin.v, v2Same.v, vInt1);
-                this.addTriangle(upperVerts, upperIndices, v2Same.v, vInt2, vInt1);
-                this.addTriangle(lowerVerts, lowerIndices, vInt1, vInt2, v1Diff.v);
-                
-                upperContour.push(contourPt1, contourPt2);
-                lowerContour.push(contourPt1, contourPt2);
-            }
-        } else {
-            // One vertex on one side, two on the other (1-2 split)
-            const [v1Same, v2Diff] = [vMin, vMid];
-            
-            const t1 = Math.abs(v1Same.d) / (Math.abs(v1Same.d) + Math.abs(v2Diff.d));
-            const t2 = Math.abs(v1Same.d) / (Math.abs(v1Same.d) + Math.abs(vMax.d));
-            
-            const vInt1 = this.interpolateVertex(v1Same.v, v2Diff.v, t1);
-            const vInt2 = this.interpolateVertex(v1Same.v, vMax.v, t2);
-
-            const contourPt1 = { position: vInt1.position, edgeVerts: [v1Same.i, v2Diff.i] as [number, number] };
-            const contourPt2 = { position: vInt2.position, edgeVerts: [v1Same.i, vMax.i] as [number, number] };
-
-            if (v1Same.d < 0) {
-                // One on lower, two on upper
-                this.addTriangle(lowerVerts, lowerIndices, v1Same.v, vInt1, vInt2);
-                this.addTriangle(upperVerts, upperIndices, vInt1, v2Diff.v, vMax.v);
-                this.addTriangle(upperVerts, upperIndices, vInt1, vMax.v, vInt2);
-                
-                lowerContour.push(contourPt1, contourPt2);
-                upperContour.push(contourPt1, contourPt2);
+        // Sliced pieces go back to the pool once the slice is done
+        this.pieceExpiry.delete(obj);
+
+        // Read now, the object's body is deactivated while it is sliced
+        const body = this.getBody(obj);
+        const velocity = body ? Array.from(body.linearVelocity) : [0, 0, 0];
+        const angularVelocity = body ? Array.from(body.angularVelocity) : [0, 0, 0];
+
+        this.pendingSlices.push({
+            object: obj,
+            planePoint: [contactPoint[0], contactPoint[1], contactPoint[2]],
+            planeNormal: this.computeSwingPlaneNormal(bladeDirection, swingVelocity),
+            interiorMaterial,
+            bladeDirection: Array.from(vec3.normalize(vec3.create(), bladeDirection as vec3)),
+            swingVelocity: [swingVelocity[0], swingVelocity[1], swingVelocity[2]],
+            velocity,
+            angularVelocity
+        });
+        this.isTouched = true;
+    }
+
+    /**
+     * World space normal of the plane swept by the blade
+     */
+    computeSwingPlaneNormal(bladeDirection: ArrayLike<number>, swingVelocity: ArrayLike<number>): number[] {
+        const blade = vec3.fromValues(bladeDirection[0], bladeDirection[1], bladeDirection[2]);
+        const swing = vec3.fromValues(swingVelocity[0], swingVelocity[1], swingVelocity[2]);
+        const normal = vec3.cross(vec3.create(), blade, swing);
+
+        // Swinging along the blade axis (a stab) or standing still does not
+        // define a plane; fall back to a cut perpendicular to the swing, then
+        // to the default horizontal cut.
+        if (vec3.squaredLength(normal) < 1e-10) {
+            if (vec3.squaredLength(swing) > 1e-10) {
+                vec3.copy(normal, swing);
             } else {
-                // One on upper, two on lower
-                this.addTriangle(upperVerts, upperIndices, v1Same.v, vInt1, vInt2);
-                this.addTriangle(lowerVerts, lowerIndices, vInt1, v2Diff.v, vMax.v);
-                this.addTriangle(lowerVerts, lowerIndices, vInt1, vMax.v, vInt2);
-                
-                upperContour.push(contourPt1, contourPt2);
-                lowerContour.push(contourPt1, contourPt2);
+                return [0, 1, 0];
             }
         }
+
+        vec3.normalize(normal, normal);
+        return [normal[0], normal[1], normal[2]];
     }
 
     /**
-     * Linearly interpolate between two vertices
+     * Transform the world space slice plane into the mesh-local space of obj.
+     * Normals are transformed with the inverse transpose of the object's
+     * linear transform (R * S), i.e. S * R^-1 * n, so non-uniformly scaled
+     * fruits are cut where the plane actually is.
      */
-    interpolateVertex(v1: SliceVertex, v2: SliceVertex, t: number): SliceVertex {
-        const result: SliceVertex = {
-            position: [
-                v1.position[0] + (v2.position[0] - v1.position[0]) * t,
-                v1.position[1] + (v2.position[1] - v1.position[1]) * t,
-                v1.position[2] + (v2.position[2] - v1.position[2]) * t
-            ]
-        };
+    updateLocalPlane(obj: Object3D): void {
+        const point = vec3.fromValues(this.slicePlanePoint[0], this.slicePlanePoint[1], this.slicePlanePoint[2]);
+        obj.transformPointInverseWorld(point, point);
+
+        const invRotation = quat.invert(quat.create(), obj.getRotationWorld(quat.create()));
+        const scale = obj.getScalingWorld(vec3.create());
+        const normal = vec3.fromValues(this.slicePlaneNormal[0], this.slicePlaneNormal[1], this.slicePlaneNormal[2]);
+        vec3.transformQuat(normal, normal, invRotation);
+        vec3.multiply(normal, normal, scale);
+        vec3.normalize(normal, normal);
+
+        this.localPlanePoint = [point[0], point[1], point[2]];
+        this.localPlaneNormal = [normal[0], normal[1], normal[2]];
+    }
 
-        if (v1.normal && v2.normal) {
-            result.normal = [
-                v1.normal[0] + (v2.normal[0] - v1.normal[0]) * t,
-                v1.normal[1] + (v2.normal[1] - v1.normal[1]) * t,
-                v1.normal[2] + (v2.normal[2] - v1.normal[2]) * t
-            ];
-            // Normalize
-            const len = Math.sqrt(result.normal[0]**2 + result.normal[1]**2 + result.normal[2]**2);
-            if (len > 0) {
-                result.normal = result.normal.map(n => n / len);
-            }
-        }
+    /**
+     * Slice a mesh along a plane and create two separate objects
+     *
+     * Each hull gets a child object holding its cap, so the cross-section
+     * can use its own interior material. When a piece from an earlier slice
+     * is cut again, its existing cap is clipped along with the skin so the
+     * new pieces stay closed.
+     *
+     * The geometry work happens in slice-core.js; this only moves data
+     * between engine meshes and typed arrays. The returned stats compare
+     * source, unwelded and welded vertex/index counts.
+     */
+    sliceMesh(
+        originalObj: Object3D,
+        originalMesh: Mesh,
+        material: Material | null,
+        interiorMaterial: Material | null = this.materialAfterSlice
+    ): SliceResult | null {
+        const job = this.prepareSliceJob(originalObj, originalMesh, interiorMaterial);
+        if (!job) return null;
 
-        if (v1.texCoord && v2.texCoord) {
-            result.texCoord = [
-                v1.texCoord[0] + (v2.texCoord[0] - v1.texCoord[0]) * t,
-                v1.texCoord[1] + (v2.texCoord[1] - v1.texCoord[1]) * t
-            ];
+        const result = sliceGeometry(job.skin, job.plane, { cap: job.cap, weldTolerance: this.weldTolerance });
+
+        // Validate we have geometry
+        if (!result) {
+            console.warn("Slice resulted in empty mesh - slice plane may not intersect object");
+            return null;
         }
 
-        return result;
+        return this.createHulls(originalObj, result, material, job.capMaterial);
     }
 
     /**
-     * Generate triangulated cap for the slice cross-section
+     * Read everything a slice needs from the engine, so the geometry work
+     * can run anywhere. The arrays are copies and safe to transfer.
      */
-    generateCap(vertices: SliceVertex[], indices: number[], contour: ContourPoint[], isUpper: boolean): void {
-        if (contour.length < 3) return;
-
-        // Remove duplicate points
-        const uniqueContour: ContourPoint[] = [];
-        const epsilon = 0.0001;
-        
-        for (const pt of contour) {
-            const isDuplicate = uniqueContour.some(existing => {
-                const dx = existing.position[0] - pt.position[0];
-                const dy = existing.position[1] - pt.position[1];
-                const dz = existing.position[2] - pt.position[2];
-                return dx*dx + dy*dy + dz*dz < epsilon*epsilon;
-            });
-            if (!isDuplicate) {
-                uniqueContour.push(pt);
-            }
+    prepareSliceJob(
+        originalObj: Object3D,
+        originalMesh: Mesh,
+        interiorMaterial: Material | null
+    ): SliceJobData | null {
+        const skin = this.readMeshData(originalMesh);
+        if (!skin) return null;
+
+        // Vertex positions are mesh-local, so the plane must be too
+        this.updateLocalPlane(originalObj);
+
+        // Cap of a previously sliced piece (same local space as its skin)
+        const oldCapObj = originalObj.children.find(child => child.name === 'SliceCap');
+        const oldCapMesh = oldCapObj ? oldCapObj.getComponent(MeshComponent) : null;
+        const cap = oldCapMesh && oldCapMesh.mesh ? this.readMeshData(oldCapMesh.mesh) : null;
+        if (cap) {
+            interiorMaterial = interiorMaterial || oldCapMesh!.material;
         }
 
-        if (uniqueContour.length < 3) return;
+        return {
+            skin,
+            cap,
+            plane: { point: this.localPlanePoint, normal: this.localPlaneNormal },
+            capMaterial: interiorMaterial
+        };
+    }
 
-        // Calculate centroid
-        const centroid = [0, 0, 0];
-        for (const pt of uniqueContour) {
-            centroid[0] += pt.position[0];
-            centroid[1] += pt.position[1];
-            centroid[2] += pt.position[2];
-        }
-        centroid[0] /= uniqueContour.length;
-        centroid[1] /= uniqueContour.length;
-        centroid[2] /= uniqueContour.length;
-
-        // Create cap normal (opposite direction for lower hull)
-        const [nx, ny, nz] = this.slicePlaneNormal;
-        const capNormal = isUpper ? [nx, ny, nz] : [-nx, -ny, -nz];
-
-        // Add centroid vertex
-        const baseIndex = vertices.length;
-        vertices.push({
-            position: centroid,
-            normal: capNormal,
-            texCoord: [0.5, 0.5]
-        });
+    /**
+     * Create the hull objects for a sliced mesh in place of the original
+     */
+    createHulls(
+        originalObj: Object3D,
+        result: any,
+        material: Material | null,
+        interiorMaterial: Material | null
+    ): SliceResult {
+        // Create mesh objects
+        const upperHull = this.createMeshObject(result.upper.skin, material, originalObj);
+        const lowerHull = this.createMeshObject(result.lower.skin, material, originalObj);
+
+        // Caps use the interior material, or the skin material if there is none
+        const capMaterial = interiorMaterial || material;
+        this.createCapObject(result.upper.cap, capMaterial, upperHull);
+        this.createCapObject(result.lower.cap, capMaterial, lowerHull);
+
+        // Enclosed volumes in world units (the hulls keep the original scaling)
+        const scale = originalObj.getScalingWorld(vec3.create());
+        const scaleVolume = Math.abs(scale[0] * scale[1] * scale[2]);
+
+        return {
+            upperHull,
+            lowerHull,
+            upperVolume: result.upperVolume * scaleVolume,
+            lowerVolume: result.lowerVolume * scaleVolume,
+            upperPositions: result.upper.skin.positions,
+            lowerPositions: result.lower.skin.positions,
+            stats: result.stats
+        };
+    }
 
-        // Add contour vertices and create triangles
-        const contourStartIndex = vertices.length;
-        for (let i = 0; i < uniqueContour.length; i++) {
-            vertices.push({
-                position: uniqueContour[i].position,
-                normal: capNormal,
-                texCoord: [0.5, 0.5] // Simplified UV mapping
-            });
-        }
+    /**
+     * Copy every vertex attribute the mesh has out of the engine
+     */
+    readMeshData(mesh: Mesh): MeshData | null {
+        const positionAttr = mesh.attribute(MeshAttribute.Position);
+        const indices = mesh.indexData;
+        if (!positionAttr || !indices) return null;
+
+        const count = mesh.vertexCount;
+        const data: MeshData = {
+            positions: positionAttr.get(0, new Float32Array(count * 3)),
+            // indexData may be a view of engine memory, which can't be transferred
+            indices: indices.slice()
+        };
 
-        // Create fan triangulation from centroid
-        for (let i = 0; i < uniqueContour.length; i++) {
-            const next = (i + 1) % uniqueContour.length;
-            if (isUpper) {
-                indices.push(baseIndex, contourStartIndex + i, contourStartIndex + next);
-            } else {
-                indices.push(baseIndex, contourStartIndex + next, contourStartIndex + i);
+        for (const [attribute, key] of MESH_DATA_ATTRIBUTES) {
+            const accessor = mesh.attribute(attribute as any);
+            if (accessor) {
+                (data as any)[key] = accessor.get(0, accessor.createArray(count));
             }
         }
+
+        return data;
     }
 
     /**
-     * Create a new mesh object from vertex data
+     * Take a piece object from the pool and give it a mesh from vertex data
      */
     createMeshObject(
-        vertices: SliceVertex[],
-        indices: number[],
+        data: MeshData,
         material: Material | null,
         originalObj: Object3D
     ): Object3D {
-        const newObj = this.engine.scene.addObject(originalObj.parent);
+        const newObj = this.hullPool!.acquire();
+        newObj.parent = originalObj.parent;
         newObj.setTransformLocal(originalObj.getTransformLocal());
-        
+
+        const meshComp = newObj.getComponent(MeshComponent)!;
+        meshComp.mesh = this.createMesh(data, newObj);
+        meshComp.material = material;
+
+        if (this.pieceLifetime > 0) {
+            this.pieceExpiry.set(newObj, this.time + this.pieceLifetime);
+        }
+        return newObj;
+    }
+
+    /**
+     * Fill the cap child of a hull, so it can use a different material
+     * than the skin. The child is hidden if the piece has no cap.
+     */
+    createCapObject(
+        data: MeshData,
+        material: Material | null,
+        hull: Object3D
+    ): Object3D | null {
+        const capObj = hull.children.find(child => child.name === 'SliceCap')!;
+        const meshComp = capObj.getComponent(MeshComponent)!;
+        if (data.indices.length === 0) {
+            capObj.active = false;
+            return null;
+        }
+
+        meshComp.mesh = this.createMesh(data, hull);
+        meshComp.material = material;
+        return capObj;
+    }
+
+    /**
+     * New piece object for the pool, with an empty mesh component and cap
+     */
+    createHullContainer(): Object3D {
+        if (!this.hullTemplate || this.hullTemplate.isDestroyed) {
+            const template = this.engine.scene.addObject(null);
+            template.name = 'SliceHull';
+            template.addComponent(MeshComponent);
+
+            const capObj = this.engine.scene.addObject(template);
+            capObj.name = 'SliceCap';
+            capObj.addComponent(MeshComponent);
+
+            // Only the template itself is off, pieces start with their cap on
+            template.active = false;
+            this.hullTemplate = template;
+        }
+        return instantiatePrefab(this.hullTemplate, { active: false });
+    }
+
+    /**
+     * Strip a piece returned to the pool: remove the components added to
+     * it, like its body and sliceable-fruit, and free its meshes
+     */
+    resetHull(hull: Object3D): void {
+        for (const component of hull.getComponents()) {
+            if (component.type !== 'mesh') component.destroy();
+        }
+        for (const obj of [hull, ...hull.children]) {
+            const meshComp = obj.getComponent(MeshComponent);
+            if (meshComp) meshComp.mesh = null;
+        }
+        hull.parent = null;
+
+        for (const mesh of this.pieceMeshes.get(hull) || []) {
+            mesh.destroy();
+            ++this.meshStats.freed;
+        }
+        this.pieceMeshes.delete(hull);
+    }
+
+    /**
+     * Create an engine mesh from vertex data
+     * @param owner - Piece the mesh belongs to, it is freed when the piece
+     *     goes back to the pool
+     */
+    createMesh(data: MeshData, owner: Object3D | null = null): Mesh {
+        const vertexCount = data.positions.length / 3;
+
         // Use Uint32Array for larger meshes
-        const indexArray = vertices.length > 65535 ? new Uint32Array(indices) : new Uint16Array(indices);
-        
+        const indexArray = vertexCount > 65535 ? new Uint32Array(data.indices) : new Uint16Array(data.indices);
+
         const mesh = this.engine.meshes.create({
-            vertexCount: vertices.length,
-            indexData: indexArray
+            vertexCount,
+            indexData: indexArray,
+            skinned: !!data.jointIds
         });
-        
-        // Set positions
+
         const posAttr = mesh.attribute(MeshAttribute.Position);
         if (posAttr) {
-            for (let i = 0; i < vertices.length; i++) {
-                posAttr.set(i, vertices[i].position);
-            }
-        }
-        
-        // Set normals
-        const normAttr = mesh.attribute(MeshAttribute.Normal);
-        if (normAttr) {
-            for (let i = 0; i < vertices.length; i++) {
-                if (vertices[i].normal) {
-                    normAttr.set(i, vertices[i].normal);
-                } else {
-                    // Default normal if missing
-                    normAttr.set(i, [0, 1, 0]);
-                }
-            }
+            posAttr.set(0, data.positions);
         }
-        
-        // Set texture coordinates
-        const uvAttr = mesh.attribute(MeshAttribute.TextureCoordinate);
-        if (uvAttr) {
-            for (let i = 0; i < vertices.length; i++) {
-                if (vertices[i].texCoord) {
-                    uvAttr.set(i, vertices[i].texCoord);
-                } else {
-                    uvAttr.set(i, [0, 0]);
-                }
+
+        for (const [attribute, key] of MESH_DATA_ATTRIBUTES) {
+            const values = data[key] as ArrayLike<number> | undefined;
+            const accessor = mesh.attribute(attribute as any);
+            if (accessor && values) {
+                accessor.set(0, values);
             }
         }
-        
+
         mesh.update();
-        
-        const meshComp = newObj.addComponent(MeshComponent);
-        if (meshComp) {
-            meshComp.mesh = mesh;
-            meshComp.material = material;
+
+        ++this.meshStats.created;
+        if (owner) {
+            const meshes = this.pieceMeshes.get(owner);
+            if (meshes) meshes.push(mesh);
+            else this.pieceMeshes.set(owner, [mesh]);
         }
-        
-        return newObj;
+        return mesh;
     }
 
-    makeItPhysical(obj: Object3D): void {
-        const physx = obj.addComponent(PhysXComponent);
-        
-        if (physx) {
-            // Estimate mass based on mesh bounds
-            const meshComp = obj.getComponent(MeshComponent);
-            if (meshComp && meshComp.mesh) {
-                // Simple volume estimation
-                const scale = obj.getScalingWorld(new Float32Array(3));
-                const volume = scale[0] * scale[1] * scale[2];
-                const density = 1000; // kg/m³ (water density as default)
-                physx.mass = volume * density * 0.5; // Half for sliced piece
-            } else {
-                physx.mass = 1.0; // Default mass
-            }
-            
-            physx.kinematic = false;
-            
-            // Optional: Add some damping for more realistic physics
-            // physx.linearDamping = 0.1;
-            // physx.angularDamping = 0.1;
+    /**
+     * Give a piece a rigid body with a collider fitted to its vertices.
+     * Uses PhysX if the runtime has it, the built-in RigidBody otherwise,
+     * which only supports boxes and spheres.
+     * @param positions - Mesh-local vertex positions of the piece
+     * @param mass - Enclosed volume times density, in kg
+     */
+    makeItPhysical(obj: Object3D, positions: Float32Array, mass: number): void {
+        if (!this.engine.physics) {
+            const shape = COLLIDER_SHAPES[this.colliderShape];
+            const collider = shape === 'box' || shape === 'sphere'
+                ? fitCollider(positions, shape)
+                : fitPrimitive(positions);
+            obj.addComponent(RigidBody, {
+                mass: Math.max(mass, MIN_PIECE_MASS),
+                shape: collider.shape === 'sphere' ? 0 : 1, // Index into RigidBody's shape enum
+                extents: collider.extents,
+                translationOffset: collider.center,
+                floorObject: this.floorObject
+            });
+            return;
         }
+
+        const collider = fitCollider(positions, COLLIDER_SHAPES[this.colliderShape] as any, {
+            maxHullVertices: this.maxHullVertices
+        });
+
+        const params: Record<string, any> = {
+            mass: Math.max(mass, MIN_PIECE_MASS),
+            kinematic: false
+        };
+        if (collider.shape === 'convex') {
+            params.shape = Shape.ConvexMesh;
+            params.shapeData = { index: this.createMesh(collider.hull!, obj).index };
+        } else {
+            // Box and sphere are centered on the origin of the object
+            params.shape = collider.shape === 'box' ? Shape.Box : Shape.Sphere;
+            params.extents = collider.extents;
+            params.translationOffset = collider.center;
+        }
+
+        obj.addComponent(PhysXComponent, params);
     }
 }
 
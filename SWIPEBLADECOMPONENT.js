@@ -0,0 +1,221 @@
+// Slicing with click-and-drag swipes outside XR
+import { Property } from '@wonderlandengine/api';
+import { mat4, quat, vec3 } from 'gl-matrix';
+import { VRSword } from './VRSWORDCOMPONENTNEW.js';
+import { canvasToNdc, viewRayDirection } from './js/screen-ray.js';
+
+const FORWARD = [0, 0, -1];
+
+/**
+ * A blade along the ray from the camera through the mouse, with the same
+ * swept hit detection as `vr-sword`.
+ *
+ * Dragging the mouse or a pen with swipeButton sweeps the ray across the
+ * scene like a blade, from nearDistance to reach in front of the camera.
+ * mouse-look on the camera is paused while swiping, clicks on cursor
+ * targets like buttons don't start a swipe. Add a `blade-trail` to see the
+ * swipe. Touches are left to `touch-swipe`, which drives one of these per
+ * finger with listen off.
+ */
+export class SwipeBlade extends VRSword {
+    static TypeName = 'swipe-blade';
+
+    static Properties = {
+        ...VRSword.Properties,
+
+        // Minimum speed in m/s of the ray's far end for a hit
+        minHitSpeed: Property.float(2.0),
+
+        // Object with the view component, this object if not set
+        camera: Property.object(),
+
+        // Mouse button that swipes, 0 is the left one
+        swipeButton: Property.int(0),
+
+        // Follow mouse and pen events on the canvas, or only swipe through
+        // beginSwipe(), moveSwipe() and endSwipe()
+        listen: Property.bool(true),
+
+        // Where the blade starts and ends along the ray, in m
+        nearDistance: Property.float(0.3),
+        reach: Property.float(8.0),
+
+        // Distance and width of the trail drawn across the swipe, in m
+        trailDepth: Property.float(1.0),
+        trailWidth: Property.float(0.04)
+    };
+
+    init() {
+        super.init();
+
+        // Pointer swiping and its position in normalized device coordinates
+        this.pointerId = null;
+        this.pointer = new Float32Array(2);
+
+        this.view = null;
+        this.cursor = null;
+        this.mouseLook = null;
+        this.pausedMouseLook = false;
+        this.inverseProjection = mat4.create();
+        this.rayOrigin = vec3.create();
+        this.rayDirection = vec3.create();
+    }
+
+    start() {
+        const camera = this.camera || this.object;
+        this.view = camera.getComponent('view');
+        this.mouseLook = camera.getComponent('mouse-look');
+        this.cursor = camera.getComponent('cursor');
+        if (!this.view) {
+            console.warn('swipe-blade: no view component found on camera');
+        }
+    }
+
+    onActivate() {
+        if (!this.listen) return;
+        const canvas = this.engine.canvas;
+        canvas.addEventListener('pointerdown', this.onPointerDown);
+        canvas.addEventListener('pointermove', this.onPointerMove);
+        canvas.addEventListener('pointerup', this.onPointerUp);
+        canvas.addEventListener('pointercancel', this.onPointerUp);
+    }
+
+    onDeactivate() {
+        const canvas = this.engine.canvas;
+        canvas.removeEventListener('pointerdown', this.onPointerDown);
+        canvas.removeEventListener('pointermove', this.onPointerMove);
+        canvas.removeEventListener('pointerup', this.onPointerUp);
+        canvas.removeEventListener('pointercancel', this.onPointerUp);
+        this.endSwipe();
+    }
+
+    onPointerDown = (e) => {
+        if (e.pointerType === 'touch' || e.button !== this.swipeButton) return;
+        this.beginSwipe(e);
+    };
+
+    onPointerMove = (e) => {
+        this.moveSwipe(e);
+    };
+
+    onPointerUp = (e) => {
+        if (e.pointerId === this.pointerId) this.endSwipe();
+    };
+
+    /**
+     * Start swiping with a pointer that went down
+     * @param {PointerEvent} e
+     * @returns {boolean} Whether the swipe started, not over cursor targets,
+     *     in XR or while already swiping
+     */
+    beginSwipe(e) {
+        if (this.pointerId !== null || !this.view || this.engine.xr) return false;
+
+        // Let the cursor click buttons
+        const hovered = this.cursor ? this.cursor.hoveringObject : null;
+        if (hovered && hovered.getComponent('cursor-target')) return false;
+
+        // Keep the swipe when the pointer leaves the canvas
+        this.pointerId = e.pointerId;
+        this.engine.canvas.setPointerCapture(e.pointerId);
+        this.setPointer(e);
+        this.startSwipe();
+        return true;
+    }
+
+    /**
+     * Follow the swiping pointer
+     * @param {PointerEvent} e
+     */
+    moveSwipe(e) {
+        if (e.pointerId === this.pointerId) this.setPointer(e);
+    }
+
+    /**
+     * @param {PointerEvent} e
+     */
+    setPointer(e) {
+        canvasToNdc(this.pointer, e.clientX, e.clientY, this.engine.canvas.getBoundingClientRect());
+    }
+
+    startSwipe() {
+        this.isGrabbed = true;
+        this.hasLastPose = false;
+        this.motion.reset();
+
+        // mouse-look would turn the camera with the same drag
+        if (this.mouseLook && this.mouseLook.active) {
+            this.mouseLook.active = false;
+            this.pausedMouseLook = true;
+        }
+    }
+
+    endSwipe() {
+        this.pointerId = null;
+        this.isGrabbed = false;
+        this.swingSpeed = 0;
+        if (this.pausedMouseLook) {
+            this.pausedMouseLook = false;
+            if (!this.mouseLook.isDestroyed) this.mouseLook.active = true;
+        }
+    }
+
+    update(dt) {
+        if (!this.isGrabbed) return;
+        super.update(dt);
+    }
+
+    /**
+     * World space ray from the camera through the pointer
+     * @param {vec3} origin - Destination for the camera position
+     * @param {vec3} direction - Destination for the unit direction
+     */
+    getRay(origin, direction) {
+        mat4.invert(this.inverseProjection, this.view.projectionMatrix);
+        viewRayDirection(direction, this.pointer[0], this.pointer[1], this.inverseProjection);
+        this.view.object.transformVectorWorld(direction, direction);
+        vec3.normalize(direction, direction);
+        this.view.object.getPositionWorld(origin);
+    }
+
+    /**
+     * The ray between nearDistance and reach
+     * @param {vec3} hilt - Destination for the near end
+     * @param {vec3} tip - Destination for the far end
+     */
+    getBladeSegment(hilt, tip) {
+        this.getRay(this.rayOrigin, this.rayDirection);
+        vec3.scaleAndAdd(hilt, this.rayOrigin, this.rayDirection, this.nearDistance);
+        vec3.scaleAndAdd(tip, this.rayOrigin, this.rayDirection, this.reach);
+    }
+
+    /**
+     * Rotation from the camera's forward axis to the ray, for its angular
+     * velocity
+     * @param {quat} out - Destination
+     * @returns {quat} out
+     */
+    getBladeRotation(out) {
+        return quat.rotationTo(out, FORWARD, this.rayDirection);
+    }
+
+    /**
+     * A short segment across the swipe at trailDepth, the swept plane
+     * itself goes through the camera and can't be seen
+     * @param {vec3} hilt - Destination for one side
+     * @param {vec3} tip - Destination for the other side
+     */
+    getTrailSegment(hilt, tip) {
+        this.getRay(this.rayOrigin, this.rayDirection);
+        const center = vec3.scaleAndAdd(vec3.create(), this.rayOrigin, this.rayDirection, this.trailDepth);
+
+        // Across the motion on screen, or the camera's up axis at rest
+        const across = vec3.cross(vec3.create(), this.rayDirection, this.tipVelocity);
+        if (vec3.squaredLength(across) < 1e-8) {
+            this.view.object.getUpWorld(across);
+        }
+        vec3.normalize(across, across);
+        vec3.scaleAndAdd(hilt, center, across, -0.5 * this.trailWidth);
+        vec3.scaleAndAdd(tip, center, across, 0.5 * this.trailWidth);
+    }
+}
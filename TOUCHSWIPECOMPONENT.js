@@ -0,0 +1,176 @@
+// Multi-finger swipe slicing and a magic window view for mobile browsers
+import { Component, Property } from '@wonderlandengine/api';
+import { DeviceOrientationLook } from '@wonderlandengine/components';
+import { SwipeBlade } from './SWIPEBLADECOMPONENT.js';
+import { BladeTrail } from './js/blade-trail.js';
+import { PointerSlots } from './js/pointer-slots.js';
+
+const preventDefault = (e) => e.preventDefault();
+
+/**
+ * Slice with every finger on a touchscreen.
+ *
+ * Each finger gets its own `swipe-blade` on a child object, so fingers have
+ * independent blade paths, velocities and trails. Taps on cursor targets
+ * like buttons still click them.
+ *
+ * With magicWindow, the camera follows the device's orientation through
+ * `device-orientation-look` once the device reports one, and mouse-look is
+ * turned off. While active, the canvas keeps touches from scrolling or
+ * zooming the page.
+ */
+export class TouchSwipe extends Component {
+    static TypeName = 'touch-swipe';
+
+    static Properties = {
+        // Object with the view component, this object if not set
+        camera: Property.object(),
+
+        // Fingers that slice at the same time, extra ones are ignored
+        maxTouches: Property.int(5),
+
+        // Minimum speed in m/s of a blade's far end for a hit, and how
+        // far the blades reach into the scene in m
+        minHitSpeed: Property.float(2.0),
+        reach: Property.float(8.0),
+
+        // Transparent vertex color material for the finger trails, no
+        // trails if not set
+        trailMaterial: Property.material(),
+
+        // Look around by turning the device
+        magicWindow: Property.bool(true),
+
+        // Stop touches from scrolling and zooming the page
+        preventGestures: Property.bool(true)
+    };
+
+    static onRegister(engine) {
+        engine.registerComponent(SwipeBlade);
+        engine.registerComponent(BladeTrail);
+        engine.registerComponent(DeviceOrientationLook);
+    }
+
+    init() {
+        // One blade per finger, in the slot of its pointer
+        this.blades = [];
+        this.slots = new PointerSlots(this.maxTouches);
+
+        this.cameraObject = null;
+        this.orientationLook = null;
+        this.askedOrientationPermission = false;
+
+        // Canvas touch-action before it was taken over
+        this.previousTouchAction = '';
+    }
+
+    start() {
+        this.cameraObject = this.camera || this.object;
+        if (this.magicWindow) {
+            this.orientationLook = this.cameraObject.getComponent(DeviceOrientationLook) ||
+                this.cameraObject.addComponent(DeviceOrientationLook, { active: false });
+            // Without a sensor it would point the camera at the floor
+            window.addEventListener('deviceorientation', this.onFirstOrientation);
+        }
+
+        for (let i = 0; i < this.slots.pointers.length; i++) {
+            const child = this.engine.scene.addObject(this.object);
+            child.name = `TouchBlade${i}`;
+            this.blades.push(child.addComponent(SwipeBlade, {
+                camera: this.cameraObject,
+                listen: false,
+                minHitSpeed: this.minHitSpeed,
+                reach: this.reach
+            }));
+            if (this.trailMaterial) {
+                child.addComponent(BladeTrail, { sword: child, material: this.trailMaterial });
+            }
+        }
+    }
+
+    onActivate() {
+        const canvas = this.engine.canvas;
+        canvas.addEventListener('pointerdown', this.onPointerDown);
+        canvas.addEventListener('pointermove', this.onPointerMove);
+        canvas.addEventListener('pointerup', this.onPointerUp);
+        canvas.addEventListener('pointercancel', this.onPointerUp);
+        window.addEventListener('blur', this.endAll);
+
+        if (this.preventGestures) {
+            this.previousTouchAction = canvas.style.touchAction;
+            canvas.style.touchAction = 'none';
+            canvas.addEventListener('touchmove', preventDefault, { passive: false });
+            canvas.addEventListener('contextmenu', preventDefault);
+            // Safari's pinch zoom
+            document.addEventListener('gesturestart', preventDefault);
+        }
+    }
+
+    onDeactivate() {
+        const canvas = this.engine.canvas;
+        canvas.removeEventListener('pointerdown', this.onPointerDown);
+        canvas.removeEventListener('pointermove', this.onPointerMove);
+        canvas.removeEventListener('pointerup', this.onPointerUp);
+        canvas.removeEventListener('pointercancel', this.onPointerUp);
+        window.removeEventListener('blur', this.endAll);
+
+        if (this.preventGestures) {
+            canvas.style.touchAction = this.previousTouchAction;
+            canvas.removeEventListener('touchmove', preventDefault, { passive: false });
+            canvas.removeEventListener('contextmenu', preventDefault);
+            document.removeEventListener('gesturestart', preventDefault);
+        }
+        this.endAll();
+    }
+
+    onDestroy() {
+        window.removeEventListener('deviceorientation', this.onFirstOrientation);
+    }
+
+    onPointerDown = (e) => {
+        if (e.pointerType !== 'touch') return;
+        const slot = this.slots.assign(e.pointerId);
+        if (slot === -1) return;
+        if (!this.blades[slot].beginSwipe(e)) {
+            this.slots.release(e.pointerId);
+        }
+    };
+
+    onPointerMove = (e) => {
+        const slot = this.slots.slotOf(e.pointerId);
+        if (slot !== -1) this.blades[slot].moveSwipe(e);
+    };
+
+    onPointerUp = (e) => {
+        const slot = this.slots.release(e.pointerId);
+        if (slot !== -1) this.blades[slot].endSwipe();
+
+        // iOS only asks for the sensor after a tap
+        if (e.pointerType === 'touch') this.requestOrientationPermission();
+    };
+
+    endAll = () => {
+        this.slots.clear();
+        for (const blade of this.blades) blade.endSwipe();
+    };
+
+    onFirstOrientation = (e) => {
+        if (e.alpha === null) return;
+        window.removeEventListener('deviceorientation', this.onFirstOrientation);
+
+        this.orientationLook.active = true;
+        const mouseLook = this.cameraObject.getComponent('mouse-look');
+        if (mouseLook) mouseLook.active = false;
+    };
+
+    requestOrientationPermission() {
+        if (!this.magicWindow || this.askedOrientationPermission) return;
+        this.askedOrientationPermission = true;
+
+        const OrientationEvent = window.DeviceOrientationEvent;
+        if (OrientationEvent && typeof OrientationEvent.requestPermission === 'function') {
+            OrientationEvent.requestPermission()
+                .catch((e) => console.warn('touch-swipe: no device orientation', e));
+        }
+    }
+}
@@ -0,0 +1,167 @@
+// Karate chop slicing with the edge of a tracked hand, no sword needed
+import { Property } from '@wonderlandengine/api';
+import { vec3 } from 'gl-matrix';
+import { VRSword } from './VRSWORDCOMPONENTNEW.js';
+import { watchInputSources } from './js/input-mode.js';
+import { PALM_EDGE_JOINTS, palmEdge, velocityInPlane } from './js/palm-blade.js';
+
+// World space positions of PALM_EDGE_JOINTS
+const tempJoints = PALM_EDGE_JOINTS.map(() => vec3.create());
+
+/**
+ * A blade along the outer edge of a tracked palm, with the same swept hit
+ * detection as `vr-sword`.
+ *
+ * Only armed while the hand is tracked as a hand rather than a controller,
+ * so it switches on when the controllers are put down and off when they
+ * are picked up again. Only motion in the plane of the palm cuts, and the
+ * cut is in that plane.
+ */
+export class VRHandBlade extends VRSword {
+    static TypeName = 'hand-blade';
+
+    static Properties = {
+        ...VRSword.Properties,
+
+        // Minimum speed of the palm edge in m/s for a hit, counting only
+        // motion in the plane of the palm
+        minHitSpeed: Property.float(1.5),
+
+        // Hand whose palm edge is the blade
+        hand: Property.enum(['left', 'right'], 'right'),
+
+        // Object with the hand-tracking component, found by handedness if
+        // not set
+        trackedHand: Property.object(),
+
+        // Distance of the edge past the pinky joint centers in m
+        edgeOffset: Property.float(0.012)
+    };
+
+    init() {
+        super.init();
+
+        // hand-tracking component and the palm's plane this frame
+        this.tracking = null;
+        this.palmNormal = vec3.create();
+        this.edgeVelocity = vec3.create();
+
+        // Whether the hand is tracked as a hand, from the XR input sources
+        this.handTracked = false;
+    }
+
+    start() {
+        // Enum properties hold the index into ['left', 'right']
+        const handedness = ['left', 'right'][this.hand];
+        const object = this.trackedHand || this.findTrackedHand(handedness);
+        this.tracking = object ? object.getComponent('hand-tracking') : null;
+        if (!this.tracking) {
+            console.warn(`hand-blade: no ${handedness} hand-tracking found`);
+            return;
+        }
+
+        const watcher = watchInputSources(this.engine);
+        this.onInputSourcesChange = (types) => {
+            this.handTracked = types[handedness] === 'hand';
+        };
+        watcher.onChange.add(this.onInputSourcesChange);
+        this.onInputSourcesChange(watcher.types);
+    }
+
+    onDestroy() {
+        super.onDestroy();
+        if (this.onInputSourcesChange) {
+            watchInputSources(this.engine).onChange.remove(this.onInputSourcesChange);
+        }
+    }
+
+    /**
+     * Object with a hand-tracking component of the given handedness
+     * @param {'left'|'right'} handedness
+     * @returns {Object3D|null}
+     */
+    findTrackedHand(handedness) {
+        const search = (objects) => {
+            for (const obj of objects) {
+                // Hand tracking holds the enum index until initialized
+                const tracking = obj.getComponent('hand-tracking');
+                if (tracking &&
+                    (tracking.handedness === handedness || ['left', 'right'][tracking.handedness] === handedness)) {
+                    return obj;
+                }
+                const found = search(obj.children);
+                if (found) return found;
+            }
+            return null;
+        };
+        return search(this.engine.scene.children);
+    }
+
+    update(dt) {
+        if (!this.tracking) return;
+
+        // Armed like a held sword while the hand has joint poses
+        const armed = this.handTracked && this.tracking.hasPose &&
+            ['wrist', ...PALM_EDGE_JOINTS].every((name) => this.tracking.joints[name]);
+        if (armed !== this.isGrabbed) {
+            this.isGrabbed = armed;
+            this.grabbingHand = armed ? this.tracking.object : null;
+            this.setHandedness(armed ? ['left', 'right'][this.hand] : null);
+            this.swingSpeed = 0;
+
+            // Don't sweep from where the hand was last tracked
+            this.hasLastPose = false;
+            this.motion.reset();
+        }
+        if (!armed) return;
+
+        super.update(dt);
+    }
+
+    /**
+     * Palm edge in world space, the palm's normal goes to palmNormal
+     * @param {vec3} hilt - Destination for the heel of the hand end
+     * @param {vec3} tip - Destination for the pinky tip end
+     */
+    getBladeSegment(hilt, tip) {
+        const joints = this.tracking.joints;
+        for (let i = 0; i < PALM_EDGE_JOINTS.length; i++) {
+            joints[PALM_EDGE_JOINTS[i]].getPositionWorld(tempJoints[i]);
+        }
+        const [middleBase, pinkyBase, pinkyTip] = tempJoints;
+        palmEdge(hilt, tip, this.palmNormal, middleBase, pinkyBase, pinkyTip, this.edgeOffset);
+    }
+
+    /**
+     * The wrist's rotation, the hand object itself doesn't turn
+     * @param {quat} out - Destination
+     * @returns {quat} out
+     */
+    getBladeRotation(out) {
+        return this.tracking.joints['wrist'].getRotationWorld(out);
+    }
+
+    /**
+     * Velocity of a point on the edge, in the plane of the palm so the
+     * slicer cuts along it
+     * @param {vec3} point - World space point on the edge
+     * @param {vec3} out - Destination
+     * @returns {vec3} out
+     */
+    getPointVelocity(point, out) {
+        super.getPointVelocity(point, out);
+        return velocityInPlane(out, out, this.palmNormal);
+    }
+
+    /**
+     * Slaps, with the palm moving along its normal, don't cut
+     * @param {import('./VRSLICEABLEFRUITNEW.js').SliceableFruit} fruit
+     * @param {import('./js/blade-sweep.js').SweepHit} hit
+     * @returns {boolean}
+     */
+    cuts(fruit, hit) {
+        if (fruit.isBomb) return true;
+        const speed = vec3.length(this.getPointVelocity(hit.point, this.edgeVelocity));
+        return speed >= this.minHitSpeed && super.cuts(fruit, hit);
+    }
+}
@@ -1,10 +1,20 @@
 // Fixed Sliceable Fruit Component - Matches VR Sword Detection
-import { Component, Property } from '@wonderlandengine/api';
+import { Component, MeshAttribute, Property } from '@wonderlandengine/api';
 import { vec3 } from 'gl-matrix';
+import { computeBounds, fitSphere } from './js/collision-shapes.js';
+import { objectPools } from './js/object-pool.js';
+import { instantiatePrefab } from './js/prefab.js';
+import { sliceableRegistry } from './js/sliceable-registry.js';
+
+const tempCenter = vec3.create();
+const tempAxis = vec3.create();
 
 /**
  * Sliceable Fruit Component - Makes objects sliceable by the VRSword
  * Attach this to any object you want to be sliceable
+ *
+ * While active and not yet sliced, the fruit is in the shared
+ * sliceableRegistry, which swords query along their swing
  */
 export class SliceableFruit extends Component {
     static TypeName = 'sliceable-fruit';
@@ -16,22 +26,87 @@ export class SliceableFruit extends Component {
         // Optional: Different fruit types (0=apple, 1=orange, etc.)
         fruitType: Property.int(0),
         
-        // Optional: Particle effect to spawn on hit
+        // Optional: Inactive effect object, cloned at the hit position
         hitEffectPrefab: Property.object(),
         
         // Optional: Sound to play on hit
         hitSoundName: Property.string(''),
         
-        // Delay before destroying hit effect (if spawned)
+        // Delay before the hit effect goes back to its pool (if spawned)
         effectLifetime: Property.float(2.0),
+
+        // Hit effects created ahead of time, shared by all fruits with
+        // the same hitEffectPrefab
+        effectPoolSize: Property.int(4),
+
+        // Optional: Object with a 'slicer' component that cuts the fruit
+        // along the sword swing instead of just removing it
+        slicerObject: Property.object(),
+
+        // Optional: Material for the cut faces (e.g. red watermelon flesh),
+        // defaults to the slicer's materialAfterSlice
+        interiorMaterial: Property.material(),
+
+        // Density in kg/m³, sliced pieces weigh their volume times this
+        // (e.g. ~950 for a watermelon, ~1100 for a grape)
+        density: Property.float(1000),
+
+        // How many times a fruit can be cut into smaller sliceable pieces
+        // (0 = pieces are not sliceable)
+        maxGenerations: Property.int(0),
+
+        // Point value of each piece relative to its parent
+        pieceValueFactor: Property.float(0.5),
+
+        // Pieces smaller than this volume (m³) are no longer sliceable
+        minPieceVolume: Property.float(0.0001),
+
+        // Seconds before a new piece can be hit, so one swing doesn't
+        // dice a fruit completely
+        pieceHitDelay: Property.float(0.25),
+
+        // Speed (m/s) the halves fly apart along the cut normal:
+        // separationBase + separationPerSpeed * swingSpeed^separationExponent,
+        // capped at maxSeparation
+        separationBase: Property.float(0.3),
+        separationPerSpeed: Property.float(0.15),
+        separationExponent: Property.float(1.0),
+        maxSeparation: Property.float(3.0),
+
+        // Spin of the halves around the blade, in rad/s per m/s of
+        // separation speed
+        separationSpin: Property.float(2.0),
+
+        // Fraction of the fruit's own velocity the halves keep
+        inheritVelocity: Property.float(1.0),
+
+        // Volume fitted to the mesh that the sword's blade is tested
+        // against, a box suits long fruits like bananas
+        hitShape: Property.enum(['sphere', 'box'], 'sphere'),
+
+        // Color of the juice, e.g. for tinting the blade trail on a hit
+        juiceColor: Property.color(1.0, 0.35, 0.2, 1.0),
+
+        // 0 for soft fruit like a tomato, 1 for a coconut, scales the
+        // haptic feedback of a cut
+        hardness: Property.float(0.3),
+
+        // Bombs play the bomb haptic pattern instead of a slice
+        isBomb: Property.bool(false),
         
         // Debug mode
         showDebug: Property.bool(false)
     };
 
     init() {
-        // Track if this fruit has been destroyed
-        this.isDestroyed = false;
+        // Set once the fruit was hit, before its object is removed
+        this.isSliced = false;
+
+        // Number of cuts this piece is away from the original fruit
+        this.generation = 0;
+
+        // Remaining time in seconds during which hits are ignored
+        this.hitCooldown = 0;
         
         // Store initial position for effect spawning
         this.hitPosition = vec3.create();
@@ -42,6 +117,10 @@ export class SliceableFruit extends Component {
     }
 
     start() {
+        if (this.hitEffectPrefab) {
+            this.getEffectPool().prewarm(this.effectPoolSize);
+        }
+
         if (this.showDebug) {
             const pos = vec3.create();
             this.object.getPositionWorld(pos);
@@ -49,7 +128,37 @@ export class SliceableFruit extends Component {
         }
     }
 
+    /**
+     * Make a pooled fruit whole again before it is launched another time
+     */
+    reset() {
+        this.isSliced = false;
+        this.generation = 0;
+        this.hitCooldown = 0;
+    }
+
+    onActivate() {
+        if (!this.isSliced) {
+            sliceableRegistry.add(this);
+        }
+    }
+
+    onDeactivate() {
+        sliceableRegistry.remove(this);
+    }
+
+    onDestroy() {
+        sliceableRegistry.remove(this);
+    }
+
     update(dt) {
+        if (this.hitCooldown > 0) {
+            this.hitCooldown -= dt;
+        }
+
+        // Keep up with physics and animation
+        sliceableRegistry.update(this);
+
         // Optional: Add automatic boundary checking
         // Uncomment the line below to enable
         // this.checkBounds();
@@ -59,21 +168,29 @@ export class SliceableFruit extends Component {
      * Called when the fruit is hit by the sword
      * @param {vec3} hitPosition - Position where the sword hit
      * @param {vec3} hitVelocity - Velocity of the sword at hit
+     * @param {vec3} [bladeDirection] - World space blade axis at hit
+     * @returns {boolean} Whether the hit counted, false if the fruit was
+     *     already sliced or still ignores hits
      */
-    onHit(hitPosition, hitVelocity) {
-        if (this.isDestroyed) {
+    onHit(hitPosition, hitVelocity, bladeDirection) {
+        if (this.isSliced) {
             if (this.showDebug) {
-                console.log('Fruit already destroyed, ignoring hit');
+                console.log('Fruit already sliced, ignoring hit');
             }
-            return;
+            return false;
+        }
+
+        if (this.hitCooldown > 0) {
+            return false;
         }
         
         if (this.showDebug) {
             console.log(`Fruit "${this.object.name}" was hit!`);
         }
         
-        // Mark as destroyed immediately to prevent double hits
-        this.isDestroyed = true;
+        // Mark as sliced immediately to prevent double hits
+        this.isSliced = true;
+        sliceableRegistry.remove(this);
         
         // Store hit position
         if (hitPosition) {
@@ -95,11 +212,139 @@ export class SliceableFruit extends Component {
             this.spawnParticles(this.hitPosition);
         }
         
-        // Destroy the fruit object
+        // Cut the fruit along the swing, the slicer removes the original
+        const slicer = this.slicerObject ? this.slicerObject.getComponent('slicer') : null;
+        if (slicer && bladeDirection && this.object.getComponent('mesh')) {
+            if (this.showDebug) {
+                console.log('Slicing fruit object...');
+            }
+            slicer.requestSlice(this.object, this.hitPosition, bladeDirection, hitVelocity, this.interiorMaterial);
+            return true;
+        }
+
+        // Remove the fruit object, pooled fruits go back to their pool
         if (this.showDebug) {
-            console.log('Destroying fruit object...');
+            console.log('Removing fruit object...');
+        }
+        objectPools(this.engine).release(this.object);
+        return true;
+    }
+
+    /**
+     * Called by the slicer after this fruit was cut, before it is removed
+     * @param {{object: Object3D, volume: number}[]} pieces - The new hulls
+     */
+    onSliced(pieces) {
+        const generation = this.generation + 1;
+        if (generation > this.maxGenerations) return;
+
+        for (const piece of pieces) {
+            if (piece.volume < this.minPieceVolume) {
+                if (this.showDebug) {
+                    console.log(`Piece too small to slice again (${piece.volume.toFixed(6)} m³)`);
+                }
+                continue;
+            }
+
+            const sliceable = piece.object.addComponent(SliceableFruit, {
+                pointValue: Math.max(1, Math.round(this.pointValue * this.pieceValueFactor)),
+                fruitType: this.fruitType,
+                hitEffectPrefab: this.hitEffectPrefab,
+                hitSoundName: this.hitSoundName,
+                effectLifetime: this.effectLifetime,
+                effectPoolSize: this.effectPoolSize,
+                showDebug: this.showDebug,
+                slicerObject: this.slicerObject,
+                interiorMaterial: this.interiorMaterial,
+                density: this.density,
+                maxGenerations: this.maxGenerations,
+                pieceValueFactor: this.pieceValueFactor,
+                minPieceVolume: this.minPieceVolume,
+                pieceHitDelay: this.pieceHitDelay,
+                separationBase: this.separationBase,
+                separationPerSpeed: this.separationPerSpeed,
+                separationExponent: this.separationExponent,
+                maxSeparation: this.maxSeparation,
+                separationSpin: this.separationSpin,
+                inheritVelocity: this.inheritVelocity,
+                hitShape: this.hitShape,
+                juiceColor: this.juiceColor,
+                hardness: this.hardness
+            });
+            if (!sliceable) continue;
+
+            sliceable.generation = generation;
+            sliceable.hitCooldown = this.pieceHitDelay;
+
+            if (this.showDebug) {
+                console.log(`Created sliceable piece, generation ${generation}`);
+            }
+        }
+    }
+
+    /**
+     * Bounds of the mesh in object space, read once since the mesh of a
+     * fruit or piece does not change
+     * @returns {{center: number[], extents: number[], sphereCenter: number[], radius: number}|null}
+     *     Box center and half size and the bounding sphere, or null without
+     *     a mesh
+     */
+    getLocalBounds() {
+        if (this.localBounds !== undefined) return this.localBounds;
+
+        const meshComp = this.object.getComponent('mesh');
+        const mesh = meshComp ? meshComp.mesh : null;
+        const positionAttr = mesh ? mesh.attribute(MeshAttribute.Position) : null;
+        if (!positionAttr || mesh.vertexCount === 0) {
+            this.localBounds = null;
+            return null;
+        }
+
+        const positions = positionAttr.get(0, new Float32Array(mesh.vertexCount * 3));
+        const { center, extents } = computeBounds(positions);
+        const sphere = fitSphere(positions);
+        this.localBounds = { center, extents, sphereCenter: sphere.center, radius: sphere.radius };
+        return this.localBounds;
+    }
+
+    /**
+     * World space axis aligned box around the mesh bounds, or the object's
+     * position for fruits without a mesh
+     * @param {number[]} min - Destination for the minimum corner
+     * @param {number[]} max - Destination for the maximum corner
+     */
+    getWorldBounds(min, max) {
+        const bounds = this.getLocalBounds();
+        if (!bounds) {
+            this.object.getPositionWorld(tempCenter);
+            vec3.copy(min, tempCenter);
+            vec3.copy(max, tempCenter);
+            return;
+        }
+
+        // Half size of the rotated box is the sum of its scaled local axes
+        this.object.transformPointWorld(tempCenter, bounds.center);
+        vec3.copy(min, tempCenter);
+        vec3.copy(max, tempCenter);
+        for (let k = 0; k < 3; k++) {
+            vec3.set(tempAxis, 0, 0, 0);
+            tempAxis[k] = bounds.extents[k];
+            this.object.transformVectorWorld(tempAxis, tempAxis);
+            for (let i = 0; i < 3; i++) {
+                min[i] -= Math.abs(tempAxis[i]);
+                max[i] += Math.abs(tempAxis[i]);
+            }
         }
-        this.object.destroy();
+    }
+
+    /**
+     * Speed the halves of this fruit fly apart with, from the strength curve
+     * @param {number} swingSpeed - Sword speed at the hit in m/s
+     * @returns {number} Separation speed in m/s
+     */
+    getSeparationSpeed(swingSpeed) {
+        const swingPart = this.separationPerSpeed * Math.pow(Math.max(swingSpeed, 0), this.separationExponent);
+        return Math.max(0, Math.min(this.separationBase + swingPart, this.maxSeparation));
     }
 
     /**
@@ -173,6 +418,18 @@ export class SliceableFruit extends Component {
         }
     }
 
+    /**
+     * Pool of clones of the hit effect prefab
+     * @returns {import('./js/object-pool.js').ObjectPool}
+     */
+    getEffectPool() {
+        const prefab = this.hitEffectPrefab;
+        return objectPools(this.engine).pool(`effect:${prefab.objectId}`, {
+            name: `effect ${prefab.name}`,
+            create: () => instantiatePrefab(prefab, { active: false })
+        });
+    }
+
     /**
      * Spawn particle effects at hit position
      */
@@ -185,8 +442,9 @@ export class SliceableFruit extends Component {
         }
         
         try {
-            // Clone the effect prefab
-            const effect = this.engine.scene.addObject(this.object.parent);
+            // Take a clone of the effect prefab from the pool
+            const pools = objectPools(this.engine);
+            const effect = this.getEffectPool().acquire();
             
             // Position the effect at hit location
             effect.setPositionWorld(position);
@@ -195,17 +453,14 @@ export class SliceableFruit extends Component {
                 console.log('Spawned hit effect at position:', position);
             }
             
-            // Copy components from prefab if needed
-            // Note: Manual particle system setup may be required
-            
-            // Auto-remove effect after delay
+            // Return it to the pool after a delay, the fruit itself may
+            // be gone by then
             if (this.effectLifetime > 0) {
+                const showDebug = this.showDebug;
                 setTimeout(() => {
-                    if (effect && !effect.markedDestroyed) {
-                        effect.destroy();
-                        if (this.showDebug) {
-                            console.log('Hit effect destroyed after lifetime');
-                        }
+                    pools.release(effect);
+                    if (showDebug) {
+                        console.log('Hit effect returned to its pool after lifetime');
                     }
                 }, this.effectLifetime * 1000);
             }
@@ -222,13 +477,12 @@ export class SliceableFruit extends Component {
         const pos = vec3.create();
         this.object.getPositionWorld(pos);
         
-        // Example: Destroy if falls below y = -5
+        // Example: Remove if falls below y = -5
         if (pos[1] < -5.0) {
             if (this.showDebug) {
                 console.log(`Fruit "${this.object.name}" fell out of bounds`);
             }
-            this.isDestroyed = true;
-            this.object.destroy();
+            objectPools(this.engine).release(this.object);
         }
         
         // Additional boundary checks:
@@ -236,14 +490,13 @@ export class SliceableFruit extends Component {
         // - Distance from center (radius check)
         // - Time-based lifetime
         
-        // Example: Destroy if too far from origin (radius > 10)
+        // Example: Remove if too far from origin (radius > 10)
         const distance = Math.sqrt(pos[0] * pos[0] + pos[1] * pos[1] + pos[2] * pos[2]);
         if (distance > 10.0) {
             if (this.showDebug) {
                 console.log(`Fruit "${this.object.name}" too far from origin`);
             }
-            this.isDestroyed = true;
-            this.object.destroy();
+            objectPools(this.engine).release(this.object);
         }
     }
 }
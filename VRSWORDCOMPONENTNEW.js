@@ -1,163 +1,269 @@
 // VR Sword Component with Fixed Hit Detection for Fruit Ninja
-import { Component, Property } from '@wonderlandengine/api';
-import { vec3 } from 'gl-matrix';
-
+import { Component, Emitter, Property } from '@wonderlandengine/api';
+import { quat, vec3 } from 'gl-matrix';
+import { playHaptic, sliceHapticScale } from './js/haptics.js';
+import { sweepBox, sweepSphere } from './js/blade-sweep.js';
+import { findHandObject } from './js/hand-lookup.js';
+import { MotionEstimator } from './js/motion-estimator.js';
+import { sliceableRegistry } from './js/sliceable-registry.js';
+import { requiredCutSpeed } from './js/weapons.js';
+
+/**
+ * For dual wielding, give each hand its own sword with handTracking set to
+ * 'left' and 'right'. Each sword keeps its own hit state, haptics and
+ * stats. A fruit hit by both blades in the same frame is only sliced once,
+ * by whichever sword updates first, since hit fruits leave the registry.
+ */
 export class VRSword extends Component {
     static TypeName = 'vr-sword';
 
     static Properties = {
-        // Detection radius for hitting fruits (increased for better detection)
+        // Radius of the hit sphere around fruits without a mesh, others
+        // use their mesh bounds
         hitRadius: Property.float(0.5),
 
-        // Minimum speed required to register a hit (lowered for easier hits)
+        // Minimum smoothed blade tip speed required to register a hit
         minHitSpeed: Property.float(0.1),
 
+        // Poses kept for velocity smoothing, and the age in seconds of the
+        // oldest pose used
+        velocitySamples: Property.int(8),
+        velocityWindow: Property.float(0.1),
+
+        // Use the controller velocities from the XR runtime when available
+        useXRVelocity: Property.bool(true),
+
         // Debug visualization
         showDebug: Property.bool(false),
 
-        // Hand tracking mode: 'none', 'left', or 'right'
+        // Hand to hold the sword in from the start: the controller whose
+        // input component has this handedness, or else the tracked hand
         handTracking: Property.enum(['none', 'left', 'right'], 'none'),
 
+        // Haptics on the holding controller: 'slice' for a hit, 'combo'
+        // from the second fruit in one swing, 'bomb' for bombs and 'miss'
+        // for a fast swing that hit nothing. hapticScale is this sword's
+        // share of the global haptic intensity
+        haptics: Property.bool(true),
+        hapticScale: Property.float(1.0),
+
+        // Tip speed in m/s that starts a swing, for combos and misses
+        missSwingSpeed: Property.float(3.0),
+
         // Check for hits even when not moving fast (useful for testing)
-        alwaysCheckHits: Property.bool(false)
-    };
+        alwaysCheckHits: Property.bool(false),
 
-    init() {
-        this.lastPos = vec3.create();
-        this.currentPos = vec3.create();
-        this.velocity = vec3.create();
+        // Local axis of the sword object pointing from hilt to blade tip
+        bladeAxis: Property.enum(['x', 'y', 'z', '-x', '-y', '-z'], '-z'),
 
-        // Cache to avoid searching every frame
-        this.sliceableFruits = [];
+        // Where the blade starts along bladeAxis, from the sword's origin,
+        // and how long it is, in the sword's local units
+        hiltOffset: Property.float(0.0),
+        bladeLength: Property.float(1.0),
 
-        // Get initial position
-        this.object.getPositionWorld(this.lastPos);
+        // Thickness of the cutting edge, fruits are hit this much closer
+        hitWidth: Property.float(0.0),
 
-        // Refresh fruit cache periodically
-        this.cacheRefreshTimer = 0;
-        this.cacheRefreshInterval = 0.1;
+        // 0 for a blunt blade that only cuts hard fruit with fast swings,
+        // 1 cuts anything
+        sharpness: Property.float(1.0)
+    };
 
-        // Pickup state
+    init() {
+        // Blade segment in world space, this frame and the last
+        this.hilt = vec3.create();
+        this.tip = vec3.create();
+        this.lastHilt = vec3.create();
+        this.lastTip = vec3.create();
+        this.hasLastPose = false;
+
+        // Blade velocity at the last hit in m/s
+        this.hitVelocity = vec3.create();
+
+        // Notified with (fruit, hit) for every fruit this sword hits
+        this.onFruitHit = new Emitter();
+
+        // Notified with (sword) when a fast swing starts
+        this.onSwing = new Emitter();
+
+        // Swing motion, smoothed over the last velocityWindow seconds.
+        // Velocities are in m/s and rad/s in world space, read them for
+        // scoring, haptics or impulses
+        this.motion = new MotionEstimator(this.velocitySamples, this.velocityWindow);
+        this.time = 0;
+        this.rotation = quat.create();
+        this.tipVelocity = vec3.create();
+        this.angularVelocity = vec3.create();
+        this.tipAcceleration = vec3.create();
+        this.swingSpeed = 0;
+        this.swingAcceleration = 0;
+        // 'xr' when the velocities came from the XR runtime this frame
+        this.velocitySource = 'estimated';
+
+        // Controller input component, for XR velocities and haptics
+        this.input = null;
+
+        // 'left' or 'right' while held in a hand
+        this.handedness = null;
+
+        // Current fast swing and the fruits it hit
+        this.swingActive = false;
+        this.swingHits = 0;
+
+        // Per hand stats, reset when the sword changes hands
+        this.stats = {
+            hits: 0,
+            points: 0,
+            fastestHit: 0
+        };
+
+        // Broadphase query box around the swept blade and its results
+        this.sweepMin = vec3.create();
+        this.sweepMax = vec3.create();
+        this.candidates = [];
+
+        // Broadphase metrics: the last checked frame and running totals
+        this.metrics = {
+            registered: 0,
+            candidates: 0,
+            tested: 0,
+            hits: 0,
+            frames: 0,
+            totalCandidates: 0,
+            totalTested: 0
+        };
+        this.metricsLogTimer = 0;
+
+        // Pickup state, from the grabbable component on this object
+        this.grabbable = null;
         this.isGrabbed = false;
         this.grabbingHand = null;
-
-        // Try to attach to VR hand if specified
         this.handObject = null;
-        if (this.handTracking !== 'none') {
-            this.attachToHand();
-        }
     }
 
     start() {
-        // Update cache after scene is fully loaded
-        this.updateFruitCache();
-
-        // Add pickup functionality
-        const target = this.object.getComponent('cursor-target');
-        if (target) {
-            target.addHoverFunction(this.onHover.bind(this));
-            target.addUnHoverFunction(this.onUnHover.bind(this));
-            target.addDownFunction(this.onGrab.bind(this));
-            target.addUpFunction(this.onRelease.bind(this));
-
-            if (this.showDebug) {
-                console.log('Sword pickup functionality enabled');
-            }
+        // Pickup and throwing go through the grabbable component
+        this.grabbable = this.object.getComponent('grabbable');
+        if (this.grabbable) {
+            this.grabbable.onGrab.add(this.onGrab);
+            this.grabbable.onRelease.add(this.onRelease);
         } else {
-            console.warn('No cursor-target component found. Add one to enable VR pickup!');
+            console.warn('No grabbable component found. Add one to enable VR pickup!');
         }
-    }
 
-    /**
-     * Called when VR controller hovers over the sword
-     */
-    onHover(_, cursor) {
-        // Visual feedback when controller is near
-        if (this.showDebug) {
-            console.log('Sword hovering');
+        // Enum properties hold the index into ['none', 'left', 'right']
+        if (this.handTracking !== 0) {
+            this.attachToHand(this.handTracking === 1 ? 'left' : 'right');
         }
     }
 
-    /**
-     * Called when VR controller stops hovering
-     */
-    onUnHover(_, cursor) {
-        if (this.showDebug) {
-            console.log('Sword unhover');
+    onDestroy() {
+        if (this.grabbable && !this.grabbable.isDestroyed) {
+            this.grabbable.onGrab.remove(this.onGrab);
+            this.grabbable.onRelease.remove(this.onRelease);
         }
     }
 
     /**
-     * Called when trigger is pressed while hovering (grab action)
+     * Called when a controller or hand picks up the sword
+     * @param {import('./js/grabbable.js').Grabbable} grabbable
+     * @param {Object3D} holder - Controller, cursor or hand joint object
      */
-    onGrab(_, cursor) {
+    onGrab = (grabbable, holder) => {
         this.isGrabbed = true;
-        this.grabbingHand = cursor.object; // The controller object
-
-        // Parent sword to the controller
-        this.object.parent = this.grabbingHand;
+        this.grabbingHand = holder;
 
-        // Reset local position/rotation for comfortable grip
-        this.object.resetPositionRotation();
+        // Don't sweep the jump into the hand
+        this.hasLastPose = false;
+        this.motion.reset();
+        this.input = grabbable.input || this.findInput(holder);
+        this.setHandedness(grabbable.handedness);
 
         if (this.showDebug) {
             console.log('Sword grabbed!');
         }
-    }
+    };
 
     /**
-     * Called when trigger is released (drop action)
+     * Called when the sword is dropped or thrown, it keeps its world pose
      */
-    onRelease(_, cursor) {
+    onRelease = () => {
         this.isGrabbed = false;
         this.grabbingHand = null;
+        this.input = null;
+        this.setHandedness(null);
 
         if (this.showDebug) {
             console.log('Sword released');
         }
-
-        // Optional: You could add physics here to make the sword fall
-        // or keep it floating in place
-    }
+    };
 
     /**
      * Attach sword to VR controller hand (auto-attach on start)
+     * @param {'left'|'right'} handedness
      */
-    attachToHand() {
-        // Find the hand object in the scene
-        const handName = this.handTracking === 'left' ? 'LeftHand' : 'RightHand';
-        const hand = this.engine.scene.findByName(handName)[0];
+    attachToHand(handedness) {
+        const hand = this.findHandObject(handedness);
 
         if (hand) {
             this.handObject = hand;
-            // Parent the sword to the hand
-            this.object.parent = hand;
-            this.isGrabbed = true;
-            this.grabbingHand = hand;
+            if (this.grabbable) {
+                // Holds it in the grip pose and notifies onGrab
+                this.grabbable.grab(hand);
+            } else {
+                this.object.parent = hand;
+                this.isGrabbed = true;
+                this.grabbingHand = hand;
+                this.hasLastPose = false;
+                this.motion.reset();
+                this.input = this.findInput(hand);
+            }
+            this.setHandedness(handedness);
 
             if (this.showDebug) {
-                console.log(`Sword auto-attached to ${handName}`);
+                console.log(`Sword auto-attached to ${hand.name} (${handedness})`);
             }
         } else {
-            console.warn(`Could not find ${handName} in scene. Make sure VR hands are set up.`);
+            console.warn(`Could not find a ${handedness} controller or tracked hand. Make sure VR hands are set up.`);
         }
     }
 
+    /**
+     * Object with a controller input component of the given handedness,
+     * or else with a hand-tracking component of it
+     * @param {'left'|'right'} handedness
+     * @returns {Object3D|null}
+     */
+    findHandObject(handedness) {
+        return findHandObject(this.engine.scene.children, handedness);
+    }
+
+    /**
+     * Start fresh stats when the sword changes hands
+     * @param {'left'|'right'|null} handedness
+     */
+    setHandedness(handedness) {
+        if (handedness === this.handedness) return;
+        this.handedness = handedness;
+        this.stats.hits = 0;
+        this.stats.points = 0;
+        this.stats.fastestHit = 0;
+    }
+
     update(dt) {
-        // Get current sword position
-        this.object.getPositionWorld(this.currentPos);
-
-        // Calculate velocity
-        vec3.subtract(this.velocity, this.currentPos, this.lastPos);
-        const speed = vec3.length(this.velocity) / dt;
-
-        // Periodically refresh the fruit cache
-        this.cacheRefreshTimer += dt;
-        if (this.cacheRefreshTimer >= this.cacheRefreshInterval) {
-            this.updateFruitCache();
-            this.cacheRefreshTimer = 0;
+        // Get current blade segment
+        this.getBladeSegment(this.hilt, this.tip);
+        if (!this.hasLastPose) {
+            vec3.copy(this.lastHilt, this.hilt);
+            vec3.copy(this.lastTip, this.tip);
+            this.hasLastPose = true;
         }
 
+        // The tip moves fastest, also when the wrist only turns
+        this.updateMotion(dt);
+        this.updateSwing();
+        const speed = this.swingSpeed;
+
         // Only check for hits when sword is grabbed
         if (this.isGrabbed) {
             const shouldCheck = this.alwaysCheckHits || speed > this.minHitSpeed;
@@ -171,99 +277,293 @@ export class VRSword extends Component {
             console.log(`Sword speed: ${speed.toFixed(2)}`);
         }
 
-        // Store position for next frame
-        vec3.copy(this.lastPos, this.currentPos);
+        // Debug broadphase metrics once a second
+        this.metricsLogTimer += dt;
+        if (this.showDebug && this.metricsLogTimer >= 1) {
+            this.metricsLogTimer = 0;
+            const m = this.metrics;
+            const average = m.frames > 0 ? m.totalCandidates / m.frames : 0;
+            console.log(`Sword broadphase: ${m.registered} registered, ` +
+                `${m.candidates} candidates, ${m.tested} tested last frame, ` +
+                `${average.toFixed(2)} candidates per frame on average`);
+        }
+
+        // Store blade for next frame
+        vec3.copy(this.lastHilt, this.hilt);
+        vec3.copy(this.lastTip, this.tip);
     }
 
-    updateFruitCache() {
-        // Clear old cache
-        this.sliceableFruits = [];
+    /**
+     * Update tipVelocity, angularVelocity, tipAcceleration, swingSpeed and
+     * swingAcceleration for this frame
+     * @param {number} dt - Frame time in seconds
+     */
+    updateMotion(dt) {
+        this.time += dt;
+        this.getBladeRotation(this.rotation);
+        this.motion.push(this.time, this.tip, this.rotation);
+
+        if (!this.readXRVelocity()) {
+            this.velocitySource = 'estimated';
+            vec3.copy(this.tipVelocity, this.motion.linearVelocity);
+            vec3.copy(this.angularVelocity, this.motion.angularVelocity);
+        }
+        vec3.copy(this.tipAcceleration, this.motion.acceleration);
 
-        // Find all active fruits
-        this.collectActiveFruits(this.engine.scene.children);
+        this.swingSpeed = vec3.length(this.tipVelocity);
+        this.swingAcceleration = vec3.length(this.tipAcceleration);
+    }
 
-        if (this.showDebug) {
-            console.log(`Found ${this.sliceableFruits.length} fruits`);
+    /**
+     * Track fast swings, a swing ends below half of missSwingSpeed
+     */
+    updateSwing() {
+        if (this.swingSpeed >= this.missSwingSpeed) {
+            if (!this.swingActive) {
+                this.swingActive = true;
+                this.swingHits = 0;
+                if (this.isGrabbed) this.onSwing.notify(this);
+            }
+        } else if (this.swingActive && this.swingSpeed < this.missSwingSpeed * 0.5) {
+            this.swingActive = false;
+            if (this.swingHits === 0 && this.isGrabbed) {
+                this.playHaptics('miss');
+            }
         }
     }
 
-    collectActiveFruits(objects) {
-        for (let obj of objects) {
-            // Check if object is active and has the sliceable-fruit component
-            if (obj.active) {
-                const sliceable = obj.getComponent('sliceable-fruit');
-                if (sliceable && !sliceable.isDestroyed) {
-                    this.sliceableFruits.push({
-                        object: obj,
-                        component: sliceable
-                    });
-                }
-
-                // Recursively check children
-                if (obj.children && obj.children.length > 0) {
-                    this.collectActiveFruits(obj.children);
-                }
-            }
+    /**
+     * Play a haptic pattern on the controller holding this sword only
+     * @param {string} pattern - Name in HAPTIC_PATTERNS
+     * @param {number} [scale] - Intensity scale, 0 to 1
+     */
+    playHaptics(pattern, scale = 1) {
+        if (!this.haptics || !this.input) return;
+        playHaptic(this.input.object, pattern, { scale: scale * this.hapticScale });
+    }
+
+    /**
+     * Velocities of the holding controller's grip pose, if the XR runtime
+     * reports them, moved to the blade tip
+     * @returns {boolean} Whether tipVelocity and angularVelocity were set
+     */
+    readXRVelocity() {
+        const xr = this.engine.xr;
+        if (!this.useXRVelocity || !this.input || !xr || !xr.frame) return false;
+
+        const source = this.input.xrInputSource;
+        if (!source || !source.gripSpace) return false;
+
+        const pose = xr.frame.getPose(source.gripSpace, xr.currentReferenceSpace);
+        if (!pose || !pose.linearVelocity || !pose.angularVelocity) return false;
+
+        // The pose is relative to the tracked space the controller is in
+        const p = pose.transform.position;
+        const grip = vec3.fromValues(p.x, p.y, p.z);
+        vec3.set(this.tipVelocity, pose.linearVelocity.x, pose.linearVelocity.y, pose.linearVelocity.z);
+        vec3.set(this.angularVelocity, pose.angularVelocity.x, pose.angularVelocity.y, pose.angularVelocity.z);
+        const space = this.input.object.parent;
+        if (space) {
+            space.transformPointWorld(grip, grip);
+            space.transformVectorWorld(this.tipVelocity, this.tipVelocity);
+            vec3.transformQuat(this.angularVelocity, this.angularVelocity, space.getRotationWorld(quat.create()));
+        }
+
+        // Tip velocity of the rigid sword: grip velocity plus the spin
+        const lever = vec3.subtract(vec3.create(), this.tip, grip);
+        const spin = vec3.cross(vec3.create(), this.angularVelocity, lever);
+        vec3.add(this.tipVelocity, this.tipVelocity, spin);
+
+        this.velocitySource = 'xr';
+        return true;
+    }
+
+    /**
+     * Velocity of a point on the blade, from the tip velocity and the spin
+     * @param {vec3} point - World space point on the blade
+     * @param {vec3} out - Destination
+     * @returns {vec3} out
+     */
+    getPointVelocity(point, out) {
+        const lever = vec3.subtract(vec3.create(), point, this.tip);
+        vec3.cross(out, this.angularVelocity, lever);
+        return vec3.add(out, out, this.tipVelocity);
+    }
+
+    /**
+     * The input component on the holding object or one of its parents
+     * @param {Object3D|null} object
+     * @returns {InputComponent|null}
+     */
+    findInput(object) {
+        for (let o = object; o; o = o.parent) {
+            const input = o.getComponent('input');
+            if (input) return input;
         }
+        return null;
     }
 
     checkForHits() {
-        const tempPos = vec3.create();
+        const from = { hilt: this.lastHilt, tip: this.lastTip };
+        const to = { hilt: this.hilt, tip: this.tip };
+
+        // Box around the swept quad, padded for fruits without a mesh which
+        // are spheres of hitRadius around their position, and the edge
+        const padding = this.hitRadius + this.hitWidth * 0.5;
+        for (let k = 0; k < 3; k++) {
+            const min = Math.min(this.lastHilt[k], this.lastTip[k], this.hilt[k], this.tip[k]);
+            const max = Math.max(this.lastHilt[k], this.lastTip[k], this.hilt[k], this.tip[k]);
+            this.sweepMin[k] = min - padding;
+            this.sweepMax[k] = max + padding;
+        }
+        const candidates = sliceableRegistry.query(this.sweepMin, this.sweepMax, this.candidates);
 
-        // Check each fruit in cache
-        for (let i = this.sliceableFruits.length - 1; i >= 0; i--) {
-            const fruit = this.sliceableFruits[i];
+        const metrics = this.metrics;
+        metrics.registered = sliceableRegistry.size;
+        metrics.candidates = candidates.length;
+        metrics.tested = 0;
+        metrics.hits = 0;
 
-            // Skip if already destroyed or inactive
-            if (!fruit.object || !fruit.object.active || fruit.component.isDestroyed) {
-                // Remove from cache
-                this.sliceableFruits.splice(i, 1);
+        for (const fruit of candidates) {
+            // Freshly cut pieces can't be hit by the same swing
+            if (fruit.isSliced || fruit.hitCooldown > 0) {
                 continue;
             }
 
-            // Get fruit position
-            fruit.object.getPositionWorld(tempPos);
-
-            // Calculate distance to current position
-            const distance = vec3.distance(this.currentPos, tempPos);
+            metrics.tested++;
+            const hit = this.sweepFruit(fruit, from, to);
+            // Trigger hit, the fruit leaves the registry
+            if (hit && this.cuts(fruit, hit) && this.hitFruit(fruit, hit)) {
+                metrics.hits++;
+            }
+        }
 
-            // IMPORTANT FIX: Also check distance to last position
-            // This catches fast movements that would otherwise pass through
-            const lastDistance = vec3.distance(this.lastPos, tempPos);
-            
-            // Use the minimum distance (closest the sword got to the fruit)
-            const minDistance = Math.min(distance, lastDistance);
+        metrics.frames++;
+        metrics.totalCandidates += metrics.candidates;
+        metrics.totalTested += metrics.tested;
+    }
 
-            // Debug output when near fruits
-            if (this.showDebug && minDistance < this.hitRadius * 2) {
-                console.log(`Near fruit! Distance: ${minDistance.toFixed(3)}, Radius: ${this.hitRadius}`);
-            }
+    /**
+     * Sweep the blade against a fruit's bounding sphere or box in world space
+     * @param {import('./VRSLICEABLEFRUITNEW.js').SliceableFruit} fruit
+     * @param {{hilt: vec3, tip: vec3}} from - Blade at the last frame
+     * @param {{hilt: vec3, tip: vec3}} to - Blade at this frame
+     * @returns {import('./js/blade-sweep.js').SweepHit|null}
+     */
+    sweepFruit(fruit, from, to) {
+        const bounds = fruit.getLocalBounds();
+        const edge = this.hitWidth * 0.5;
 
-            // Check if within hit radius
-            if (minDistance <= this.hitRadius) {
-                // Trigger hit
-                this.hitFruit(fruit);
+        if (!bounds) {
+            const center = fruit.object.getPositionWorld(vec3.create());
+            return sweepSphere(from, to, center, this.hitRadius + edge);
+        }
 
-                // Remove from cache
-                this.sliceableFruits.splice(i, 1);
+        // Enum properties hold the index into ['sphere', 'box']
+        const object = fruit.object;
+        if (fruit.hitShape === 1) {
+            const center = object.transformPointWorld(vec3.create(), bounds.center);
+            const axes = [];
+            const extents = [];
+            for (let k = 0; k < 3; k++) {
+                // Scaled local axes, their lengths scale the extents
+                const axis = vec3.create();
+                axis[k] = 1;
+                object.transformVectorWorld(axis, axis);
+                const length = vec3.length(axis);
+                extents.push(bounds.extents[k] * length + edge);
+                axes.push(length > 0 ? vec3.scale(axis, axis, 1 / length) : axis);
             }
+            return sweepBox(from, to, { center, axes, extents });
         }
+
+        const center = object.transformPointWorld(vec3.create(), bounds.sphereCenter);
+        const scale = object.getScalingWorld(vec3.create());
+        const radius = bounds.radius * Math.max(Math.abs(scale[0]), Math.abs(scale[1]), Math.abs(scale[2]));
+        return sweepSphere(from, to, center, radius + edge);
+    }
+
+    /**
+     * Whether the blade is fast enough at the hit to cut the fruit, blunt
+     * blades glance off hard fruit. Bombs go off at any speed
+     * @param {import('./VRSLICEABLEFRUITNEW.js').SliceableFruit} fruit
+     * @param {import('./js/blade-sweep.js').SweepHit} hit
+     * @returns {boolean}
+     */
+    cuts(fruit, hit) {
+        if (fruit.isBomb || this.sharpness >= 1) return true;
+        const speed = vec3.length(this.getPointVelocity(hit.point, this.hitVelocity));
+        return speed >= requiredCutSpeed(fruit.hardness, this.sharpness);
+    }
+
+    /**
+     * World space blade segment from the hiltOffset and bladeLength
+     * properties along bladeAxis
+     * @param {vec3} hilt - Destination for the start of the blade
+     * @param {vec3} tip - Destination for the tip
+     */
+    getBladeSegment(hilt, tip) {
+        const axis = vec3.create();
+        axis[this.bladeAxis % 3] = this.bladeAxis < 3 ? 1 : -1;
+        vec3.scale(hilt, axis, this.hiltOffset);
+        vec3.scale(tip, axis, this.hiltOffset + this.bladeLength);
+        this.object.transformPointWorld(hilt, hilt);
+        this.object.transformPointWorld(tip, tip);
+    }
+
+    /**
+     * World space rotation of the blade, for its angular velocity
+     * @param {quat} out - Destination
+     * @returns {quat} out
+     */
+    getBladeRotation(out) {
+        return this.object.getRotationWorld(out);
     }
 
-    hitFruit(fruit) {
-        // Mark as destroyed
-        fruit.component.isDestroyed = true;
+    /**
+     * World space blade direction (hilt to tip) based on the bladeAxis property
+     * @param {vec3} out - Destination vector
+     * @returns {vec3} out
+     */
+    getBladeDirection(out) {
+        // Enum properties hold the index into ['x', 'y', 'z', '-x', '-y', '-z']
+        vec3.set(out, 0, 0, 0);
+        out[this.bladeAxis % 3] = this.bladeAxis < 3 ? 1 : -1;
+        this.object.transformVectorWorld(out, out);
+        return vec3.normalize(out, out);
+    }
 
-        // Call the fruit's onHit method if it exists
-        if (typeof fruit.component.onHit === 'function') {
-            fruit.component.onHit(this.currentPos, this.velocity);
+    /**
+     * @param {import('./VRSLICEABLEFRUITNEW.js').SliceableFruit} fruit
+     * @param {import('./js/blade-sweep.js').SweepHit} hit - Where and how the
+     *     blade entered the fruit's bounds
+     * @returns {boolean} Whether the fruit took the hit
+     */
+    hitFruit(fruit, hit) {
+        // The fruit marks itself sliced and leaves the registry, so the other
+        // blade can't hit it again this frame. Ignored hits, e.g. on a piece
+        // that was just cut off, don't count
+        this.getPointVelocity(hit.point, this.hitVelocity);
+        if (!fruit.onHit(hit.point, this.hitVelocity, hit.bladeDirection)) return false;
+
+        // Harder fruits and faster cuts vibrate more, bombs always fully
+        if (this.swingActive) this.swingHits++;
+        if (fruit.isBomb) {
+            this.playHaptics('bomb');
         } else {
-            // Simple destruction fallback
-            fruit.object.destroy();
+            const scale = sliceHapticScale(vec3.length(this.hitVelocity), fruit.hardness);
+            this.playHaptics(this.swingHits >= 2 ? 'combo' : 'slice', scale);
         }
 
+        this.stats.hits++;
+        this.stats.points += fruit.pointValue;
+        this.stats.fastestHit = Math.max(this.stats.fastestHit, vec3.length(this.hitVelocity));
+
+        this.onFruitHit.notify(fruit, hit);
+
         if (this.showDebug) {
-            console.log('Fruit hit!');
+            console.log(`Fruit hit with the ${this.handedness || 'unheld'} sword!`);
         }
+        return true;
     }
 }
@@ -0,0 +1,216 @@
+import {Component, Property} from '@wonderlandengine/api';
+import {AudioSource, CursorTarget} from '@wonderlandengine/components';
+import {ButtonComponent} from './button.js';
+import {instantiatePrefab} from './prefab.js';
+import {
+    BLADE_AXES,
+    WEAPONS,
+    findWeapon,
+    loadWeaponId,
+    saveWeaponId,
+    weightHapticScale,
+} from './weapons.js';
+
+/**
+ * Browse the weapons in {@link WEAPONS} on a panel and equip them on a
+ * `vr-sword`.
+ *
+ * The previous and next buttons browse, the equip button equips the shown
+ * weapon. Without an equip button, browsing equips right away, so a single
+ * next button is enough. The equipped weapon is saved and equipped again
+ * in the next session.
+ *
+ * Buttons are built like the panel's Button, with a `button` for the
+ * hover state and haptics and its `cursor-target` for clicks.
+ *
+ * Models are cloned from the children of `modelLibrary`, named after each
+ * weapon's `model`. Keep the library inactive, author the models in the
+ * sword's space and leave the sword object itself without a mesh.
+ */
+export class Armory extends Component {
+    static TypeName = 'armory';
+    static Properties = {
+        /** Object with the `vr-sword` to equip */
+        sword: Property.object(),
+        /** Inactive object with a template child per weapon model */
+        modelLibrary: Property.object(),
+        /** Objects with a `button` component */
+        previousButton: Property.object(),
+        nextButton: Property.object(),
+        equipButton: Property.object(),
+        /** Objects with a `text` component for the shown weapon */
+        nameLabel: Property.object(),
+        statsLabel: Property.object(),
+        /** Weapon id equipped when none was saved yet */
+        defaultWeapon: Property.string('fake-sword'),
+    };
+
+    static onRegister(engine) {
+        engine.registerComponent(AudioSource);
+        engine.registerComponent(ButtonComponent);
+        engine.registerComponent(CursorTarget);
+    }
+
+    /** @type {import('./weapons.js').WeaponDefinition[]} */
+    weapons = WEAPONS;
+    /** Index of the weapon shown on the panel */
+    shownIndex = 0;
+    /** @type {import('./weapons.js').WeaponDefinition|null} */
+    equipped = null;
+
+    swordComponent = null;
+    /* Model cloned into the sword for the equipped weapon */
+    model = null;
+    swingSound = null;
+    hitSound = null;
+    /* Button targets and their listeners, to remove them again */
+    bindings = [];
+
+    start() {
+        this.swordComponent = this.sword ? this.sword.getComponent('vr-sword') : null;
+        if (!this.swordComponent) {
+            console.warn('armory: no vr-sword component found on sword');
+            return;
+        }
+        this.swordComponent.onSwing.add(this.onSwing);
+        this.swordComponent.onFruitHit.add(this.onFruitHit);
+
+        this.bind(this.previousButton, () => this.browse(-1));
+        this.bind(this.nextButton, () => this.browse(1));
+        this.bind(this.equipButton, () => this.equip(this.weapons[this.shownIndex].id));
+
+        const id = loadWeaponId(this.weapons) || this.defaultWeapon;
+        this.equip(findWeapon(id, this.weapons) ? id : this.weapons[0].id);
+    }
+
+    onDestroy() {
+        for (const {target, listener} of this.bindings) {
+            if (!target.isDestroyed) target.onClick.remove(listener);
+        }
+        this.bindings.length = 0;
+        if (this.swordComponent && !this.swordComponent.isDestroyed) {
+            this.swordComponent.onSwing.remove(this.onSwing);
+            this.swordComponent.onFruitHit.remove(this.onFruitHit);
+        }
+    }
+
+    /** @private */
+    bind(button, listener) {
+        if (!button) return;
+        if (!button.getComponent(ButtonComponent)) {
+            console.warn(`armory: no button component found on ${button.name}, it has no hover state or haptics`);
+        }
+        const target = button.getComponent(CursorTarget) || button.addComponent(CursorTarget);
+        target.onClick.add(listener);
+        this.bindings.push({target, listener});
+    }
+
+    /**
+     * Show the next or previous weapon
+     *
+     * @param {number} step 1 or -1
+     */
+    browse(step) {
+        const count = this.weapons.length;
+        this.shownIndex = (((this.shownIndex + step) % count) + count) % count;
+        if (!this.equipButton) {
+            this.equip(this.weapons[this.shownIndex].id);
+        } else {
+            this.updateLabels();
+        }
+    }
+
+    /**
+     * Equip a weapon on the sword and remember it for the next session
+     *
+     * @param {string} id
+     */
+    equip(id) {
+        const weapon = findWeapon(id, this.weapons);
+        if (!weapon) throw new Error(`Unknown weapon '${id}'`);
+
+        this.equipped = weapon;
+        this.shownIndex = this.weapons.indexOf(weapon);
+        this.applyStats(weapon);
+        this.applyModel(weapon);
+        this.applySounds(weapon);
+        saveWeaponId(weapon.id);
+        this.updateLabels();
+    }
+
+    /** @private */
+    applyStats(weapon) {
+        const sword = this.swordComponent;
+        sword.bladeAxis = BLADE_AXES.indexOf(weapon.blade.axis);
+        sword.hiltOffset = weapon.blade.hiltOffset;
+        sword.bladeLength = weapon.blade.length;
+        sword.hitWidth = weapon.hitWidth;
+        sword.sharpness = weapon.sharpness;
+        sword.hapticScale = weightHapticScale(weapon.weight);
+
+        const grabbable = this.sword.getComponent('grabbable');
+        if (grabbable) {
+            grabbable.gripPosition = weapon.grip.position;
+            grabbable.gripRotation = weapon.grip.rotation;
+            grabbable.applyGrip();
+        }
+        const body = this.sword.getComponent('rigid-body');
+        if (body) body.mass = weapon.weight;
+
+        const trail = this.sword.getComponent('blade-trail');
+        if (trail) {
+            trail.color = weapon.trail.color;
+            trail.flashColor = weapon.trail.flashColor;
+            trail.lifetime = weapon.trail.lifetime;
+            trail.minWidth = weapon.trail.minWidth;
+        }
+    }
+
+    /** @private */
+    applyModel(weapon) {
+        if (this.model && !this.model.isDestroyed) this.model.destroy();
+        this.model = null;
+        if (!this.modelLibrary) return;
+
+        const template = this.modelLibrary.findByNameDirect(weapon.model)[0];
+        if (!template) {
+            console.warn(`armory: no model '${weapon.model}' in the model library`);
+            return;
+        }
+        this.model = instantiatePrefab(template, {parent: this.sword});
+    }
+
+    /** @private */
+    applySounds(weapon) {
+        if (this.swingSound) this.swingSound.destroy();
+        if (this.hitSound) this.hitSound.destroy();
+        const {swing, hit} = weapon.sounds;
+        this.swingSound = swing ? this.sword.addComponent(AudioSource, {src: swing, hrtf: true}) : null;
+        this.hitSound = hit ? this.sword.addComponent(AudioSource, {src: hit, hrtf: true}) : null;
+    }
+
+    /** @private */
+    updateLabels() {
+        const weapon = this.weapons[this.shownIndex];
+        const equipped = weapon === this.equipped;
+        setText(this.nameLabel, equipped ? `${weapon.name} (equipped)` : weapon.name);
+        setText(
+            this.statsLabel,
+            `Blade ${weapon.blade.length.toFixed(2)}  Weight ${weapon.weight.toFixed(1)} kg\n` +
+                `Sharpness ${Math.round(weapon.sharpness * 100)}%`
+        );
+    }
+
+    onSwing = () => {
+        if (this.swingSound) this.swingSound.play();
+    };
+
+    onFruitHit = () => {
+        if (this.hitSound) this.hitSound.play();
+    };
+}
+
+function setText(object, text) {
+    const component = object ? object.getComponent('text') : null;
+    if (component) component.text = text;
+}
@@ -0,0 +1,163 @@
+import {vec3} from 'gl-matrix';
+
+/**
+ * Launch velocities for fruits that peak inside the player's reach, and the
+ * burst patterns of the `fruit-spawner`.
+ */
+
+/** Patterns of {@link burstSchedule}, in the order of the spawner's enum */
+export const BURST_PATTERNS = ['single', 'volley', 'fan', 'sweep', 'stream'];
+
+/**
+ * @typedef {Object} ReachZone
+ * @property {vec3} center World space center of the box the apexes land in
+ * @property {vec3} right Horizontal unit vector to the player's right
+ * @property {vec3} forward Horizontal unit vector away from the player
+ * @property {vec3} halfExtents Half width, height and depth of the box
+ */
+
+/**
+ * Box in front of the player that fruits peak in, so they can be sliced
+ * without stepping or bending down
+ *
+ * @param {ArrayLike<number>} head World space head position
+ * @param {ArrayLike<number>} viewForward Direction the player looks or
+ *     faces, only its horizontal part is used
+ * @param {Object} options
+ * @param {number} options.distance Horizontal distance of the center from
+ *     the head in m
+ * @param {number} options.heightOffset Height of the center relative to
+ *     the head in m, negative is below the eyes
+ * @param {ArrayLike<number>} options.size Width, height and depth in m
+ * @returns {ReachZone}
+ */
+export function reachZone(head, viewForward, {distance, heightOffset, size}) {
+    const forward = vec3.fromValues(viewForward[0], 0, viewForward[2]);
+    /* Looking straight up or down, -z is as good as any */
+    if (vec3.squaredLength(forward) < 1e-8) vec3.set(forward, 0, 0, -1);
+    vec3.normalize(forward, forward);
+    const right = vec3.fromValues(-forward[2], 0, forward[0]);
+
+    const center = vec3.scaleAndAdd(vec3.create(), head, forward, distance);
+    center[1] += heightOffset;
+
+    return {
+        center,
+        right,
+        forward,
+        halfExtents: vec3.fromValues(0.5 * size[0], 0.5 * size[1], 0.5 * size[2]),
+    };
+}
+
+/**
+ * Point in a zone
+ *
+ * @param {vec3} out
+ * @param {ReachZone} zone
+ * @param {number} x -1 at the left to 1 at the right
+ * @param {number} y -1 at the bottom to 1 at the top
+ * @param {number} z -1 at the near to 1 at the far side
+ * @returns {vec3} out
+ */
+export function zonePoint(out, zone, x, y, z) {
+    const {center, right, forward, halfExtents} = zone;
+    vec3.scaleAndAdd(out, center, right, x * halfExtents[0]);
+    vec3.scaleAndAdd(out, out, forward, z * halfExtents[2]);
+    out[1] += y * halfExtents[1];
+    return out;
+}
+
+/**
+ * Launch velocity and gravity for an arc that peaks at `apex` after
+ * `flightTime`
+ *
+ * @param {vec3} out Launch velocity in m/s
+ * @param {ArrayLike<number>} from Launch position
+ * @param {ArrayLike<number>} apex Highest point of the arc
+ * @param {number} flightTime Seconds from the launch to the apex
+ * @returns {number} Gravity in m/s² the arc needs, 0 if the apex isn't
+ *     above the launch position
+ */
+export function apexVelocity(out, from, apex, flightTime) {
+    const height = apex[1] - from[1];
+    if (height <= 0 || flightTime <= 0) {
+        vec3.zero(out);
+        return 0;
+    }
+    vec3.set(out, (apex[0] - from[0]) / flightTime, (2 * height) / flightTime, (apex[2] - from[2]) / flightTime);
+    return (2 * height) / (flightTime * flightTime);
+}
+
+/**
+ * Launch velocity for an arc that peaks at `apex` under a given gravity,
+ * e.g. the global gravity of PhysX
+ *
+ * @param {vec3} out Launch velocity in m/s
+ * @param {ArrayLike<number>} from Launch position
+ * @param {ArrayLike<number>} apex Highest point of the arc
+ * @param {number} gravity Downwards acceleration in m/s²
+ * @returns {number} Seconds from the launch to the apex, 0 if the apex
+ *     isn't above the launch position
+ */
+export function apexVelocityForGravity(out, from, apex, gravity) {
+    const height = apex[1] - from[1];
+    if (height <= 0 || gravity <= 0) {
+        vec3.zero(out);
+        return 0;
+    }
+    const flightTime = Math.sqrt((2 * height) / gravity);
+    apexVelocity(out, from, apex, flightTime);
+    return flightTime;
+}
+
+/**
+ * @typedef {Object} Shot
+ * @property {number} delay Seconds after the start of the burst
+ * @property {number|null} lane -1 at the left to 1 at the right of the
+ *     zone, null for a random position
+ */
+
+/**
+ * @typedef {Object} Burst
+ * @property {Shot[]} shots In launch order
+ * @property {boolean} sharedLaunchPoint Whether all shots leave from the
+ *     same launch point
+ */
+
+/**
+ * Shots of a burst
+ *
+ * - `single`: one fruit
+ * - `volley`: `count` fruits at once from random launch points
+ * - `fan`: `count` fruits at once from one launch point, spread evenly
+ *   across the zone
+ * - `sweep`: `count` fruits from one launch point, `interval` apart,
+ *   from the left of the zone to the right
+ * - `stream`: `count` fruits from random launch points, `interval` apart
+ *
+ * @param {string} pattern One of {@link BURST_PATTERNS}
+ * @param {number} count Fruits in the burst, at least one
+ * @param {number} interval Seconds between shots of `sweep` and `stream`
+ * @returns {Burst}
+ */
+export function burstSchedule(pattern, count, interval) {
+    const n = Math.max(1, Math.floor(count));
+    const lane = (i) => (n > 1 ? (2 * i) / (n - 1) - 1 : 0);
+    const shots = (delay, laneOf) =>
+        Array.from({length: n}, (_, i) => ({delay: delay(i), lane: laneOf(i)}));
+
+    switch (pattern) {
+        case 'single':
+            return {shots: [{delay: 0, lane: null}], sharedLaunchPoint: true};
+        case 'volley':
+            return {shots: shots(() => 0, () => null), sharedLaunchPoint: false};
+        case 'fan':
+            return {shots: shots(() => 0, lane), sharedLaunchPoint: true};
+        case 'sweep':
+            return {shots: shots((i) => i * interval, lane), sharedLaunchPoint: true};
+        case 'stream':
+            return {shots: shots((i) => i * interval, () => null), sharedLaunchPoint: false};
+        default:
+            throw new Error(`Unknown burst pattern '${pattern}'`);
+    }
+}
@@ -0,0 +1,338 @@
+/**
+ * Swept blade hit tests.
+ *
+ * The blade is a segment from hilt to tip. Between two frames it sweeps a
+ * quad (previous hilt, previous tip, tip, hilt), which is tested against
+ * bounding spheres and oriented boxes, so fast swings can't pass through a
+ * fruit between frames. Like slice-core.js this works on plain arrays in
+ * world space and knows nothing about the engine.
+ */
+
+/**
+ * @typedef {Object} BladePose
+ * @property {ArrayLike<number>} hilt
+ * @property {ArrayLike<number>} tip
+ */
+
+/**
+ * @typedef {Object} OrientedBox
+ * @property {ArrayLike<number>} center
+ * @property {ArrayLike<number>[]} axes Three orthonormal box axes
+ * @property {ArrayLike<number>} extents Half size along each axis
+ */
+
+/**
+ * @typedef {Object} SweepHit
+ * @property {number[]} point Point on the blade where it enters the volume
+ * @property {number[]} bladeDirection Normalized hilt to tip at the entry
+ * @property {number[]} displacement Movement of `point` over the whole
+ *     sweep, divide by the frame time for its velocity
+ * @property {number} time Fraction of the sweep at the entry, 0 to 1
+ * @property {number} along Fraction of the blade at `point`, 0 at the hilt
+ *     and 1 at the tip
+ */
+
+/** Bisection steps to find the time of entry, 2^-16 of a frame */
+const ENTRY_ITERATIONS = 16;
+
+/** Iterations of the closest point search on the blade */
+const CLOSEST_ITERATIONS = 32;
+
+const EPSILON = 1e-12;
+
+function sub(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function add(a, b) {
+    return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
+
+function scale(a, s) {
+    return [a[0] * s, a[1] * s, a[2] * s];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function lerp(a, b, t) {
+    return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+}
+
+/**
+ * Closest point to `p` on segment `a`-`b`
+ *
+ * @returns {{point: number[], t: number}}
+ */
+export function closestPointOnSegment(p, a, b) {
+    const ab = sub(b, a);
+    const lengthSquared = dot(ab, ab);
+    const t = lengthSquared > EPSILON ? Math.min(Math.max(dot(sub(p, a), ab) / lengthSquared, 0), 1) : 0;
+    return {point: lerp(a, b, t), t};
+}
+
+/**
+ * Closest point to `p` on triangle `a`, `b`, `c` (Ericson, Real-Time
+ * Collision Detection 5.1.5). Degenerate triangles fall back to their edges.
+ *
+ * @returns {number[]}
+ */
+export function closestPointOnTriangle(p, a, b, c) {
+    const ab = sub(b, a);
+    const ac = sub(c, a);
+    const normal = cross(ab, ac);
+    if (dot(normal, normal) <= EPSILON * Math.max(dot(ab, ab), dot(ac, ac), EPSILON)) {
+        let best = null;
+        let bestDistance = Infinity;
+        for (const [u, v] of [[a, b], [b, c], [c, a]]) {
+            const {point} = closestPointOnSegment(p, u, v);
+            const d = sub(p, point);
+            if (dot(d, d) < bestDistance) {
+                bestDistance = dot(d, d);
+                best = point;
+            }
+        }
+        return best;
+    }
+
+    const ap = sub(p, a);
+    const d1 = dot(ab, ap);
+    const d2 = dot(ac, ap);
+    if (d1 <= 0 && d2 <= 0) return [a[0], a[1], a[2]];
+
+    const bp = sub(p, b);
+    const d3 = dot(ab, bp);
+    const d4 = dot(ac, bp);
+    if (d3 >= 0 && d4 <= d3) return [b[0], b[1], b[2]];
+
+    const vc = d1 * d4 - d3 * d2;
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) return lerp(a, b, d1 / (d1 - d3));
+
+    const cp = sub(p, c);
+    const d5 = dot(ab, cp);
+    const d6 = dot(ac, cp);
+    if (d6 >= 0 && d5 <= d6) return [c[0], c[1], c[2]];
+
+    const vb = d5 * d2 - d1 * d6;
+    if (vb <= 0 && d2 >= 0 && d6 <= 0) return lerp(a, c, d2 / (d2 - d6));
+
+    const va = d3 * d6 - d5 * d4;
+    if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+        return lerp(b, c, (d4 - d3) / (d4 - d3 + (d5 - d6)));
+    }
+
+    const denominator = 1 / (va + vb + vc);
+    return add(a, add(scale(ab, vb * denominator), scale(ac, vc * denominator)));
+}
+
+/**
+ * Whether a triangle overlaps an axis aligned box centered at the origin,
+ * by the separating axis theorem (Akenine-Möller)
+ *
+ * @param {number[][]} triangle Three points
+ * @param {ArrayLike<number>} extents Half size of the box
+ * @returns {boolean}
+ */
+export function triangleOverlapsBox(triangle, extents) {
+    const [a, b, c] = triangle;
+    const edges = [sub(b, a), sub(c, b), sub(a, c)];
+
+    const separated = (axis) => {
+        const pa = dot(a, axis);
+        const pb = dot(b, axis);
+        const pc = dot(c, axis);
+        const r =
+            extents[0] * Math.abs(axis[0]) + extents[1] * Math.abs(axis[1]) + extents[2] * Math.abs(axis[2]);
+        return Math.min(pa, pb, pc) > r || Math.max(pa, pb, pc) < -r;
+    };
+
+    /* Box faces */
+    for (let k = 0; k < 3; k++) {
+        const axis = [0, 0, 0];
+        axis[k] = 1;
+        if (separated(axis)) return false;
+    }
+
+    /* Triangle plane, zero for degenerate triangles which never separates */
+    if (separated(cross(edges[0], edges[1]))) return false;
+
+    /* Edge cross products */
+    for (const edge of edges) {
+        for (let k = 0; k < 3; k++) {
+            const axis = [0, 0, 0];
+            axis[k] = 1;
+            if (separated(cross(edge, axis))) return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Pose of the blade at a fraction of the sweep
+ *
+ * @param {BladePose} from
+ * @param {BladePose} to
+ * @param {number} t
+ * @returns {{hilt: number[], tip: number[]}}
+ */
+export function interpolatePose(from, to, t) {
+    return {hilt: lerp(from.hilt, to.hilt, t), tip: lerp(from.tip, to.tip, t)};
+}
+
+/**
+ * Sweep the blade against a sphere
+ *
+ * @param {BladePose} from Blade at the previous frame
+ * @param {BladePose} to Blade at the current frame
+ * @param {ArrayLike<number>} center
+ * @param {number} radius
+ * @returns {SweepHit|null}
+ */
+export function sweepSphere(from, to, center, radius) {
+    const c = [center[0], center[1], center[2]];
+    const radiusSquared = radius * radius;
+
+    const quadHits = (p, q) => {
+        for (const triangle of quadTriangles(p, q)) {
+            const d = sub(c, closestPointOnTriangle(c, ...triangle));
+            if (dot(d, d) <= radiusSquared) return true;
+        }
+        return false;
+    };
+    const contact = (pose) => closestPointOnSegment(c, pose.hilt, pose.tip).t;
+
+    return sweep(from, to, c, radius, quadHits, contact);
+}
+
+/**
+ * Sweep the blade against an oriented box
+ *
+ * @param {BladePose} from Blade at the previous frame
+ * @param {BladePose} to Blade at the current frame
+ * @param {OrientedBox} box
+ * @returns {SweepHit|null}
+ */
+export function sweepBox(from, to, box) {
+    const {center, axes, extents} = box;
+    const toLocal = (p) => {
+        const d = sub(p, center);
+        return [dot(d, axes[0]), dot(d, axes[1]), dot(d, axes[2])];
+    };
+    const local = (pose) => ({hilt: toLocal(pose.hilt), tip: toLocal(pose.tip)});
+
+    const quadHits = (p, q) =>
+        quadTriangles(local(p), local(q)).some((triangle) => triangleOverlapsBox(triangle, extents));
+    const contact = (pose) => {
+        const {hilt, tip} = local(pose);
+        return closestOnSegmentToBox(hilt, tip, extents);
+    };
+
+    const radius = Math.hypot(extents[0], extents[1], extents[2]);
+    return sweep(from, to, [center[0], center[1], center[2]], radius, quadHits, contact);
+}
+
+/** The swept quad as two triangles */
+function quadTriangles(from, to) {
+    return [
+        [from.hilt, from.tip, to.tip],
+        [from.hilt, to.tip, to.hilt],
+    ];
+}
+
+/**
+ * Shared sweep: rejects by the bounds of the quad, tests the quad, then
+ * bisects the sweep for the earliest sub-quad that still hits
+ *
+ * @param {BladePose} from
+ * @param {BladePose} to
+ * @param {number[]} center Center of the volume's bounding sphere
+ * @param {number} radius Radius of the volume's bounding sphere
+ * @param {(from: BladePose, to: BladePose) => boolean} quadHits
+ * @param {(pose: BladePose) => number} contact Fraction of the blade
+ *     closest to the volume
+ * @returns {SweepHit|null}
+ */
+function sweep(from, to, center, radius, quadHits, contact) {
+    for (let k = 0; k < 3; k++) {
+        const min = Math.min(from.hilt[k], from.tip[k], to.hilt[k], to.tip[k]);
+        const max = Math.max(from.hilt[k], from.tip[k], to.hilt[k], to.tip[k]);
+        if (center[k] + radius < min || center[k] - radius > max) return null;
+    }
+    if (!quadHits(from, to)) return null;
+
+    /* Earliest sub-sweep [lo, hi] that still touches the volume */
+    let lo = 0;
+    let hi = 1;
+    const start = interpolatePose(from, to, 0);
+    if (quadHits(start, start)) {
+        hi = 0;
+    } else {
+        for (let i = 0; i < ENTRY_ITERATIONS; i++) {
+            const mid = (lo + hi) / 2;
+            if (quadHits(interpolatePose(from, to, lo), interpolatePose(from, to, mid))) {
+                hi = mid;
+            } else {
+                lo = mid;
+            }
+        }
+    }
+
+    const pose = interpolatePose(from, to, hi);
+    const along = contact(pose);
+    const point = lerp(pose.hilt, pose.tip, along);
+    const displacement = sub(lerp(to.hilt, to.tip, along), lerp(from.hilt, from.tip, along));
+
+    const blade = sub(pose.tip, pose.hilt);
+    const length = Math.sqrt(dot(blade, blade));
+    const bladeDirection = length > 0 ? scale(blade, 1 / length) : [0, 0, 0];
+
+    return {point, bladeDirection, displacement, time: hi, along};
+}
+
+/** Fraction of segment `a`-`b` closest to a box centered at the origin */
+function closestOnSegmentToBox(a, b, extents) {
+    /* Middle of the part inside the box, if any (slab test) */
+    const d = sub(b, a);
+    let enter = 0;
+    let exit = 1;
+    for (let k = 0; k < 3 && enter <= exit; k++) {
+        if (Math.abs(d[k]) < EPSILON) {
+            if (Math.abs(a[k]) > extents[k]) exit = -1;
+            continue;
+        }
+        let t0 = (-extents[k] - a[k]) / d[k];
+        let t1 = (extents[k] - a[k]) / d[k];
+        if (t0 > t1) [t0, t1] = [t1, t0];
+        enter = Math.max(enter, t0);
+        exit = Math.min(exit, t1);
+    }
+    if (enter <= exit) return (enter + exit) / 2;
+
+    /* Distance to a convex volume is convex along the segment */
+    const distanceSquared = (t) => {
+        let sum = 0;
+        for (let k = 0; k < 3; k++) {
+            const x = a[k] + d[k] * t;
+            const outside = Math.max(Math.abs(x) - extents[k], 0);
+            sum += outside * outside;
+        }
+        return sum;
+    };
+    let lo = 0;
+    let hi = 1;
+    for (let i = 0; i < CLOSEST_ITERATIONS; i++) {
+        const m1 = lo + (hi - lo) / 3;
+        const m2 = hi - (hi - lo) / 3;
+        if (distanceSquared(m1) <= distanceSquared(m2)) {
+            hi = m2;
+        } else {
+            lo = m1;
+        }
+    }
+    return (lo + hi) / 2;
+}
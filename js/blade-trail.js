@@ -0,0 +1,253 @@
+import {Component, MeshAttribute, MeshIndexType, Property} from '@wonderlandengine/api';
+import {vec3, vec4} from 'gl-matrix';
+
+/**
+ * @typedef {Object} TrailSample
+ * @property {number} time Seconds
+ * @property {number[]} hilt World space
+ * @property {number[]} tip World space
+ * @property {number} intensity 0 to 1, from the swing speed
+ */
+
+/**
+ * @typedef {Object} TrailSettings
+ * @property {number} lifetime Seconds until a sample has faded out
+ * @property {number} minWidth Fraction of the blade the trail covers at
+ *     the lowest intensity, from the tip
+ */
+
+/**
+ * How strongly the trail shows at a swing speed: 0 at or below `minSpeed`,
+ * 1 at or above `fullSpeed`
+ *
+ * @param {number} speed
+ * @param {number} minSpeed
+ * @param {number} fullSpeed
+ * @returns {number}
+ */
+export function speedIntensity(speed, minSpeed, fullSpeed) {
+    if (fullSpeed <= minSpeed) return speed > minSpeed ? 1 : 0;
+    return Math.min(Math.max((speed - minSpeed) / (fullSpeed - minSpeed), 0), 1);
+}
+
+/**
+ * Ribbon vertices for the trail, two per sample, newest first.
+ *
+ * The outer vertex is at the tip, the inner one towards the hilt by the
+ * sample's intensity. Opacity is the intensity fading out over the lifetime.
+ * Vertices past the live samples collapse onto the last one with zero
+ * opacity, so a mesh of fixed size can be used.
+ *
+ * @param {TrailSample[]} samples Newest first
+ * @param {number} now Seconds
+ * @param {TrailSettings} settings
+ * @param {Float32Array} positions 3 floats per vertex, two vertices per sample
+ * @param {Float32Array} alphas 1 float per vertex
+ * @returns {number} Number of live samples
+ */
+export function buildTrailGeometry(samples, now, settings, positions, alphas) {
+    const capacity = alphas.length / 2;
+    let live = 0;
+    for (; live < Math.min(samples.length, capacity); live++) {
+        const sample = samples[live];
+        const age = now - sample.time;
+        if (age > settings.lifetime) break;
+
+        const width = settings.minWidth + (1 - settings.minWidth) * sample.intensity;
+        for (let k = 0; k < 3; k++) {
+            positions[live * 6 + k] = sample.tip[k] + (sample.hilt[k] - sample.tip[k]) * width;
+            positions[live * 6 + 3 + k] = sample.tip[k];
+        }
+        const alpha = sample.intensity * (1 - age / settings.lifetime);
+        alphas[live * 2] = alpha;
+        alphas[live * 2 + 1] = alpha;
+    }
+
+    const last = live > 0 ? (live - 1) * 6 + 3 : -1;
+    for (let i = live; i < capacity; i++) {
+        for (let k = 0; k < 3; k++) {
+            const value = last >= 0 ? positions[last + k] : 0;
+            positions[i * 6 + k] = value;
+            positions[i * 6 + 3 + k] = value;
+        }
+        alphas[i * 2] = 0;
+        alphas[i * 2 + 1] = 0;
+    }
+    return live;
+}
+
+/** Components with a blade this trail can follow */
+const BLADE_TYPES = ['vr-sword', 'hand-blade', 'swipe-blade'];
+
+/**
+ * Ribbon behind the blade of a `vr-sword`, `hand-blade` or `swipe-blade`.
+ *
+ * Samples the blade's hilt and tip every frame while it is held and fades
+ * them out over `lifetime`. The faster the swing, the wider and more opaque
+ * the ribbon. A hit flashes the trail and tints it with the fruit's juice
+ * color. Blades with a `getTrailSegment()` method draw that instead of the
+ * blade segment.
+ *
+ * Use a transparent material with vertex colors: opacity is written to the
+ * vertex color alpha, the tint to the material's color.
+ */
+export class BladeTrail extends Component {
+    static TypeName = 'blade-trail';
+    static Properties = {
+        /** Object with the blade, defaults to this object */
+        sword: Property.object(),
+        /** Material for the ribbon, cloned so each trail can be tinted */
+        material: Property.material(),
+        /** Samples kept, one per frame */
+        samples: Property.int(24),
+        /** Seconds until a sample has faded out */
+        lifetime: Property.float(0.2),
+        /** Swing speed in m/s below which there is no trail */
+        minSpeed: Property.float(1.5),
+        /** Swing speed in m/s for the full width and opacity */
+        fullSpeed: Property.float(8.0),
+        /** Fraction of the blade covered at minSpeed, from the tip */
+        minWidth: Property.float(0.25),
+        /** Trail color */
+        color: Property.color(1, 1, 1, 0.6),
+        /** Color flashed on a hit */
+        flashColor: Property.color(1, 1, 1, 1),
+        /** Seconds the hit flash takes to fade */
+        flashDuration: Property.float(0.15),
+        /** How much the last hit fruit's juice color tints the trail, 0 to 1 */
+        juiceTint: Property.float(0.6),
+    };
+
+    swordComponent = null;
+    /** @type {TrailSample[]} Newest first */
+    history = [];
+    time = 0;
+    flashTime = 0;
+    juiceColor = null;
+    currentColor = vec4.create();
+
+    trailObject = null;
+    mesh = null;
+    trailMaterial = null;
+    positions = null;
+    alphas = null;
+    vertexColors = null;
+
+    start() {
+        const object = this.sword || this.object;
+        for (const type of BLADE_TYPES) {
+            this.swordComponent = this.swordComponent || object.getComponent(type);
+        }
+        if (!this.swordComponent) {
+            console.warn('blade-trail: no blade component found');
+            return;
+        }
+        this.swordComponent.onFruitHit.add(this.onFruitHit);
+
+        const count = Math.max(2, this.samples);
+        this.positions = new Float32Array(count * 6);
+        this.alphas = new Float32Array(count * 2);
+        this.vertexColors = new Float32Array(count * 8).fill(1);
+
+        /* Two triangles between each pair of samples, wound both ways since
+         * the ribbon is seen from both sides */
+        const indexData = new Uint32Array((count - 1) * 12);
+        for (let i = 0; i < count - 1; i++) {
+            const v = i * 2;
+            indexData.set([v, v + 1, v + 2, v + 2, v + 1, v + 3, v, v + 2, v + 1, v + 2, v + 3, v + 1], i * 12);
+        }
+        this.mesh = this.engine.meshes.create({
+            vertexCount: count * 2,
+            indexData,
+            indexType: MeshIndexType.UnsignedInt,
+        });
+
+        /* Vertices are in world space, so the trail lives at the root */
+        this.trailObject = this.engine.scene.addObject(null);
+        const meshComp = this.trailObject.addComponent('mesh');
+        this.trailMaterial = this.material ? this.material.clone() : null;
+        meshComp.material = this.trailMaterial;
+        meshComp.mesh = this.mesh;
+    }
+
+    onActivate() {
+        this.history.length = 0;
+        if (this.trailObject) this.trailObject.active = true;
+    }
+
+    onDeactivate() {
+        if (this.trailObject) this.trailObject.active = false;
+    }
+
+    onDestroy() {
+        if (this.swordComponent) this.swordComponent.onFruitHit.remove(this.onFruitHit);
+        if (this.trailObject) this.trailObject.destroy();
+        if (this.mesh) this.mesh.destroy();
+    }
+
+    onFruitHit = (fruit) => {
+        this.flashTime = this.flashDuration;
+        if (fruit && fruit.juiceColor) this.juiceColor = Array.from(fruit.juiceColor);
+    };
+
+    update(dt) {
+        if (!this.mesh) return;
+        this.time += dt;
+        this.flashTime = Math.max(0, this.flashTime - dt);
+
+        /* Blades that aren't held may have no segment, the rest fades */
+        const sword = this.swordComponent;
+        if (sword.isGrabbed) {
+            const sample =
+                this.history.length >= this.positions.length / 6
+                    ? this.history.pop()
+                    : {time: 0, hilt: vec3.create(), tip: vec3.create(), intensity: 0};
+            sample.time = this.time;
+            if (sword.getTrailSegment) {
+                sword.getTrailSegment(sample.hilt, sample.tip);
+            } else {
+                sword.getBladeSegment(sample.hilt, sample.tip);
+            }
+            sample.intensity = speedIntensity(sword.swingSpeed, this.minSpeed, this.fullSpeed);
+            this.history.unshift(sample);
+        }
+
+        buildTrailGeometry(this.history, this.time, this, this.positions, this.alphas);
+        this.updateMesh();
+        this.updateColor();
+    }
+
+    /** @private */
+    updateMesh() {
+        const count = this.alphas.length;
+        this.mesh.attribute(MeshAttribute.Position).set(0, this.positions);
+
+        const colors = this.mesh.attribute(MeshAttribute.Color);
+        if (colors) {
+            for (let i = 0; i < count; i++) this.vertexColors[i * 4 + 3] = this.alphas[i];
+            colors.set(0, this.vertexColors);
+        }
+        this.mesh.update();
+    }
+
+    /** @private */
+    updateColor() {
+        if (!this.trailMaterial) return;
+
+        const color = vec4.copy(this.currentColor, this.color);
+        if (this.juiceColor) {
+            vec4.lerp(color, color, this.juiceColor, this.juiceTint);
+            color[3] = this.color[3];
+        }
+        if (this.flashDuration > 0 && this.flashTime > 0) {
+            vec4.lerp(color, color, this.flashColor, this.flashTime / this.flashDuration);
+        }
+
+        /* Flat materials call it color, Phong and physical diffuseColor */
+        if (this.trailMaterial.color !== undefined) {
+            this.trailMaterial.color = color;
+        } else if (this.trailMaterial.diffuseColor !== undefined) {
+            this.trailMaterial.diffuseColor = color;
+        }
+    }
+}
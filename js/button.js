@@ -1,21 +1,22 @@
-import {Component, InputComponent, MeshComponent, Property} from '@wonderlandengine/api';
+import {Component, MeshComponent, Property} from '@wonderlandengine/api';
 import {CursorTarget} from '@wonderlandengine/components';
 import {AudioSource} from '@wonderlandengine/spatial-audio';
+import {playHaptic} from './haptics.js';
 
 /**
  * Helper function to trigger haptic feedback pulse.
  *
- * @param {Object} object An object with 'input' component attached
+ * Plays a pattern through {@link playHaptic}, so the global haptic
+ * intensity and mute apply and controllers without `hapticActuators`
+ * rumble instead.
+ *
+ * @param {Object} object An object with 'input' component attached, or a child of it
  * @param {number} strength Strength from 0.0 - 1.0
- * @param {number} duration Duration in milliseconds
+ * @param {'ui'|'hover'} [pattern] 'ui' for presses, 'hover' for the longer
+ *     pulse when the cursor enters or leaves
  */
-export function hapticFeedback(object, strength, duration) {
-    const input = object.getComponent(InputComponent);
-    if (input && input.xrInputSource) {
-        const gamepad = input.xrInputSource.gamepad;
-        if (gamepad && gamepad.hapticActuators)
-            gamepad.hapticActuators[0].pulse(strength, duration);
-    }
+export function hapticFeedback(object, strength, pattern = 'ui') {
+    playHaptic(object, pattern, {scale: strength});
 }
 
 /**
@@ -87,21 +88,21 @@ export class ButtonComponent extends Component {
             this.onDown(_, cursor);
         }
 
-        hapticFeedback(cursor.object, 0.5, 50);
+        hapticFeedback(cursor.object, 0.5, 'hover');
     };
 
     /* Called by 'cursor-target' */
     onDown = (_, cursor) => {
         this.soundClick.play();
         this.buttonMeshObject.translate([0.0, -0.1, 0.0]);
-        hapticFeedback(cursor.object, 1.0, 20);
+        hapticFeedback(cursor.object, 1.0);
     };
 
     /* Called by 'cursor-target' */
     onUp = (_, cursor) => {
         this.soundUnClick.play();
         this.buttonMeshObject.setTranslationLocal(this.returnPos);
-        hapticFeedback(cursor.object, 0.7, 20);
+        hapticFeedback(cursor.object, 0.7);
     };
 
     /* Called by 'cursor-target' */
@@ -111,6 +112,6 @@ export class ButtonComponent extends Component {
             this.onUp(_, cursor);
         }
 
-        hapticFeedback(cursor.object, 0.3, 50);
+        hapticFeedback(cursor.object, 0.3, 'hover');
     };
 }
@@ -0,0 +1,339 @@
+import {computeVolume} from './slice-core.js';
+
+/**
+ * Collision shapes fitted to vertex positions.
+ *
+ * Like slice-core.js this works on plain typed arrays and knows nothing
+ * about the engine. All results are in the space of the given positions.
+ */
+
+/**
+ * @typedef {import('./slice-core.js').MeshData} MeshData
+ */
+
+/**
+ * @typedef {Object} Bounds
+ * @property {number[]} min
+ * @property {number[]} max
+ * @property {number[]} center
+ * @property {number[]} extents Half size along each axis
+ */
+
+/**
+ * @typedef {Object} Sphere
+ * @property {number[]} center
+ * @property {number} radius
+ */
+
+/**
+ * @typedef {Object} FittedCollider
+ * @property {'convex'|'box'|'sphere'} shape
+ * @property {number[]} center Box or sphere center, `[0, 0, 0]` for convex
+ * @property {number[]} extents Box half size, or the radius in `[0]`
+ * @property {MeshData|null} hull Convex hull, for the `convex` shape
+ * @property {number} volume Volume of the collider
+ */
+
+/** Default maximum number of convex hull vertices (PhysX allows 255) */
+export const DEFAULT_MAX_HULL_VERTICES = 64;
+
+/**
+ * Axis aligned bounding box
+ *
+ * @param {ArrayLike<number>} positions 3 floats per vertex
+ * @returns {Bounds}
+ */
+export function computeBounds(positions) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            min[k] = Math.min(min[k], positions[i + k]);
+            max[k] = Math.max(max[k], positions[i + k]);
+        }
+    }
+    if (positions.length === 0) {
+        min.fill(0);
+        max.fill(0);
+    }
+    return {
+        min,
+        max,
+        center: min.map((x, k) => (x + max[k]) / 2),
+        extents: min.map((x, k) => (max[k] - x) / 2),
+    };
+}
+
+/**
+ * Bounding sphere using Ritter's approximation, at most a few percent
+ * larger than the minimal one
+ *
+ * @param {ArrayLike<number>} positions 3 floats per vertex
+ * @returns {Sphere}
+ */
+export function fitSphere(positions) {
+    const count = positions.length / 3;
+    if (count === 0) return {center: [0, 0, 0], radius: 0};
+
+    const point = (i) => [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]];
+    const farthestFrom = (p) => {
+        let best = 0;
+        let bestDist = -1;
+        for (let i = 0; i < count; i++) {
+            const d = distanceSquared(point(i), p);
+            if (d > bestDist) {
+                bestDist = d;
+                best = i;
+            }
+        }
+        return point(best);
+    };
+
+    const a = farthestFrom(point(0));
+    const b = farthestFrom(a);
+    let center = a.map((x, k) => (x + b[k]) / 2);
+    let radius = Math.sqrt(distanceSquared(a, b)) / 2;
+
+    /* Grow the sphere to include points outside of it */
+    for (let i = 0; i < count; i++) {
+        const p = point(i);
+        const d = Math.sqrt(distanceSquared(p, center));
+        if (d <= radius) continue;
+
+        const newRadius = (radius + d) / 2;
+        const shift = (newRadius - radius) / d;
+        center = center.map((x, k) => x + (p[k] - x) * shift);
+        radius = newRadius;
+    }
+
+    return {center, radius};
+}
+
+function distanceSquared(a, b) {
+    const dx = a[0] - b[0];
+    const dy = a[1] - b[1];
+    const dz = a[2] - b[2];
+    return dx * dx + dy * dy + dz * dz;
+}
+
+function sub(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+/**
+ * Points of a cloud that are extreme along evenly spread directions.
+ *
+ * Every point returned lies on the convex hull, so hulls built from them
+ * stay within the vertex budget while keeping the overall shape.
+ *
+ * @param {ArrayLike<number>} positions 3 floats per vertex
+ * @param {number} maxPoints
+ * @returns {number[][]}
+ */
+export function extremePoints(positions, maxPoints) {
+    const count = positions.length / 3;
+    if (count <= maxPoints) {
+        const points = [];
+        for (let i = 0; i < count; i++) {
+            points.push([positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]]);
+        }
+        return points;
+    }
+
+    /* Fibonacci sphere directions */
+    const selected = new Set();
+    const golden = Math.PI * (3 - Math.sqrt(5));
+    for (let d = 0; d < maxPoints; d++) {
+        const y = 1 - ((d + 0.5) / maxPoints) * 2;
+        const r = Math.sqrt(1 - y * y);
+        const dir = [Math.cos(golden * d) * r, y, Math.sin(golden * d) * r];
+
+        let best = 0;
+        let bestDot = -Infinity;
+        for (let i = 0; i < count; i++) {
+            const p = positions[i * 3] * dir[0] + positions[i * 3 + 1] * dir[1] + positions[i * 3 + 2] * dir[2];
+            if (p > bestDot) {
+                bestDot = p;
+                best = i;
+            }
+        }
+        selected.add(best);
+    }
+
+    return [...selected].map((i) => [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]]);
+}
+
+/**
+ * Convex hull of a point cloud (incremental algorithm).
+ *
+ * The cloud is first reduced to at most `maxVertices` extreme points.
+ * Triangles wind counter-clockwise seen from outside.
+ *
+ * @param {ArrayLike<number>} positions 3 floats per vertex
+ * @param {number} [maxVertices]
+ * @returns {MeshData|null} `null` if the points are flat or degenerate
+ */
+export function computeConvexHull(positions, maxVertices = DEFAULT_MAX_HULL_VERTICES) {
+    const points = extremePoints(positions, maxVertices);
+    if (points.length < 4) return null;
+
+    const bounds = computeBounds(positions);
+    const size = Math.max(...bounds.extents) * 2;
+    const epsilon = Math.max(size * 1e-6, 1e-12);
+
+    /* Initial tetrahedron from far apart points */
+    let i0 = 0;
+    for (let i = 1; i < points.length; i++) {
+        if (points[i][0] < points[i0][0]) i0 = i;
+    }
+    const farthest = (measure) => {
+        let best = -1;
+        let bestValue = epsilon;
+        for (let i = 0; i < points.length; i++) {
+            const value = measure(points[i]);
+            if (value > bestValue) {
+                bestValue = value;
+                best = i;
+            }
+        }
+        return best;
+    };
+    const i1 = farthest((p) => Math.sqrt(distanceSquared(p, points[i0])));
+    if (i1 < 0) return null;
+    const axis = sub(points[i1], points[i0]);
+    const i2 = farthest((p) => {
+        const c = cross(axis, sub(p, points[i0]));
+        return Math.sqrt(dot(c, c) / dot(axis, axis));
+    });
+    if (i2 < 0) return null;
+    const baseNormal = cross(axis, sub(points[i2], points[i0]));
+    const baseLength = Math.sqrt(dot(baseNormal, baseNormal));
+    const i3 = farthest((p) => Math.abs(dot(baseNormal, sub(p, points[i0]))) / baseLength);
+    if (i3 < 0) return null;
+
+    const makeFace = (a, b, c) => {
+        const normal = cross(sub(points[b], points[a]), sub(points[c], points[a]));
+        const len = Math.sqrt(dot(normal, normal));
+        const n = len > 0 ? normal.map((x) => x / len) : normal;
+        return {a, b, c, normal: n, offset: dot(n, points[a])};
+    };
+    const above = (face, p) => dot(face.normal, p) - face.offset > epsilon;
+
+    /* Orient the tetrahedron outwards */
+    let faces;
+    if (dot(baseNormal, sub(points[i3], points[i0])) > 0) {
+        faces = [makeFace(i0, i2, i1), makeFace(i0, i1, i3), makeFace(i1, i2, i3), makeFace(i2, i0, i3)];
+    } else {
+        faces = [makeFace(i0, i1, i2), makeFace(i0, i3, i1), makeFace(i1, i3, i2), makeFace(i2, i3, i0)];
+    }
+
+    for (let i = 0; i < points.length; i++) {
+        if (i === i0 || i === i1 || i === i2 || i === i3) continue;
+
+        const visible = faces.filter((f) => above(f, points[i]));
+        if (visible.length === 0) continue;
+
+        /* Horizon: edges of visible faces whose neighbor is not visible */
+        const visibleEdges = new Set();
+        for (const f of visible) {
+            visibleEdges.add(`${f.a},${f.b}`);
+            visibleEdges.add(`${f.b},${f.c}`);
+            visibleEdges.add(`${f.c},${f.a}`);
+        }
+        const horizon = [];
+        for (const f of visible) {
+            for (const [a, b] of [[f.a, f.b], [f.b, f.c], [f.c, f.a]]) {
+                if (!visibleEdges.has(`${b},${a}`)) horizon.push([a, b]);
+            }
+        }
+
+        faces = faces.filter((f) => !visible.includes(f));
+        for (const [a, b] of horizon) faces.push(makeFace(a, b, i));
+    }
+
+    /* Compact to the points actually used */
+    const remap = new Map();
+    const hullPositions = [];
+    const indices = [];
+    for (const f of faces) {
+        for (const index of [f.a, f.b, f.c]) {
+            if (!remap.has(index)) {
+                remap.set(index, remap.size);
+                hullPositions.push(...points[index]);
+            }
+            indices.push(remap.get(index));
+        }
+    }
+
+    return {positions: new Float32Array(hullPositions), indices: new Uint32Array(indices)};
+}
+
+/**
+ * Fit a collider to a piece.
+ *
+ * For `auto`, a box or sphere is used if it is at most `tolerance` larger
+ * than the convex hull, since primitives are cheaper to simulate.
+ *
+ * @param {ArrayLike<number>} positions 3 floats per vertex
+ * @param {'convex'|'box'|'sphere'|'auto'} [shape]
+ * @param {Object} [options]
+ * @param {number} [options.maxHullVertices]
+ * @param {number} [options.tolerance] Allowed extra volume for `auto`, as a
+ *     fraction of the hull volume
+ * @returns {FittedCollider}
+ */
+export function fitCollider(positions, shape = 'auto', options = {}) {
+    const {maxHullVertices = DEFAULT_MAX_HULL_VERTICES, tolerance = 0.2} = options;
+
+    if (shape === 'box') return fitBox(positions);
+    if (shape === 'sphere') return fitSphereCollider(positions);
+
+    const hull = computeConvexHull(positions, maxHullVertices);
+    /* Flat pieces have no hull, a thin box still collides */
+    if (!hull) return fitBox(positions);
+
+    const convex = {
+        shape: 'convex',
+        center: [0, 0, 0],
+        extents: computeBounds(hull.positions).extents,
+        hull,
+        volume: computeVolume(hull),
+    };
+    if (shape === 'convex') return convex;
+
+    const primitive = fitPrimitive(positions);
+    return primitive.volume <= convex.volume * (1 + tolerance) ? primitive : convex;
+}
+
+/**
+ * Box or sphere collider, whichever encloses less volume. For simulations
+ * without convex shapes.
+ *
+ * @param {ArrayLike<number>} positions 3 floats per vertex
+ * @returns {FittedCollider}
+ */
+export function fitPrimitive(positions) {
+    const box = fitBox(positions);
+    const sphere = fitSphereCollider(positions);
+    return sphere.volume < box.volume ? sphere : box;
+}
+
+function fitBox(positions) {
+    const {center, extents} = computeBounds(positions);
+    const volume = 8 * extents[0] * extents[1] * extents[2];
+    return {shape: 'box', center, extents, hull: null, volume};
+}
+
+function fitSphereCollider(positions) {
+    const {center, radius} = fitSphere(positions);
+    const volume = (4 / 3) * Math.PI * radius ** 3;
+    return {shape: 'sphere', center, extents: [radius, radius, radius], hull: null, volume};
+}
@@ -0,0 +1,71 @@
+import {Component, PhysXComponent, Property} from '@wonderlandengine/api';
+import {vec3} from 'gl-matrix';
+import {RigidBody} from './rigid-body.js';
+
+/* Scale a fruit starts at, a zero scale breaks its transform */
+const MIN_SCALE = 0.001;
+
+/**
+ * Scales a fruit up from nothing when it appears and spins it around a
+ * random axis.
+ *
+ * The spin is given to the fruit's `physx` or `rigid-body`, so it carries
+ * on in the sliced pieces, or turns the object directly without a body.
+ */
+export class FruitAnimator extends Component {
+    static TypeName = 'fruit-animator';
+    static Properties = {
+        /** Seconds to scale up to the object's scale */
+        showDuration: Property.float(0.3),
+        /** Spin in degrees per second */
+        rotateSpeed: Property.float(180.0),
+    };
+
+    /** Local scale the fruit grows to */
+    targetScale = vec3.create();
+    spinAxis = vec3.create();
+    /** Seconds since the fruit appeared */
+    time = 0;
+    /* Whether the spin was handed to the body */
+    spinning = false;
+
+    start() {
+        this.object.getScalingLocal(this.targetScale);
+    }
+
+    onActivate() {
+        this.time = 0;
+        this.spinning = false;
+        vec3.random(this.spinAxis);
+        if (this.showDuration > 0) {
+            this.object.setScalingLocal(vec3.scale(vec3.create(), this.targetScale, MIN_SCALE));
+        }
+    }
+
+    update(dt) {
+        if (this.time < this.showDuration) {
+            this.time = Math.min(this.time + dt, this.showDuration);
+            /* Ease out, fast at first and settling into the full size */
+            const t = 1 - Math.pow(1 - this.time / this.showDuration, 3);
+            const scale = Math.max(t, MIN_SCALE);
+            this.object.setScalingLocal(vec3.scale(vec3.create(), this.targetScale, scale));
+        }
+
+        const body = this.getBody();
+        if (!body) {
+            this.object.rotateAxisAngleDegObject(this.spinAxis, this.rotateSpeed * dt);
+        } else if (!this.spinning) {
+            this.spinning = true;
+            const spin = (this.rotateSpeed * Math.PI) / 180;
+            body.angularVelocity = vec3.scale(vec3.create(), this.spinAxis, spin);
+        }
+    }
+
+    /** @private */
+    getBody() {
+        const physx = this.object.getComponent(PhysXComponent);
+        if (physx && physx.active) return physx;
+        const body = this.object.getComponent(RigidBody);
+        return body && body.active ? body : null;
+    }
+}
@@ -0,0 +1,253 @@
+import {Component, PhysXComponent, Property} from '@wonderlandengine/api';
+import {vec3} from 'gl-matrix';
+import {
+    BURST_PATTERNS,
+    apexVelocity,
+    apexVelocityForGravity,
+    burstSchedule,
+    reachZone,
+    zonePoint,
+} from './ballistics.js';
+import {Fruit} from './fruit.js';
+import {FruitAnimator} from './fruit-animator.js';
+import {objectPools} from './object-pool.js';
+import {instantiatePrefab} from './prefab.js';
+
+/* Head height above the tracked space before the headset reports a pose */
+const DEFAULT_EYE_HEIGHT = 1.6;
+
+/* Random number from -1 to 1 */
+const randomSigned = () => 2 * Math.random() - 1;
+
+/**
+ * Launches fruits on arcs that peak in front of the player.
+ *
+ * Each fruit is a clone of the inactive `fruitPrefab`, poolSize of them
+ * are created ahead of time and reused once they fall or are sliced. A
+ * fruit leaves from one of the children of `launchPoints`, or from a
+ * random point on the spawner's x axis across spawnAreaWidth, and reaches
+ * the top of its arc after flightTime in the reach zone: a box
+ * zoneDistance in front of the `head`, facing the same way as the
+ * `trackedSpace`. Launch points need to be below the zone.
+ *
+ * `spawnFruit()` launches a burst in the burstPattern, e.g. from a
+ * `spawn-button`. With autoInterval, bursts are launched on their own.
+ */
+export class FruitSpawner extends Component {
+    static TypeName = 'fruit-spawner';
+    static Properties = {
+        /** Inactive template for the fruits, with a `fruit` component */
+        fruitPrefab: Property.object(),
+        /** Fruits created ahead of time */
+        poolSize: Property.int(8),
+        /** Object whose children are the launch points */
+        launchPoints: Property.object(),
+        /** Width of the spawner's x axis fruits leave from without launchPoints */
+        spawnAreaWidth: Property.float(5.0),
+
+        /** Player's head, e.g. `Head`, the tracked space is used if not set */
+        head: Property.object(),
+        /** Player's tracked space, e.g. `TrackedSpace`, for the facing direction */
+        trackedSpace: Property.object(),
+        /** Horizontal distance of the reach zone from the head in m */
+        zoneDistance: Property.float(0.6),
+        /** Height of the reach zone center relative to the head in m */
+        zoneHeightOffset: Property.float(-0.15),
+        /** Width, height and depth of the reach zone in m */
+        zoneSize: Property.vector3(1.2, 0.5, 0.4),
+        /** Fraction of the reach zone the apexes spread over, 0 for its center */
+        spread: Property.float(1.0),
+
+        /** Seconds from the launch to the top of the arc */
+        flightTime: Property.float(1.0),
+        /** Random variation of the flight time in seconds */
+        flightTimeVariance: Property.float(0.15),
+        /** PhysX gravity in m/s² as in the project's physics settings, for `physx` fruits */
+        physxGravity: Property.float(9.81),
+
+        /** How the fruits of a burst are launched, see `burstSchedule()` */
+        burstPattern: Property.enum(BURST_PATTERNS, 'single'),
+        /** Fruits per burst, except for single */
+        burstCount: Property.int(3),
+        /** Seconds between the fruits of a sweep or stream */
+        burstInterval: Property.float(0.2),
+        /** Seconds between bursts launched on their own, 0 for none */
+        autoInterval: Property.float(0.0),
+    };
+
+    static onRegister(engine) {
+        engine.registerComponent(Fruit);
+        engine.registerComponent(FruitAnimator);
+    }
+
+    /**
+     * Shots of started bursts that are still to be launched
+     *
+     * @type {{time: number, lane: number|null, from: vec3|null}[]}
+     */
+    pending = [];
+    /** Seconds since the spawner was started */
+    time = 0;
+    /** Seconds until the next automatic burst */
+    autoTimer = 0;
+
+    start() {
+        if (this.fruitPrefab) this.getFruitPool().prewarm(this.poolSize);
+    }
+
+    onActivate() {
+        this.autoTimer = this.autoInterval;
+    }
+
+    onDeactivate() {
+        this.pending.length = 0;
+    }
+
+    update(dt) {
+        this.time += dt;
+
+        if (this.autoInterval > 0) {
+            this.autoTimer -= dt;
+            if (this.autoTimer <= 0) {
+                this.autoTimer += this.autoInterval;
+                this.spawnFruit();
+            }
+        }
+
+        while (this.pending.length && this.pending[0].time <= this.time) {
+            const shot = this.pending.shift();
+            this.launchShot(shot.lane, shot.from);
+        }
+    }
+
+    /** Launch a burst in the burstPattern */
+    spawnFruit() {
+        if (!this.fruitPrefab) {
+            console.warn('fruit-spawner: no fruitPrefab set');
+            return;
+        }
+
+        const {shots, sharedLaunchPoint} = burstSchedule(
+            BURST_PATTERNS[this.burstPattern],
+            this.burstCount,
+            this.burstInterval
+        );
+        const from = sharedLaunchPoint ? this.getLaunchPoint(vec3.create()) : null;
+        for (const {delay, lane} of shots) {
+            if (delay > 0) {
+                this.pending.push({time: this.time + delay, lane, from});
+            } else {
+                this.launchShot(lane, from);
+            }
+        }
+        this.pending.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Launch a clone of the prefab so it peaks at `apex`
+     *
+     * @param {ArrayLike<number>} from World space launch position
+     * @param {ArrayLike<number>} apex World space top of the arc
+     * @param {number} [flightTime] Seconds to the apex
+     * @returns {import('@wonderlandengine/api').Object3D|null} The fruit,
+     *     null if the apex isn't above the launch position
+     */
+    launchFruit(from, apex, flightTime = this.flightTime) {
+        if (apex[1] <= from[1]) {
+            console.warn('fruit-spawner: launch point is not below the reach zone');
+            return null;
+        }
+
+        const object = this.getFruitPool().acquire();
+        object.setPositionWorld(from);
+
+        const fruit = object.getComponent(Fruit) || object.addComponent(Fruit);
+        const velocity = vec3.create();
+        if (fruit.getBody() instanceof PhysXComponent) {
+            apexVelocityForGravity(velocity, from, apex, this.physxGravity);
+            fruit.launch(velocity);
+        } else {
+            const gravity = apexVelocity(velocity, from, apex, flightTime);
+            fruit.launch(velocity, gravity);
+        }
+        return object;
+    }
+
+    /**
+     * Pool of clones of the prefab, shared with other spawners of the
+     * same prefab
+     *
+     * @returns {import('./object-pool.js').ObjectPool}
+     */
+    getFruitPool() {
+        const prefab = this.fruitPrefab;
+        return objectPools(this.engine).pool(`fruit:${prefab.objectId}`, {
+            name: `fruit ${prefab.name}`,
+            create: () => instantiatePrefab(prefab, {active: false}),
+            /* Whole again for the next launch */
+            reset: (object) => {
+                const sliceable = object.getComponent('sliceable-fruit');
+                if (sliceable) sliceable.reset();
+            },
+        });
+    }
+
+    /**
+     * Reach zone in front of the player right now
+     *
+     * @returns {import('./ballistics.js').ReachZone}
+     */
+    getReachZone() {
+        const head = vec3.create();
+        if (this.head) {
+            this.head.getPositionWorld(head);
+        } else if (this.trackedSpace) {
+            this.trackedSpace.getPositionWorld(head);
+            head[1] += DEFAULT_EYE_HEIGHT;
+        } else {
+            this.object.getPositionWorld(head);
+            head[1] += DEFAULT_EYE_HEIGHT;
+        }
+
+        /* The tracked space faces the play area, wherever the head looks */
+        const forward = vec3.create();
+        (this.trackedSpace || this.head || this.object).getForwardWorld(forward);
+
+        return reachZone(head, forward, {
+            distance: this.zoneDistance,
+            heightOffset: this.zoneHeightOffset,
+            size: this.zoneSize,
+        });
+    }
+
+    /**
+     * Random launch point
+     *
+     * @param {vec3} out World space position
+     * @returns {vec3} out
+     */
+    getLaunchPoint(out) {
+        const points = this.launchPoints ? this.launchPoints.children : [];
+        if (points.length) {
+            return points[Math.floor(Math.random() * points.length)].getPositionWorld(out);
+        }
+        const x = (Math.random() - 0.5) * this.spawnAreaWidth;
+        return this.object.transformPointWorld(out, [x, 0, 0]);
+    }
+
+    /** @private */
+    launchShot(lane, from) {
+        if (this.fruitPrefab.isDestroyed) return;
+
+        const s = this.spread;
+        const apex = zonePoint(
+            vec3.create(),
+            this.getReachZone(),
+            (lane === null ? randomSigned() : lane) * s,
+            randomSigned() * s,
+            randomSigned() * s
+        );
+        const flightTime = Math.max(0.1, this.flightTime + randomSigned() * this.flightTimeVariance);
+        this.launchFruit(from || this.getLaunchPoint(vec3.create()), apex, flightTime);
+    }
+}
@@ -0,0 +1,91 @@
+import {Component, PhysXComponent, Property} from '@wonderlandengine/api';
+import {vec3} from 'gl-matrix';
+import {objectPools} from './object-pool.js';
+import {RigidBody} from './rigid-body.js';
+
+const tempPosition = vec3.create();
+
+/**
+ * A fruit in flight, launched by the `fruit-spawner`.
+ *
+ * Flies on the `physx` or `rigid-body` component of its object, a
+ * `rigid-body` is added if there is neither, so sliced pieces keep the
+ * fruit's velocity. An added body's ground is below killHeight: the fruit
+ * falls through the floor and is removed once below killHeight, or after
+ * lifetime for bodies that land on the floor. Fruits from the spawner's
+ * pool go back to it, others are destroyed.
+ */
+export class Fruit extends Component {
+    static TypeName = 'fruit';
+    static Properties = {
+        /** Gravity in m/s² of a `rigid-body`, PhysX uses its global gravity */
+        gravity: Property.float(9.81),
+        /** World space velocity in m/s when the fruit appears */
+        initialVelocity: Property.vector3(0, 0, 0),
+        /** The fruit is removed below this world height */
+        killHeight: Property.float(-2.0),
+        /** Seconds before the fruit is removed anyway, 0 for no limit */
+        lifetime: Property.float(10.0),
+    };
+
+    static onRegister(engine) {
+        engine.registerComponent(RigidBody);
+    }
+
+    /** @type {PhysXComponent|RigidBody|null} */
+    body = null;
+    /** Seconds since the fruit was launched */
+    age = 0;
+
+    start() {
+        if (vec3.squaredLength(this.initialVelocity) > 0) {
+            this.launch(this.initialVelocity);
+        }
+    }
+
+    /**
+     * Physics body the fruit flies on, added if there is none
+     *
+     * @returns {PhysXComponent|RigidBody}
+     */
+    getBody() {
+        if (this.body && !this.body.isDestroyed) return this.body;
+
+        const physx = this.object.getComponent(PhysXComponent);
+        if (physx && physx.active) {
+            this.body = physx;
+        } else {
+            this.body =
+                this.object.getComponent(RigidBody) ||
+                this.object.addComponent(RigidBody, {groundHeight: this.killHeight - 1});
+        }
+        return this.body;
+    }
+
+    /**
+     * Throw the fruit from where it is
+     *
+     * @param {ArrayLike<number>} velocity World space velocity in m/s
+     * @param {number} [gravity] Gravity in m/s² for a `rigid-body`
+     */
+    launch(velocity, gravity = this.gravity) {
+        this.gravity = gravity;
+        this.age = 0;
+
+        const body = this.getBody();
+        if (body instanceof RigidBody) {
+            body.gravity = gravity;
+            /* Start from the launch position, not where it was before */
+            body.resetState();
+        }
+        body.linearVelocity = velocity;
+    }
+
+    update(dt) {
+        this.age += dt;
+        const height = this.object.getPositionWorld(tempPosition)[1];
+        if (height < this.killHeight || (this.lifetime > 0 && this.age > this.lifetime)) {
+            objectPools(this.engine).release(this.object);
+        }
+    }
+}
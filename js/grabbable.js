@@ -0,0 +1,353 @@
+import {Component, Emitter, PhysXComponent, Property} from '@wonderlandengine/api';
+import {quat, vec3} from 'gl-matrix';
+import {MotionEstimator} from './motion-estimator.js';
+import {RigidBody} from './rigid-body.js';
+
+/** Spin in rad/s a thrown object gets at most */
+const MAX_THROW_SPIN = 30;
+
+const tempPosition = vec3.create();
+const tempRotation = quat.create();
+const tempScale = vec3.create();
+
+/**
+ * Mirror a grip pose on the holder's x axis, for the left hand when the
+ * pose was made for the right one
+ *
+ * @param {vec3} outPosition
+ * @param {quat} outRotation
+ * @param {ArrayLike<number>} position
+ * @param {ArrayLike<number>} rotation
+ */
+export function mirrorGripPose(outPosition, outRotation, position, rotation) {
+    vec3.set(outPosition, -position[0], position[1], position[2]);
+    quat.set(outRotation, rotation[0], -rotation[1], -rotation[2], rotation[3]);
+}
+
+/**
+ * Release velocity from the hand's velocity
+ *
+ * @param {vec3} out
+ * @param {ArrayLike<number>} velocity Hand velocity
+ * @param {number} multiplier
+ * @param {number} maxSpeed Length of the result at most
+ * @returns {vec3} out
+ */
+export function throwVelocity(out, velocity, multiplier, maxSpeed) {
+    vec3.scale(out, velocity, multiplier);
+    const speed = vec3.length(out);
+    if (speed > maxSpeed) vec3.scale(out, out, maxSpeed > 0 ? maxSpeed / speed : 0);
+    return out;
+}
+
+/**
+ * Reparent an object without moving it in the world
+ *
+ * @param {import('@wonderlandengine/api').Object3D} object
+ * @param {import('@wonderlandengine/api').Object3D|null} parent
+ */
+function setParentKeepWorld(object, parent) {
+    object.getPositionWorld(tempPosition);
+    object.getRotationWorld(tempRotation);
+    object.getScalingWorld(tempScale);
+    object.parent = parent;
+    object.setScalingWorld(tempScale);
+    object.setRotationWorld(tempRotation);
+    object.setPositionWorld(tempPosition);
+}
+
+/**
+ * Pick up an object and throw it.
+ *
+ * Controllers grab with the select button while their cursor points at the
+ * object, through the `cursor-target` emitters. Tracked hands grab by
+ * pinching thumb and index finger while their `finger-cursor` touches it.
+ *
+ * Controllers hold the object in its grip pose, set per object, or where
+ * it was grabbed if `snapToGrip` is off. Pinches always hold it where it
+ * was grabbed. On release it keeps its world pose and a `physx` or
+ * `rigid-body` component on it takes over, with the hand's velocity.
+ *
+ * Use `onGrab` and `onRelease` to react, e.g. `vr-sword` only slices while
+ * held and bombs or props like the burger just need this component.
+ */
+export class Grabbable extends Component {
+    static TypeName = 'grabbable';
+    static Properties = {
+        /** Position in the holding controller's space */
+        gripPosition: Property.vector3(0, 0, 0),
+        /** Rotation in the holding controller's space, euler angles in degrees */
+        gripRotation: Property.vector3(0, 0, 0),
+        /** Move into the grip pose, or else stay where the controller grabbed */
+        snapToGrip: Property.bool(true),
+        /** The grip pose is for the right hand, mirror it for the left one */
+        mirrorLeft: Property.bool(true),
+        /** Grab with a pinch while a finger-cursor touches the object */
+        allowPinch: Property.bool(true),
+        /** Throw with the hand's velocity on release, or else just drop */
+        throwable: Property.bool(true),
+        /** Multiplies the hand's velocity for a throw */
+        throwMultiplier: Property.float(1.0),
+        /** Throw speed in m/s at most */
+        maxThrowSpeed: Property.float(20.0),
+        /** Poses kept for the throw velocity, and the age in seconds of the oldest used */
+        velocitySamples: Property.int(8),
+        velocityWindow: Property.float(0.1),
+    };
+
+    /** Notified with (grabbable, holder) */
+    onGrab = new Emitter();
+    /** Notified with (grabbable, linearVelocity, angularVelocity) */
+    onRelease = new Emitter();
+
+    /** @type {import('@wonderlandengine/api').Object3D|null} Controller or hand joint holding the object */
+    holder = null;
+    /** @type {'left'|'right'|null} Hand holding the object, if known */
+    handedness = null;
+    /** `input` component of the holding controller, for haptics */
+    input = null;
+    /** Velocities of the last throw in m/s and rad/s */
+    linearVelocity = vec3.create();
+    angularVelocity = vec3.create();
+
+    target = null;
+    /* Parent to return to on release */
+    restParent = null;
+    /* Body and its state before the grab */
+    body = null;
+    bodyWasActive = false;
+    bodyWasKinematic = false;
+    /* Hand tracking touching the object with its finger-cursor, and whether
+     * a pinch there would grab: the fingers have to open first */
+    touchingHand = null;
+    pinchArmed = false;
+    /* Hand tracking holding the object with a pinch */
+    pinchingHand = null;
+    /* XR session listened to for the holding controller's select end */
+    session = null;
+    time = 0;
+
+    init() {
+        this.motion = new MotionEstimator(this.velocitySamples, this.velocityWindow);
+    }
+
+    start() {
+        this.target = this.object.getComponent('cursor-target') || this.object.addComponent('cursor-target');
+        this.target.onDown.add(this.onDown);
+        this.target.onUp.add(this.onUp);
+        this.target.onHover.add(this.onHover);
+        this.target.onUnhover.add(this.onUnhover);
+    }
+
+    onDeactivate() {
+        this.touchingHand = null;
+        this.release(false);
+    }
+
+    onDestroy() {
+        this.stopListening();
+        if (!this.target || this.target.isDestroyed) return;
+        this.target.onDown.remove(this.onDown);
+        this.target.onUp.remove(this.onUp);
+        this.target.onHover.remove(this.onHover);
+        this.target.onUnhover.remove(this.onUnhover);
+    }
+
+    /** Whether a hand holds the object */
+    get isGrabbed() {
+        return this.holder !== null;
+    }
+
+    onDown = (_, cursor) => {
+        if (cursor.type !== 'finger-cursor') this.grab(cursor.object);
+    };
+
+    onUp = (_, cursor) => {
+        if (cursor.object === this.holder) this.release();
+    };
+
+    onHover = (_, cursor) => {
+        if (!this.allowPinch || cursor.type !== 'finger-cursor') return;
+        this.touchingHand = findUp(cursor.object, 'hand-tracking');
+        this.pinchArmed = !!this.touchingHand && !isPinching(this.touchingHand);
+    };
+
+    onUnhover = (_, cursor) => {
+        if (cursor.type !== 'finger-cursor') return;
+        if (this.touchingHand === findUp(cursor.object, 'hand-tracking')) this.touchingHand = null;
+    };
+
+    onSelectEnd = (event) => {
+        if (this.input && event.inputSource === this.input.xrInputSource) this.release();
+    };
+
+    update(dt) {
+        this.time += dt;
+
+        const hand = this.touchingHand;
+        if (hand && !this.isGrabbed) {
+            const pinching = isPinching(hand);
+            if (pinching && this.pinchArmed) {
+                this.grab(hand.joints['wrist'] || hand.object, hand);
+            } else if (!pinching) {
+                this.pinchArmed = true;
+            }
+        }
+        if (this.pinchingHand && !isPinching(this.pinchingHand)) this.release();
+
+        if (this.isGrabbed) {
+            this.object.getPositionWorld(tempPosition);
+            this.object.getRotationWorld(tempRotation);
+            this.motion.push(this.time, tempPosition, tempRotation);
+        }
+    }
+
+    /**
+     * Hold the object, e.g. to start with it in a hand
+     *
+     * @param {import('@wonderlandengine/api').Object3D} holder Controller or
+     *     cursor object, or hand joint
+     * @param {Object|null} [pinchingHand] `hand-tracking` component whose
+     *     pinch holds the object, it is released when the pinch opens
+     */
+    grab(holder, pinchingHand = null) {
+        if (holder === this.holder) return;
+        if (this.isGrabbed) this.release(false);
+
+        this.restParent = this.object.parent;
+        this.holder = holder;
+        this.pinchingHand = pinchingHand;
+        this.input = pinchingHand ? null : findUp(holder, 'input');
+        this.handedness = pinchingHand
+            ? pinchingHand.handedness
+            : this.input
+              ? this.input.handedness
+              : null;
+
+        this.holdBody();
+        setParentKeepWorld(this.object, holder);
+        this.applyGrip();
+
+        this.motion.reset();
+        this.listenForSelectEnd();
+        this.onGrab.notify(this, holder);
+    }
+
+    /**
+     * Move into the grip pose, e.g. after changing it while held. Does
+     * nothing for pinches or with `snapToGrip` off
+     */
+    applyGrip() {
+        if (!this.isGrabbed || this.pinchingHand || !this.snapToGrip) return;
+
+        quat.fromEuler(tempRotation, this.gripRotation[0], this.gripRotation[1], this.gripRotation[2]);
+        if (this.mirrorLeft && this.handedness === 'left') {
+            mirrorGripPose(tempPosition, tempRotation, this.gripPosition, tempRotation);
+        } else {
+            vec3.copy(tempPosition, this.gripPosition);
+        }
+        this.object.setRotationLocal(tempRotation);
+        this.object.setPositionLocal(tempPosition);
+    }
+
+    /**
+     * Let go of the object where it is
+     *
+     * @param {boolean} [throwIt] Give it the hand's velocity, or else drop it
+     */
+    release(throwIt = this.throwable) {
+        if (!this.isGrabbed) return;
+
+        const parent = this.restParent && !this.restParent.isDestroyed ? this.restParent : null;
+        setParentKeepWorld(this.object, parent);
+
+        if (throwIt) {
+            throwVelocity(this.linearVelocity, this.motion.linearVelocity, this.throwMultiplier, this.maxThrowSpeed);
+            throwVelocity(this.angularVelocity, this.motion.angularVelocity, 1, MAX_THROW_SPIN);
+        } else {
+            vec3.zero(this.linearVelocity);
+            vec3.zero(this.angularVelocity);
+        }
+        this.releaseBody();
+
+        this.stopListening();
+        this.holder = null;
+        this.restParent = null;
+        this.pinchingHand = null;
+        this.input = null;
+        this.handedness = null;
+        this.onRelease.notify(this, this.linearVelocity, this.angularVelocity);
+    }
+
+    /** Stop the object's body from pulling it out of the hand */
+    holdBody() {
+        const physx = this.object.getComponent(PhysXComponent);
+        const body = physx && physx.active ? physx : this.object.getComponent(RigidBody);
+        this.body = body;
+        if (!body) return;
+
+        if (body === physx) {
+            this.bodyWasKinematic = physx.kinematic;
+            physx.kinematic = true;
+        } else {
+            /* Reactivating restarts the simulation from the released pose */
+            this.bodyWasActive = body.active;
+            body.active = false;
+        }
+    }
+
+    /** @private */
+    releaseBody() {
+        const body = this.body;
+        this.body = null;
+        if (!body || body.isDestroyed) return;
+
+        if (body instanceof PhysXComponent) {
+            body.kinematic = this.bodyWasKinematic;
+            if (body.kinematic) return;
+        } else {
+            body.active = this.bodyWasActive;
+        }
+        body.linearVelocity = this.linearVelocity;
+        body.angularVelocity = this.angularVelocity;
+    }
+
+    /**
+     * The controller's select end, also when its cursor no longer points
+     * at the object
+     *
+     * @private
+     */
+    listenForSelectEnd() {
+        const session = this.engine.xr ? this.engine.xr.session : null;
+        if (!session || !this.input) return;
+        this.session = session;
+        session.addEventListener('selectend', this.onSelectEnd);
+    }
+
+    /** @private */
+    stopListening() {
+        if (!this.session) return;
+        this.session.removeEventListener('selectend', this.onSelectEnd);
+        this.session = null;
+    }
+}
+
+/**
+ * Component of a type on an object or its closest parent with one
+ *
+ * @param {import('@wonderlandengine/api').Object3D|null} object
+ * @param {string} type
+ */
+function findUp(object, type) {
+    for (let o = object; o; o = o.parent) {
+        const component = o.getComponent(type);
+        if (component) return component;
+    }
+    return null;
+}
+
+/** Whether a tracked hand pinches thumb and index finger */
+function isPinching(hand) {
+    return hand.hasPose && !!hand.joints['thumb-tip'] && hand.isGrabbing();
+}
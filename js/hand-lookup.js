@@ -0,0 +1,43 @@
+import {InputType} from '@wonderlandengine/api';
+
+/* Eye and ray inputs have a handedness too, only controllers hold things */
+const CONTROLLER_TYPES = {
+    left: InputType.ControllerLeft,
+    right: InputType.ControllerRight,
+};
+
+/**
+ * Object holding the given hand in the scene: the one with a controller
+ * input component of that handedness, or else the one with a hand-tracking
+ * component of it
+ *
+ * @param {import('@wonderlandengine/api').Object3D[]} objects Roots to
+ *     search, e.g. `engine.scene.children`
+ * @param {'left'|'right'} handedness
+ * @returns {import('@wonderlandengine/api').Object3D|null}
+ */
+export function findHandObject(objects, handedness) {
+    const controllerType = CONTROLLER_TYPES[handedness];
+    let trackedHand = null;
+    const search = (objects) => {
+        for (const obj of objects) {
+            const input = obj.getComponent('input');
+            if (input && input.inputType === controllerType) return obj;
+
+            /* Hand tracking holds the enum index until initialized */
+            const tracking = obj.getComponent('hand-tracking');
+            if (
+                !trackedHand &&
+                tracking &&
+                (tracking.handedness === handedness || ['left', 'right'][tracking.handedness] === handedness)
+            ) {
+                trackedHand = obj;
+            }
+
+            const found = search(obj.children);
+            if (found) return found;
+        }
+        return null;
+    };
+    return search(objects) || trackedHand;
+}
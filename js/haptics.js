@@ -0,0 +1,167 @@
+/**
+ * Controller haptics with named patterns.
+ *
+ * A pattern is a sequence of pulses, each starting `at` milliseconds after
+ * the pattern. Pulses go to `hapticActuators[0].pulse()` of the controller's
+ * gamepad, or to `vibrationActuator.playEffect()` where a browser only has
+ * that. All intensities are scaled by {@link hapticSettings}.
+ */
+
+/**
+ * @typedef {Object} HapticPulse
+ * @property {number} [at] Start in milliseconds after the pattern starts
+ * @property {number} intensity 0 to 1
+ * @property {number} duration Milliseconds
+ */
+
+/** @type {Record<string, HapticPulse[]>} */
+export const HAPTIC_PATTERNS = {
+    /* A sharp cut, then the blade leaving the fruit */
+    slice: [
+        {at: 0, intensity: 0.7, duration: 30},
+        {at: 50, intensity: 0.35, duration: 20},
+    ],
+    /* Rising pulses for several fruits in one swing */
+    combo: [
+        {at: 0, intensity: 0.6, duration: 25},
+        {at: 70, intensity: 0.8, duration: 25},
+        {at: 140, intensity: 1.0, duration: 45},
+    ],
+    /* A heavy blast and its rumble */
+    bomb: [
+        {at: 0, intensity: 1.0, duration: 120},
+        {at: 160, intensity: 0.6, duration: 220},
+    ],
+    /* A faint tick for a fast swing that hit nothing */
+    miss: [{at: 0, intensity: 0.15, duration: 15}],
+    /* A button press or release tick, buttons scale it down for release */
+    ui: [{at: 0, intensity: 1.0, duration: 20}],
+    /* A longer buzz as the cursor enters or leaves a button */
+    hover: [{at: 0, intensity: 1.0, duration: 50}],
+};
+
+/**
+ * Global settings, e.g. from an options menu
+ * @type {{intensity: number, muted: boolean}}
+ */
+export const hapticSettings = {
+    /** Multiplies every pulse, 0 to 1 */
+    intensity: 1.0,
+    /** No haptics at all while set */
+    muted: false,
+};
+
+/**
+ * Gamepad of the XR controller an object belongs to, from the `input`
+ * component on it or one of its parents
+ *
+ * @param {import('@wonderlandengine/api').Object3D|null} object
+ * @returns {Gamepad|null}
+ */
+export function findGamepad(object) {
+    for (let o = object; o; o = o.parent) {
+        const input = o.getComponent('input');
+        if (input) {
+            const source = input.xrInputSource;
+            return source && source.gamepad ? source.gamepad : null;
+        }
+    }
+    return null;
+}
+
+/**
+ * A single pulse, ignoring the global settings
+ *
+ * @param {Gamepad|null} gamepad
+ * @param {number} intensity 0 to 1
+ * @param {number} duration Milliseconds
+ * @returns {boolean} Whether the gamepad can vibrate
+ */
+export function pulseGamepad(gamepad, intensity, duration) {
+    if (!canVibrate(gamepad)) return false;
+    const strength = Math.min(Math.max(intensity, 0), 1);
+
+    const actuator = gamepad.hapticActuators && gamepad.hapticActuators[0];
+    if (actuator && typeof actuator.pulse === 'function') {
+        actuator.pulse(strength, duration);
+    } else {
+        gamepad.vibrationActuator
+            .playEffect('dual-rumble', {
+                duration,
+                strongMagnitude: strength,
+                weakMagnitude: strength,
+            })
+            .catch(() => {});
+    }
+    return true;
+}
+
+/**
+ * @param {Gamepad|null} gamepad
+ * @returns {boolean} Whether the gamepad has a pulse or rumble actuator
+ */
+export function canVibrate(gamepad) {
+    if (!gamepad) return false;
+    const actuator = gamepad.hapticActuators && gamepad.hapticActuators[0];
+    if (actuator && typeof actuator.pulse === 'function') return true;
+    const vibration = gamepad.vibrationActuator;
+    return !!vibration && typeof vibration.playEffect === 'function';
+}
+
+/**
+ * Play a pattern on a controller
+ *
+ * @param {import('@wonderlandengine/api').Object3D|Gamepad|null} target
+ *     Controller object (or a child of it), or its gamepad
+ * @param {string|HapticPulse[]} pattern Name in {@link HAPTIC_PATTERNS} or
+ *     the pulses
+ * @param {Object} [options]
+ * @param {number} [options.scale] Multiplies the pattern's intensities,
+ *     e.g. from {@link sliceHapticScale}
+ * @param {(callback: () => void, delay: number) => void} [options.schedule]
+ *     Runs the later pulses, `setTimeout` by default
+ * @returns {boolean} Whether anything was played
+ */
+export function playHaptic(target, pattern, options = {}) {
+    if (hapticSettings.muted || hapticSettings.intensity <= 0) return false;
+
+    const pulses = typeof pattern === 'string' ? HAPTIC_PATTERNS[pattern] : pattern;
+    if (!pulses) throw new Error(`Unknown haptic pattern '${pattern}'`);
+
+    const gamepad = target && typeof target.getComponent === 'function' ? findGamepad(target) : target;
+    if (!canVibrate(gamepad)) return false;
+
+    const {scale = 1, schedule = setTimeout} = options;
+    let played = false;
+    for (const pulse of pulses) {
+        const intensity = pulse.intensity * scale * hapticSettings.intensity;
+        if (intensity <= 0) continue;
+
+        played = true;
+        const at = pulse.at || 0;
+        if (at <= 0) {
+            pulseGamepad(gamepad, intensity, pulse.duration);
+        } else {
+            /* Settings may change before a later pulse, mute still wins */
+            schedule(() => {
+                if (!hapticSettings.muted) pulseGamepad(gamepad, intensity, pulse.duration);
+            }, at);
+        }
+    }
+    return played;
+}
+
+/**
+ * Intensity scale for cutting a fruit: faster swings and harder fruits
+ * push back more
+ *
+ * @param {number} swingSpeed Blade speed in m/s
+ * @param {number} hardness 0 for soft fruit like a tomato, 1 for a coconut
+ * @param {number} [fullSpeed] Swing speed for the strongest feedback
+ * @returns {number} 0.3 to 1
+ */
+export function sliceHapticScale(swingSpeed, hardness, fullSpeed = 8) {
+    const speed = Math.min(Math.max(swingSpeed / fullSpeed, 0), 1);
+    const h = Math.min(Math.max(hardness, 0), 1);
+    return 0.3 + 0.7 * Math.min(1, 0.6 * speed + 0.4 * h);
+}
@@ -19,6 +19,11 @@ import {PlayerHeight} from '@wonderlandengine/components';
 import {TeleportComponent} from '@wonderlandengine/components';
 import {VrModeActiveSwitch} from '@wonderlandengine/components';
 import {ButtonComponent} from './button.js';
+import {Fruit} from './fruit.js';
+import {FruitAnimator} from './fruit-animator.js';
+import {FruitSpawner} from './fruit-spawner.js';
+import {SpawnButton} from './spawn-button.js';
+import {SliceableFruit} from './../VRSLICEABLEFRUITNEW.js';
 /* wle:auto-imports:end */
 
 export default function(engine) {
@@ -33,5 +38,10 @@ engine.registerComponent(PlayerHeight);
 engine.registerComponent(TeleportComponent);
 engine.registerComponent(VrModeActiveSwitch);
 engine.registerComponent(ButtonComponent);
+engine.registerComponent(Fruit);
+engine.registerComponent(FruitAnimator);
+engine.registerComponent(FruitSpawner);
+engine.registerComponent(SpawnButton);
+engine.registerComponent(SliceableFruit);
 /* wle:auto-register:end */
 }
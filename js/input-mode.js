@@ -0,0 +1,74 @@
+import {Emitter} from '@wonderlandengine/api';
+
+/**
+ * What each hand uses in the XR session: tracked hands or controllers.
+ *
+ * Headsets switch between the two when the controllers are put down, and
+ * the session's input sources change with it.
+ */
+
+/**
+ * @typedef {Object} InputSourceTypes
+ * @property {'hand'|'controller'|null} left
+ * @property {'hand'|'controller'|null} right
+ */
+
+/**
+ * @param {Iterable<XRInputSource>} inputSources
+ * @returns {InputSourceTypes}
+ */
+export function inputSourceTypes(inputSources) {
+    const types = {left: null, right: null};
+    for (const source of inputSources) {
+        if (source.handedness !== 'left' && source.handedness !== 'right') continue;
+        if (source.hand) {
+            types[source.handedness] = 'hand';
+        } else if (source.gripSpace && !types[source.handedness]) {
+            /* Some runtimes list a hand as both, the hand wins */
+            types[source.handedness] = 'controller';
+        }
+    }
+    return types;
+}
+
+/**
+ * @param {InputSourceTypes} types
+ * @returns {'hands'|'controllers'|'none'} 'hands' as soon as one hand is tracked
+ */
+export function inputMode(types) {
+    if (types.left === 'hand' || types.right === 'hand') return 'hands';
+    if (types.left || types.right) return 'controllers';
+    return 'none';
+}
+
+/** @type {WeakMap<Object, {types: InputSourceTypes, onChange: Emitter}>} */
+const watchers = new WeakMap();
+
+/**
+ * The input source types of an engine's XR session, shared by all callers
+ *
+ * `onChange` is notified with the new types when a session starts or ends
+ * and when its input sources change.
+ *
+ * @param {import('@wonderlandengine/api').WonderlandEngine} engine
+ * @returns {{types: InputSourceTypes, onChange: Emitter<[InputSourceTypes]>}}
+ */
+export function watchInputSources(engine) {
+    let watcher = watchers.get(engine);
+    if (watcher) return watcher;
+
+    watcher = {types: {left: null, right: null}, onChange: new Emitter()};
+    watchers.set(engine, watcher);
+
+    const update = (sources) => {
+        watcher.types = inputSourceTypes(sources);
+        watcher.onChange.notify(watcher.types);
+    };
+    /* Retained, so this also runs for a session that already started */
+    engine.onXRSessionStart.add((session) => {
+        session.addEventListener('inputsourceschange', () => update(session.inputSources));
+        update(session.inputSources);
+    });
+    engine.onXRSessionEnd.add(() => update([]));
+    return watcher;
+}
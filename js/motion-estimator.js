@@ -0,0 +1,191 @@
+import {quat, vec3} from 'gl-matrix';
+
+/**
+ * Smoothed velocity, angular velocity and acceleration from a short history
+ * of poses.
+ *
+ * Poses go into a ring buffer with their timestamps. Velocity is the slope
+ * of a least squares line through the recent positions, acceleration the
+ * curvature of a least squares parabola, so a single noisy pose or a long
+ * frame does not produce a spike the way a one frame difference does.
+ */
+
+/** Default ring buffer size, a bit more than a tenth of a second at 72 Hz */
+export const DEFAULT_SAMPLE_COUNT = 8;
+
+/** Default age in seconds of the oldest sample used for an estimate */
+export const DEFAULT_WINDOW = 0.1;
+
+/** Samples closer in time than this replace the previous one */
+const MIN_SAMPLE_INTERVAL = 1e-4;
+
+const tempDelta = quat.create();
+const tempInverse = quat.create();
+const tempAxis = vec3.create();
+
+export class MotionEstimator {
+    /**
+     * @param {number} [capacity] Poses kept at most
+     * @param {number} [window] Age in seconds of the oldest pose used
+     */
+    constructor(capacity = DEFAULT_SAMPLE_COUNT, window = DEFAULT_WINDOW) {
+        this.capacity = Math.max(2, Math.floor(capacity));
+        this.window = window;
+
+        this.times = new Float64Array(this.capacity);
+        this.positions = new Float64Array(this.capacity * 3);
+        this.rotations = new Float64Array(this.capacity * 4);
+        this.hasRotation = new Uint8Array(this.capacity);
+        /* Index of the newest sample */
+        this.head = -1;
+        this.count = 0;
+
+        /** Smoothed velocity in units per second */
+        this.linearVelocity = vec3.create();
+        /** Smoothed angular velocity in radians per second, around world axes */
+        this.angularVelocity = vec3.create();
+        /** Acceleration in units per second² */
+        this.acceleration = vec3.create();
+    }
+
+    /** Length of {@link linearVelocity} */
+    get speed() {
+        return vec3.length(this.linearVelocity);
+    }
+
+    /** Forget all poses, e.g. after a teleport */
+    reset() {
+        this.head = -1;
+        this.count = 0;
+        vec3.zero(this.linearVelocity);
+        vec3.zero(this.angularVelocity);
+        vec3.zero(this.acceleration);
+    }
+
+    /**
+     * Add a pose and update the estimates
+     *
+     * @param {number} time Timestamp in seconds
+     * @param {ArrayLike<number>} position
+     * @param {ArrayLike<number>} [rotation] Quaternion, for angular velocity
+     */
+    push(time, position, rotation) {
+        const replace = this.count > 0 && time - this.times[this.head] < MIN_SAMPLE_INTERVAL;
+        if (!replace) {
+            this.head = (this.head + 1) % this.capacity;
+            this.count = Math.min(this.count + 1, this.capacity);
+        }
+
+        const i = this.head;
+        this.times[i] = time;
+        this.positions[i * 3] = position[0];
+        this.positions[i * 3 + 1] = position[1];
+        this.positions[i * 3 + 2] = position[2];
+        this.hasRotation[i] = rotation ? 1 : 0;
+        if (rotation) {
+            for (let k = 0; k < 4; k++) this.rotations[i * 4 + k] = rotation[k];
+        }
+
+        this.estimate();
+    }
+
+    /** Number of samples within the window, newest first from `head` */
+    windowCount() {
+        const newest = this.times[this.head];
+        let n = 1;
+        while (n < this.count) {
+            const i = (this.head - n + this.capacity) % this.capacity;
+            if (newest - this.times[i] > this.window) break;
+            n++;
+        }
+        /* Two poses are needed for a velocity, even if they are far apart */
+        return Math.min(Math.max(n, 2), this.count);
+    }
+
+    /** @private */
+    estimate() {
+        const n = this.windowCount();
+        if (n < 2) {
+            vec3.zero(this.linearVelocity);
+            vec3.zero(this.angularVelocity);
+            vec3.zero(this.acceleration);
+            return;
+        }
+
+        const newest = this.times[this.head];
+        const index = (j) => (this.head - j + this.capacity) % this.capacity;
+
+        /* Power sums of the sample times relative to the newest one */
+        const s = [0, 0, 0, 0, 0];
+        for (let j = 0; j < n; j++) {
+            const t = this.times[index(j)] - newest;
+            let p = 1;
+            for (let k = 0; k < 5; k++, p *= t) s[k] += p;
+        }
+
+        const meanT = s[1] / n;
+        const varT = s[2] - s[1] * meanT;
+        const det = determinant3(s[0], s[1], s[2], s[1], s[2], s[3], s[2], s[3], s[4]);
+
+        for (let axis = 0; axis < 3; axis++) {
+            let sy = 0;
+            let sty = 0;
+            let stty = 0;
+            for (let j = 0; j < n; j++) {
+                const i = index(j);
+                const t = this.times[i] - newest;
+                const y = this.positions[i * 3 + axis];
+                sy += y;
+                sty += t * y;
+                stty += t * t * y;
+            }
+
+            /* Line fit: slope of y over t */
+            this.linearVelocity[axis] = varT > 0 ? (sty - meanT * sy) / varT : 0;
+
+            /* Parabola fit a + b t + c t², acceleration is 2c (Cramer's rule) */
+            if (n >= 3 && Math.abs(det) > 1e-18) {
+                const c = determinant3(s[0], s[1], sy, s[1], s[2], sty, s[2], s[3], stty) / det;
+                this.acceleration[axis] = 2 * c;
+            } else {
+                this.acceleration[axis] = 0;
+            }
+        }
+
+        this.estimateAngularVelocity(n);
+    }
+
+    /**
+     * Sum of the rotation vectors between consecutive poses over the time
+     * they took
+     *
+     * @private
+     */
+    estimateAngularVelocity(n) {
+        vec3.zero(this.angularVelocity);
+        let duration = 0;
+        for (let j = 0; j < n - 1; j++) {
+            const current = (this.head - j + this.capacity) % this.capacity;
+            const previous = (current - 1 + this.capacity) % this.capacity;
+            if (!this.hasRotation[current] || !this.hasRotation[previous]) continue;
+
+            /* World space rotation from the previous pose to the current one */
+            const r = this.rotations;
+            quat.set(tempInverse, r[previous * 4], r[previous * 4 + 1], r[previous * 4 + 2], r[previous * 4 + 3]);
+            quat.invert(tempInverse, tempInverse);
+            quat.set(tempDelta, r[current * 4], r[current * 4 + 1], r[current * 4 + 2], r[current * 4 + 3]);
+            quat.multiply(tempDelta, tempDelta, tempInverse);
+            /* Shortest way around */
+            if (tempDelta[3] < 0) quat.scale(tempDelta, tempDelta, -1);
+
+            const angle = quat.getAxisAngle(tempAxis, tempDelta);
+            vec3.scaleAndAdd(this.angularVelocity, this.angularVelocity, tempAxis, angle);
+            duration += this.times[current] - this.times[previous];
+        }
+        if (duration > 0) vec3.scale(this.angularVelocity, this.angularVelocity, 1 / duration);
+    }
+}
+
+function determinant3(a, b, c, d, e, f, g, h, i) {
+    return a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+}
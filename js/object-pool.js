@@ -0,0 +1,241 @@
+import {restoreDescendantStates, saveDescendantStates, setHierarchyActive} from './prefab.js';
+
+/**
+ * Reusable objects for things that come and go all game, like fruits,
+ * sliced pieces and hit effects, so they don't cost an allocation and
+ * garbage collection each time.
+ */
+
+/**
+ * @typedef {Object} PoolStats
+ * @property {string} name
+ * @property {number} free Objects waiting to be acquired
+ * @property {number} inUse Objects handed out and not released yet
+ * @property {number} created Objects created over the pool's lifetime
+ * @property {number} misses Acquires that found no free object and
+ *     created one
+ * @property {number} acquired
+ * @property {number} released
+ * @property {number} destroyed Released objects destroyed because the
+ *     pool was full
+ * @property {number} peakInUse Most objects in use at the same time
+ */
+
+/**
+ * Objects that are handed out activated and deactivated when returned.
+ *
+ * Created objects are deactivated until they are acquired. Acquiring
+ * activates the object's own components and gives those below it the
+ * states they had when the object was created, so a child that starts out
+ * inactive stays so. Returned objects are reset by the pool's `reset`
+ * callback and kept for the next acquire, or destroyed if `maxFree`
+ * objects are waiting already.
+ */
+export class ObjectPool {
+    /**
+     * @param {Object} options
+     * @param {string} options.name Name in the stats
+     * @param {() => import('@wonderlandengine/api').Object3D} options.create
+     *     Create a new object
+     * @param {(object: import('@wonderlandengine/api').Object3D) => void} [options.reset]
+     *     Undo what users did with a returned object, after it was
+     *     deactivated
+     * @param {number} [options.maxFree] Free objects kept at most
+     */
+    constructor({name, create, reset = null, maxFree = Infinity}) {
+        this.name = name;
+        this.create = create;
+        this.reset = reset;
+        this.maxFree = maxFree;
+
+        /** @type {import('@wonderlandengine/api').Object3D[]} */
+        this.free = [];
+        /** @type {Set<import('@wonderlandengine/api').Object3D>} */
+        this.inUse = new Set();
+        /**
+         * Component states below each object, as created
+         * @type {Map<import('@wonderlandengine/api').Object3D, boolean[]>}
+         */
+        this.states = new Map();
+
+        this.counts = {created: 0, misses: 0, acquired: 0, released: 0, destroyed: 0, peakInUse: 0};
+    }
+
+    /** Objects in the pool, free or in use */
+    get size() {
+        return this.free.length + this.inUse.size;
+    }
+
+    /**
+     * Create objects ahead of time, e.g. while loading
+     *
+     * @param {number} count Objects the pool should have at least
+     */
+    prewarm(count) {
+        while (this.size < count) {
+            const object = this.createObject();
+            setHierarchyActive(object, false);
+            this.free.push(object);
+        }
+    }
+
+    /**
+     * Take a free object or create one
+     *
+     * @returns {import('@wonderlandengine/api').Object3D} The object,
+     *     activated, where it was last released
+     */
+    acquire() {
+        let object = null;
+        while (this.free.length && !object) {
+            const candidate = this.free.pop();
+            /* E.g. destroyed with its parent while waiting */
+            if (!candidate.isDestroyed) {
+                object = candidate;
+            } else {
+                this.states.delete(candidate);
+            }
+        }
+        if (!object) {
+            object = this.createObject();
+            ++this.counts.misses;
+        }
+
+        this.inUse.add(object);
+        ++this.counts.acquired;
+        this.counts.peakInUse = Math.max(this.counts.peakInUse, this.inUse.size);
+        object.active = true;
+        restoreDescendantStates(object, this.states.get(object));
+        return object;
+    }
+
+    /**
+     * Return an acquired object
+     *
+     * @param {import('@wonderlandengine/api').Object3D} object
+     * @returns {boolean} Whether the object came from this pool and was in
+     *     use
+     */
+    release(object) {
+        if (!this.inUse.delete(object)) return false;
+        ++this.counts.released;
+        if (object.isDestroyed) {
+            this.states.delete(object);
+            return true;
+        }
+
+        setHierarchyActive(object, false);
+        if (this.reset) this.reset(object);
+        if (this.free.length >= this.maxFree) {
+            object.destroy();
+            this.states.delete(object);
+            ++this.counts.destroyed;
+        } else {
+            this.free.push(object);
+        }
+        return true;
+    }
+
+    /** Destroy the free objects, objects in use are left alone */
+    clear() {
+        for (const object of this.free) {
+            if (!object.isDestroyed) object.destroy();
+            this.states.delete(object);
+        }
+        this.free.length = 0;
+    }
+
+    /** @private */
+    createObject() {
+        const object = this.create();
+        this.states.set(object, saveDescendantStates(object));
+        ++this.counts.created;
+        return object;
+    }
+
+    /** @returns {PoolStats} */
+    getStats() {
+        return {name: this.name, free: this.free.length, inUse: this.inUse.size, ...this.counts};
+    }
+}
+
+/**
+ * The pools of an engine, by key
+ */
+export class PoolService {
+    /** @type {Map<string, ObjectPool>} */
+    pools = new Map();
+
+    /**
+     * Pool for a key, created with the options on first use
+     *
+     * @param {string} key E.g. `fruit:${prefab.objectId}`
+     * @param {ConstructorParameters<typeof ObjectPool>[0]} options
+     * @returns {ObjectPool}
+     */
+    pool(key, options) {
+        let pool = this.pools.get(key);
+        if (!pool) {
+            pool = new ObjectPool(options);
+            this.pools.set(key, pool);
+        }
+        return pool;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {ObjectPool|null}
+     */
+    get(key) {
+        return this.pools.get(key) || null;
+    }
+
+    /**
+     * Return an object to the pool it was acquired from, objects that
+     * aren't from a pool are destroyed. Use this wherever an object
+     * that may be pooled would be destroyed.
+     *
+     * @param {import('@wonderlandengine/api').Object3D} object
+     */
+    release(object) {
+        for (const pool of this.pools.values()) {
+            if (pool.release(object)) return;
+        }
+        if (!object.isDestroyed) object.destroy();
+    }
+
+    /** @returns {PoolStats[]} */
+    stats() {
+        return [...this.pools.values()].map((pool) => pool.getStats());
+    }
+}
+
+/** @type {WeakMap<object, PoolService>} */
+const services = new WeakMap();
+
+/**
+ * The pool service shared by all components of an engine
+ *
+ * @param {import('@wonderlandengine/api').WonderlandEngine} engine
+ * @returns {PoolService}
+ */
+export function objectPools(engine) {
+    let service = services.get(engine);
+    if (!service) {
+        service = new PoolService();
+        services.set(engine, service);
+    }
+    return service;
+}
+
+/**
+ * One line per pool, for a debug label or the console
+ *
+ * @param {PoolStats[]} stats
+ * @returns {string}
+ */
+export function formatPoolStats(stats) {
+    return stats
+        .map((s) => `${s.name}: ${s.inUse} in use, ${s.free} free, ${s.created} created, ${s.misses} misses`)
+        .join('\n');
+}
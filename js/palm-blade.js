@@ -0,0 +1,58 @@
+import {vec3} from 'gl-matrix';
+
+/**
+ * The outer edge of a tracked palm as a blade, for chopping with bare hands.
+ *
+ * The edge runs from the base of the pinky's metacarpal at the heel of the
+ * hand to the pinky's tip, pushed outwards past the joint centers by
+ * `edgeOffset`. The cut is in the plane of the palm.
+ */
+
+/** Joints the edge is computed from, in `hand-tracking`'s names */
+export const PALM_EDGE_JOINTS = ['middle-finger-metacarpal', 'pinky-finger-metacarpal', 'pinky-finger-tip'];
+
+const tempSide = vec3.create();
+const tempEdge = vec3.create();
+
+/**
+ * Blade segment and palm normal from world space joint positions
+ *
+ * @param {vec3} outHilt Heel of the hand end of the edge
+ * @param {vec3} outTip Pinky end of the edge
+ * @param {vec3} outNormal Unit normal of the palm's plane, zero if the
+ *     joints don't span one
+ * @param {ArrayLike<number>} middleBase Middle finger metacarpal
+ * @param {ArrayLike<number>} pinkyBase Pinky metacarpal
+ * @param {ArrayLike<number>} pinkyTip
+ * @param {number} edgeOffset Distance of the edge from the pinky joints,
+ *     away from the middle finger
+ */
+export function palmEdge(outHilt, outTip, outNormal, middleBase, pinkyBase, pinkyTip, edgeOffset) {
+    vec3.subtract(tempSide, pinkyBase, middleBase);
+    vec3.normalize(tempSide, tempSide);
+
+    vec3.scaleAndAdd(outHilt, pinkyBase, tempSide, edgeOffset);
+    vec3.scaleAndAdd(outTip, pinkyTip, tempSide, edgeOffset);
+
+    vec3.subtract(tempEdge, outTip, outHilt);
+    vec3.cross(outNormal, tempEdge, tempSide);
+    const length = vec3.length(outNormal);
+    if (length > 1e-9) {
+        vec3.scale(outNormal, outNormal, 1 / length);
+    } else {
+        vec3.zero(outNormal);
+    }
+}
+
+/**
+ * Part of a velocity in a plane, only motion along the palm cuts
+ *
+ * @param {vec3} out
+ * @param {ArrayLike<number>} velocity
+ * @param {ArrayLike<number>} normal Unit normal of the plane
+ * @returns {vec3} out
+ */
+export function velocityInPlane(out, velocity, normal) {
+    const along = vec3.dot(velocity, normal);
+    return vec3.scaleAndAdd(out, velocity, normal, -along);
+}
@@ -0,0 +1,61 @@
+/**
+ * A fixed number of slots for pointers that are down at the same time,
+ * e.g. one blade per finger on a touchscreen.
+ *
+ * Pointers keep their slot until they are released, extra pointers beyond
+ * the slot count are ignored.
+ */
+export class PointerSlots {
+    /**
+     * @param {number} count Slots available
+     */
+    constructor(count) {
+        /** @type {(number|null)[]} Pointer id in each slot */
+        this.pointers = new Array(Math.max(0, Math.floor(count))).fill(null);
+    }
+
+    /** Number of pointers in slots */
+    get active() {
+        return this.pointers.filter((id) => id !== null).length;
+    }
+
+    /**
+     * Put a pointer in the first free slot
+     *
+     * @param {number} pointerId
+     * @returns {number} Slot index, -1 if all slots are taken. A pointer
+     *     already in a slot keeps it
+     */
+    assign(pointerId) {
+        const existing = this.slotOf(pointerId);
+        if (existing !== -1) return existing;
+        const free = this.pointers.indexOf(null);
+        if (free !== -1) this.pointers[free] = pointerId;
+        return free;
+    }
+
+    /**
+     * @param {number} pointerId
+     * @returns {number} Slot index, -1 if the pointer has none
+     */
+    slotOf(pointerId) {
+        return this.pointers.indexOf(pointerId);
+    }
+
+    /**
+     * Free the pointer's slot
+     *
+     * @param {number} pointerId
+     * @returns {number} Slot index it had, -1 if none
+     */
+    release(pointerId) {
+        const slot = this.slotOf(pointerId);
+        if (slot !== -1) this.pointers[slot] = null;
+        return slot;
+    }
+
+    /** Free all slots, e.g. when the page loses focus */
+    clear() {
+        this.pointers.fill(null);
+    }
+}
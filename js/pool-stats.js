@@ -0,0 +1,51 @@
+import {Component, Property} from '@wonderlandengine/api';
+import {formatPoolStats, objectPools} from './object-pool.js';
+
+/**
+ * Shows the stats of all object pools for profiling, on a text label in
+ * the scene and/or in the console.
+ *
+ * Misses are acquires that had to create an object mid-game, raise the
+ * pool's size if they keep growing. With a `slicer` on slicerObject, the
+ * number of piece meshes alive is shown too, it should go back down as
+ * pieces return to their pool.
+ */
+export class PoolStats extends Component {
+    static TypeName = 'pool-stats';
+    static Properties = {
+        /** Object with a `text` component for the stats */
+        label: Property.object(),
+        /** Object with the `slicer`, for its mesh counts */
+        slicerObject: Property.object(),
+        /** Seconds between updates */
+        interval: Property.float(1.0),
+        /** Also log the stats to the console */
+        log: Property.bool(false),
+    };
+
+    text = null;
+    slicer = null;
+    timer = 0;
+
+    start() {
+        this.text = this.label ? this.label.getComponent('text') : null;
+        this.slicer = this.slicerObject ? this.slicerObject.getComponent('slicer') : null;
+        if (this.label && !this.text) {
+            console.warn('pool-stats: no text component found on label');
+        }
+    }
+
+    update(dt) {
+        this.timer -= dt;
+        if (this.timer > 0) return;
+        this.timer = this.interval;
+
+        let stats = formatPoolStats(objectPools(this.engine).stats());
+        if (this.slicer) {
+            const {created, freed} = this.slicer.meshStats;
+            stats += `\nslice meshes: ${created - freed} alive, ${freed} freed`;
+        }
+        if (this.text) this.text.text = stats;
+        if (this.log) console.log(stats);
+    }
+}
@@ -0,0 +1,130 @@
+import {Type} from '@wonderlandengine/api';
+
+/**
+ * Instances of inactive template objects, for fruits, effects, models and
+ * sliced pieces created at runtime.
+ */
+
+/**
+ * Map the objects of a template hierarchy to their counterparts in a clone
+ * of it
+ *
+ * @param {import('@wonderlandengine/api').Object3D} template
+ * @param {import('@wonderlandengine/api').Object3D} clone Same hierarchy
+ * @param {Map<number, import('@wonderlandengine/api').Object3D>} [out]
+ * @returns {Map<number, import('@wonderlandengine/api').Object3D>} Clone
+ *     objects by template object id
+ */
+export function pairHierarchy(template, clone, out = new Map()) {
+    out.set(template.objectId, clone);
+    const templateChildren = template.children;
+    const cloneChildren = clone.children;
+    const count = Math.min(templateChildren.length, cloneChildren.length);
+    for (let i = 0; i < count; ++i) {
+        pairHierarchy(templateChildren[i], cloneChildren[i], out);
+    }
+    return out;
+}
+
+/**
+ * Point object properties of JS components in the clone that refer into
+ * the template to the clone's own objects, like a button's mesh child.
+ * `Object3D.clone` copies them as they are.
+ *
+ * @param {import('@wonderlandengine/api').Object3D} clone
+ * @param {Map<number, import('@wonderlandengine/api').Object3D>} pairs From
+ *     {@link pairHierarchy}
+ */
+export function retargetObjectProperties(clone, pairs) {
+    for (const component of clone.getComponents()) {
+        const properties = component.constructor.Properties;
+        if (!properties) continue;
+        for (const [name, property] of Object.entries(properties)) {
+            if (property.type !== Type.Object) continue;
+            const target = component[name];
+            const replacement = target ? pairs.get(target.objectId) : undefined;
+            if (replacement) component[name] = replacement;
+        }
+    }
+    for (const child of clone.children) retargetObjectProperties(child, pairs);
+}
+
+/**
+ * Activate or deactivate the components of an object and its descendants
+ *
+ * @param {import('@wonderlandengine/api').Object3D} object
+ * @param {boolean} active
+ */
+export function setHierarchyActive(object, active) {
+    object.active = active;
+    for (const child of object.children) setHierarchyActive(child, active);
+}
+
+/**
+ * Active states of the components below an object, the object's own
+ * components are left out
+ *
+ * @param {import('@wonderlandengine/api').Object3D} object
+ * @param {boolean[]} [out]
+ * @returns {boolean[]} In hierarchy order, for {@link restoreDescendantStates}
+ */
+export function saveDescendantStates(object, out = []) {
+    for (const child of object.children) {
+        for (const component of child.getComponents()) out.push(component.active);
+        saveDescendantStates(child, out);
+    }
+    return out;
+}
+
+/**
+ * Give the components below an object the states saved from it, or from
+ * an object with the same hierarchy
+ *
+ * @param {import('@wonderlandengine/api').Object3D} object
+ * @param {boolean[]} states From {@link saveDescendantStates}
+ */
+export function restoreDescendantStates(object, states) {
+    let i = 0;
+    const restore = (parent) => {
+        for (const child of parent.children) {
+            for (const component of child.getComponents()) component.active = states[i++];
+            restore(child);
+        }
+    };
+    restore(object);
+}
+
+/**
+ * Clone a template hierarchy with all its components and activate it
+ *
+ * `Object3D.clone` copies native components like mesh, text and
+ * collision, and JS components like cursor-target through
+ * `Component.copy`, which copies their property values. Object properties
+ * that refer into the template are retargeted to the clone.
+ *
+ * Keep the template's own components inactive, so it doesn't run. Its
+ * descendants keep the states the clone should start with, e.g. an
+ * inactive child effect, and only the clone's own components are
+ * activated.
+ *
+ * @param {import('@wonderlandengine/api').Object3D} template
+ * @param {Object} [options]
+ * @param {import('@wonderlandengine/api').Object3D|null} [options.parent]
+ *     Parent of the clone, the scene root if null
+ * @param {ArrayLike<number>} [options.position] World space position,
+ *     the template's local transform is kept if not set
+ * @param {ArrayLike<number>} [options.rotation] World space rotation
+ * @param {boolean} [options.active] Activate the clone's own components,
+ *     e.g. off for pools that activate objects when they are handed out
+ * @returns {import('@wonderlandengine/api').Object3D}
+ */
+export function instantiatePrefab(template, {parent = null, position, rotation, active = true} = {}) {
+    const clone = template.clone(parent);
+    retargetObjectProperties(clone, pairHierarchy(template, clone));
+    restoreDescendantStates(clone, saveDescendantStates(template));
+
+    if (position) clone.setPositionWorld(position);
+    if (rotation) clone.setRotationWorld(rotation);
+    clone.active = active;
+    return clone;
+}
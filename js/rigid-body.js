@@ -0,0 +1,431 @@
+import {Component, ForceMode, Property} from '@wonderlandengine/api';
+import {quat, vec3} from 'gl-matrix';
+
+/** Simulation step in seconds, the same on every display refresh rate */
+export const FIXED_TIMESTEP = 1 / 120;
+
+/** Steps per frame at most, so a long frame doesn't stall the next one */
+export const MAX_SUBSTEPS = 8;
+
+/* Below these speeds for SLEEP_DELAY seconds, a body on the ground rests */
+const SLEEP_LINEAR_SPEED = 0.05;
+const SLEEP_ANGULAR_SPEED = 0.1;
+const SLEEP_DELAY = 0.5;
+
+/* Sequential impulse passes over the contact points per step */
+const CONTACT_ITERATIONS = 4;
+
+const UP = [0, 1, 0];
+
+/**
+ * @typedef {Object} BodyState
+ * @property {vec3} position Center of mass in world space
+ * @property {quat} rotation World rotation
+ * @property {vec3} linearVelocity
+ * @property {vec3} angularVelocity
+ * @property {vec3} force Accumulated until the next step
+ * @property {vec3} torque Accumulated until the next step
+ * @property {'sphere'|'box'} shape
+ * @property {vec3} halfExtents World space, the radius in `[0]` for spheres
+ * @property {number} inverseMass
+ * @property {number} inverseInertia Isotropic approximation of the
+ *     inverse inertia tensor
+ * @property {boolean} sleeping
+ * @property {number} restTime Seconds spent below the sleep speeds
+ */
+
+/**
+ * @typedef {Object} SimulationSettings
+ * @property {number} gravity Downwards acceleration in m/s²
+ * @property {number} linearDamping Fraction of linear velocity lost per second
+ * @property {number} angularDamping Fraction of angular velocity lost per second
+ * @property {number} groundHeight World height of the ground plane
+ * @property {number} restitution Bounciness against the ground, 0 to 1
+ * @property {number} friction Coulomb friction coefficient against the ground
+ */
+
+/**
+ * Create the simulation state of a body
+ *
+ * @param {Object} params
+ * @param {number} params.mass
+ * @param {'sphere'|'box'} params.shape
+ * @param {ArrayLike<number>} params.halfExtents World space half size, the
+ *     radius in `[0]` for spheres
+ * @param {ArrayLike<number>} [params.position] Center of mass
+ * @param {ArrayLike<number>} [params.rotation]
+ * @returns {BodyState}
+ */
+export function createBodyState({mass, shape, halfExtents, position = [0, 0, 0], rotation = [0, 0, 0, 1]}) {
+    const extents = vec3.clone(halfExtents);
+    let inertia;
+    if (shape === 'sphere') {
+        extents[1] = extents[2] = extents[0];
+        inertia = 0.4 * mass * extents[0] * extents[0];
+    } else {
+        /* Average of the box's principal moments m/3 * (b² + c²) */
+        const [x, y, z] = extents.map((e) => e * e);
+        inertia = (mass / 3) * ((2 * (x + y + z)) / 3);
+    }
+
+    return {
+        position: vec3.clone(position),
+        rotation: quat.normalize(quat.create(), rotation),
+        linearVelocity: vec3.create(),
+        angularVelocity: vec3.create(),
+        force: vec3.create(),
+        torque: vec3.create(),
+        shape,
+        halfExtents: extents,
+        inverseMass: mass > 0 ? 1 / mass : 0,
+        inverseInertia: inertia > 0 ? 1 / inertia : 0,
+        sleeping: false,
+        restTime: 0,
+    };
+}
+
+/**
+ * Points of the body that can touch the ground, in world space
+ *
+ * @param {BodyState} body
+ * @returns {vec3[]}
+ */
+export function contactCandidates(body) {
+    if (body.shape === 'sphere') {
+        return [vec3.fromValues(body.position[0], body.position[1] - body.halfExtents[0], body.position[2])];
+    }
+
+    const corners = [];
+    for (let i = 0; i < 8; i++) {
+        const corner = vec3.fromValues(
+            i & 1 ? body.halfExtents[0] : -body.halfExtents[0],
+            i & 2 ? body.halfExtents[1] : -body.halfExtents[1],
+            i & 4 ? body.halfExtents[2] : -body.halfExtents[2]
+        );
+        vec3.transformQuat(corner, corner, body.rotation);
+        corners.push(vec3.add(corner, corner, body.position));
+    }
+    return corners;
+}
+
+const tempR = vec3.create();
+const tempV = vec3.create();
+const tempT = vec3.create();
+const tempCross = vec3.create();
+const tempSpin = quat.create();
+
+/* Velocity of a body point, r relative to the center of mass */
+function pointVelocity(out, body, r) {
+    vec3.cross(out, body.angularVelocity, r);
+    return vec3.add(out, out, body.linearVelocity);
+}
+
+function applyImpulseAt(body, impulse, r) {
+    vec3.scaleAndAdd(body.linearVelocity, body.linearVelocity, impulse, body.inverseMass);
+    vec3.cross(tempCross, r, impulse);
+    vec3.scaleAndAdd(body.angularVelocity, body.angularVelocity, tempCross, body.inverseInertia);
+}
+
+/* Effective inverse mass of the body at r along direction d */
+function inverseMassAlong(body, r, d) {
+    vec3.cross(tempCross, r, d);
+    return body.inverseMass + body.inverseInertia * vec3.squaredLength(tempCross);
+}
+
+/**
+ * Resolve contacts with the ground plane
+ *
+ * @param {BodyState} body
+ * @param {SimulationSettings} settings
+ * @returns {boolean} Whether the body touches the ground
+ */
+export function collideWithGround(body, settings) {
+    const contacts = contactCandidates(body).filter((p) => p[1] < settings.groundHeight);
+    if (contacts.length === 0) return false;
+
+    /* Push out of the ground by the deepest penetration */
+    let depth = 0;
+    for (const p of contacts) depth = Math.max(depth, settings.groundHeight - p[1]);
+    body.position[1] += depth;
+
+    for (let iteration = 0; iteration < CONTACT_ITERATIONS; iteration++) {
+        for (const p of contacts) {
+            vec3.sub(tempR, p, body.position);
+            pointVelocity(tempV, body, tempR);
+
+            const approach = tempV[1];
+            if (approach >= 0) continue;
+
+            /* Resting contacts don't bounce, or bodies never settle */
+            const restitution = approach < -1 ? settings.restitution : 0;
+            const normalImpulse = (-(1 + restitution) * approach) / inverseMassAlong(body, tempR, UP);
+            applyImpulseAt(body, vec3.set(tempT, 0, normalImpulse, 0), tempR);
+
+            /* Friction against the sliding direction, within the friction cone */
+            pointVelocity(tempV, body, tempR);
+            tempV[1] = 0;
+            const slideSpeed = vec3.length(tempV);
+            if (slideSpeed < 1e-6) continue;
+            vec3.scale(tempT, tempV, -1 / slideSpeed);
+            const frictionImpulse = Math.min(
+                slideSpeed / inverseMassAlong(body, tempR, tempT),
+                settings.friction * normalImpulse
+            );
+            applyImpulseAt(body, vec3.scale(tempT, tempT, frictionImpulse), tempR);
+        }
+    }
+    return true;
+}
+
+/**
+ * Advance a body by one fixed step: forces, gravity, damping,
+ * semi-implicit Euler integration, ground contacts and sleeping
+ *
+ * @param {BodyState} body
+ * @param {SimulationSettings} settings
+ * @param {number} [dt]
+ */
+export function stepBody(body, settings, dt = FIXED_TIMESTEP) {
+    if (body.sleeping) return;
+
+    vec3.scaleAndAdd(body.linearVelocity, body.linearVelocity, body.force, body.inverseMass * dt);
+    vec3.scaleAndAdd(body.angularVelocity, body.angularVelocity, body.torque, body.inverseInertia * dt);
+    vec3.zero(body.force);
+    vec3.zero(body.torque);
+
+    body.linearVelocity[1] -= settings.gravity * dt;
+    vec3.scale(body.linearVelocity, body.linearVelocity, Math.max(0, 1 - settings.linearDamping * dt));
+    vec3.scale(body.angularVelocity, body.angularVelocity, Math.max(0, 1 - settings.angularDamping * dt));
+
+    vec3.scaleAndAdd(body.position, body.position, body.linearVelocity, dt);
+
+    /* q' = q + dt/2 * (w, 0) * q */
+    const w = body.angularVelocity;
+    quat.set(tempSpin, w[0], w[1], w[2], 0);
+    quat.multiply(tempSpin, tempSpin, body.rotation);
+    for (let i = 0; i < 4; i++) body.rotation[i] += tempSpin[i] * dt * 0.5;
+    quat.normalize(body.rotation, body.rotation);
+
+    const grounded = collideWithGround(body, settings);
+
+    const resting =
+        grounded &&
+        vec3.length(body.linearVelocity) < SLEEP_LINEAR_SPEED &&
+        vec3.length(body.angularVelocity) < SLEEP_ANGULAR_SPEED;
+    body.restTime = resting ? body.restTime + dt : 0;
+    if (body.restTime > SLEEP_DELAY) {
+        body.sleeping = true;
+        vec3.zero(body.linearVelocity);
+        vec3.zero(body.angularVelocity);
+    }
+}
+
+/**
+ * Lightweight rigid body for runtimes without PhysX.
+ *
+ * Simulates gravity, damping and contacts of a sphere or box with a
+ * horizontal ground plane (e.g. the marble floor) on a fixed timestep,
+ * so it behaves the same at 72, 90 or 120 Hz. The rendered transform is
+ * interpolated between the last two steps.
+ *
+ * Mirrors the parts of `PhysXComponent` used for pieces and fruits:
+ * `mass`, `extents`, `translationOffset`, `linearVelocity`,
+ * `angularVelocity`, `addForce()` and `addTorque()`. Bodies don't collide
+ * with each other.
+ */
+export class RigidBody extends Component {
+    static TypeName = 'rigid-body';
+    static Properties = {
+        /** Mass in kg */
+        mass: Property.float(1.0),
+        /** Collision shape */
+        shape: Property.enum(['sphere', 'box'], 'sphere'),
+        /** Half size of the box, or the radius in x, in the object's local space */
+        extents: Property.vector3(0.5, 0.5, 0.5),
+        /** Local center of the shape, also the center of mass */
+        translationOffset: Property.vector3(0, 0, 0),
+        /** Gravity in m/s², pulling down */
+        gravity: Property.float(9.81),
+        /** Fraction of linear velocity lost per second */
+        linearDamping: Property.float(0.05),
+        /** Fraction of angular velocity lost per second */
+        angularDamping: Property.float(0.1),
+        /** Bounciness against the ground, 0 to 1 */
+        restitution: Property.float(0.3),
+        /** Friction against the ground */
+        friction: Property.float(0.6),
+        /** Object whose world height is the ground plane, e.g. the floor */
+        floorObject: Property.object(),
+        /** Height of the ground plane if there is no floorObject */
+        groundHeight: Property.float(0.0),
+    };
+
+    /** @type {BodyState|null} */
+    state = null;
+    /* Center of mass and rotation before the last step, for interpolation */
+    previousPosition = vec3.create();
+    previousRotation = quat.create();
+    accumulator = 0;
+
+    /** @type {SimulationSettings} */
+    settings = {
+        gravity: 0,
+        linearDamping: 0,
+        angularDamping: 0,
+        groundHeight: 0,
+        restitution: 0,
+        friction: 0,
+    };
+
+    /* Velocities set before the first step, the state is created lazily */
+    pendingLinearVelocity = vec3.create();
+    pendingAngularVelocity = vec3.create();
+
+    onActivate() {
+        this.accumulator = 0;
+        this.state = null;
+    }
+
+    onDeactivate() {
+        /* Keep the motion for when the body is activated again */
+        if (!this.state) return;
+        vec3.copy(this.pendingLinearVelocity, this.state.linearVelocity);
+        vec3.copy(this.pendingAngularVelocity, this.state.angularVelocity);
+    }
+
+    update(dt) {
+        if (!this.state) this.resetState();
+
+        const state = this.state;
+        this.updateSettings();
+
+        this.accumulator += dt;
+        let steps = 0;
+        /* The tolerance keeps rounding from skipping a step at 120 Hz */
+        while (this.accumulator >= FIXED_TIMESTEP - 1e-9 && steps < MAX_SUBSTEPS) {
+            vec3.copy(this.previousPosition, state.position);
+            quat.copy(this.previousRotation, state.rotation);
+            stepBody(state, this.settings, FIXED_TIMESTEP);
+            this.accumulator -= FIXED_TIMESTEP;
+            ++steps;
+        }
+        /* Drop time we couldn't catch up on */
+        if (steps === MAX_SUBSTEPS) this.accumulator = 0;
+
+        const alpha = Math.max(0, this.accumulator / FIXED_TIMESTEP);
+        const position = vec3.lerp(vec3.create(), this.previousPosition, state.position, alpha);
+        const rotation = quat.slerp(quat.create(), this.previousRotation, state.rotation, alpha);
+        this.applyTransform(position, rotation);
+    }
+
+    /**
+     * Restart the simulation from the object's current transform, e.g.
+     * after moving it by hand
+     */
+    resetState() {
+        const rotation = this.object.getRotationWorld(quat.create());
+        const scale = this.object.getScalingWorld(vec3.create());
+        const halfExtents = vec3.multiply(vec3.create(), this.extents, scale);
+        if (this.shape === 0) halfExtents[0] = this.extents[0] * Math.max(...scale);
+
+        this.state = createBodyState({
+            mass: this.mass,
+            shape: this.shape === 0 ? 'sphere' : 'box',
+            halfExtents: halfExtents.map(Math.abs),
+            position: this.object.transformPointWorld(vec3.create(), this.translationOffset),
+            rotation,
+        });
+        vec3.copy(this.state.linearVelocity, this.pendingLinearVelocity);
+        vec3.copy(this.state.angularVelocity, this.pendingAngularVelocity);
+        vec3.copy(this.previousPosition, this.state.position);
+        quat.copy(this.previousRotation, this.state.rotation);
+    }
+
+    updateSettings() {
+        const s = this.settings;
+        s.gravity = this.gravity;
+        s.linearDamping = this.linearDamping;
+        s.angularDamping = this.angularDamping;
+        s.restitution = this.restitution;
+        s.friction = this.friction;
+        s.groundHeight = this.floorObject
+            ? this.floorObject.getPositionWorld(tempT)[1]
+            : this.groundHeight;
+    }
+
+    /* Place the object so its center of mass is at `position` */
+    applyTransform(position, rotation) {
+        const scale = this.object.getScalingWorld(vec3.create());
+        const offset = vec3.multiply(vec3.create(), this.translationOffset, scale);
+        vec3.transformQuat(offset, offset, rotation);
+
+        this.object.setRotationWorld(rotation);
+        this.object.setPositionWorld(vec3.sub(offset, position, offset));
+    }
+
+    /** Linear velocity in m/s, world space */
+    get linearVelocity() {
+        return vec3.clone(this.state ? this.state.linearVelocity : this.pendingLinearVelocity);
+    }
+
+    set linearVelocity(v) {
+        vec3.copy(this.state ? this.state.linearVelocity : this.pendingLinearVelocity, v);
+        this.wake();
+    }
+
+    /** Angular velocity in rad/s, world space */
+    get angularVelocity() {
+        return vec3.clone(this.state ? this.state.angularVelocity : this.pendingAngularVelocity);
+    }
+
+    set angularVelocity(v) {
+        vec3.copy(this.state ? this.state.angularVelocity : this.pendingAngularVelocity, v);
+        this.wake();
+    }
+
+    /**
+     * Apply a force at the center of mass, like `PhysXComponent.addForce`
+     *
+     * @param {ArrayLike<number>} f World space force
+     * @param {ForceMode} [mode]
+     */
+    addForce(f, mode = ForceMode.Force) {
+        if (!this.state) this.resetState();
+        this.applyTo(this.state.force, this.state.linearVelocity, this.state.inverseMass, f, mode);
+    }
+
+    /**
+     * Apply a torque, like `PhysXComponent.addTorque`
+     *
+     * @param {ArrayLike<number>} f World space torque
+     * @param {ForceMode} [mode]
+     */
+    addTorque(f, mode = ForceMode.Force) {
+        if (!this.state) this.resetState();
+        this.applyTo(this.state.torque, this.state.angularVelocity, this.state.inverseInertia, f, mode);
+    }
+
+    applyTo(accumulated, velocity, inverseMass, f, mode) {
+        switch (mode) {
+            case ForceMode.Force:
+                vec3.add(accumulated, accumulated, f);
+                break;
+            case ForceMode.Acceleration:
+                vec3.scaleAndAdd(accumulated, accumulated, f, inverseMass > 0 ? 1 / inverseMass : 0);
+                break;
+            case ForceMode.Impulse:
+                vec3.scaleAndAdd(velocity, velocity, f, inverseMass);
+                break;
+            case ForceMode.VelocityChange:
+                vec3.add(velocity, velocity, f);
+                break;
+        }
+        this.wake();
+    }
+
+    wake() {
+        if (!this.state) return;
+        this.state.sleeping = false;
+        this.state.restTime = 0;
+    }
+}
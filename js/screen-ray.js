@@ -0,0 +1,39 @@
+import {vec3} from 'gl-matrix';
+
+/**
+ * Rays from the camera through points on the canvas, for slicing with
+ * the mouse or touch outside XR.
+ */
+
+/**
+ * Normalized device coordinates of a pointer position, -1 to 1 with y up
+ *
+ * @param {Float32Array|number[]} out 2 elements
+ * @param {number} clientX
+ * @param {number} clientY
+ * @param {{left: number, top: number, width: number, height: number}} rect
+ *     Canvas bounds, from `getBoundingClientRect()`
+ * @returns {Float32Array|number[]} out
+ */
+export function canvasToNdc(out, clientX, clientY, rect) {
+    out[0] = ((clientX - rect.left) / rect.width) * 2 - 1;
+    out[1] = 1 - ((clientY - rect.top) / rect.height) * 2;
+    return out;
+}
+
+/**
+ * View space direction of the ray through a point on the screen, for a
+ * perspective projection
+ *
+ * @param {vec3} out Unit vector
+ * @param {number} ndcX
+ * @param {number} ndcY
+ * @param {import('gl-matrix').mat4} inverseProjection
+ * @returns {vec3} out
+ */
+export function viewRayDirection(out, ndcX, ndcY, inverseProjection) {
+    /* The point on the near plane, the camera is at the origin */
+    vec3.set(out, ndcX, ndcY, -1);
+    vec3.transformMat4(out, out, inverseProjection);
+    return vec3.normalize(out, out);
+}
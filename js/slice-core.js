@@ -0,0 +1,812 @@
+import earcut from 'earcut';
+
+/**
+ * Engine independent mesh slicing.
+ *
+ * Everything in here works on plain typed arrays, so it can run in Node,
+ * in a worker or behind the `slicer` component.
+ *
+ * Geometry is passed as {@link MeshData}. Planes are given in the space of
+ * the vertex positions (mesh-local for the slicer).
+ */
+
+/**
+ * @typedef {Object} MeshData
+ * @property {Float32Array} positions 3 floats per vertex
+ * @property {Float32Array} [normals] 3 floats per vertex
+ * @property {Float32Array} [tangents] 4 floats per vertex, w is the
+ *     bitangent sign
+ * @property {Float32Array} [texCoords] 2 floats per vertex
+ * @property {Float32Array} [texCoords2] Secondary UVs, 2 floats per vertex
+ * @property {Float32Array} [colors] 4 floats per vertex
+ * @property {Uint16Array} [jointIds] Same count per vertex as `jointWeights`
+ * @property {Float32Array} [jointWeights]
+ * @property {ArrayLike<number>} indices 3 per triangle
+ */
+
+/**
+ * @typedef {Object} Plane
+ * @property {ArrayLike<number>} point Any point on the plane
+ * @property {ArrayLike<number>} normal Unit normal, points to the upper side
+ */
+
+/**
+ * @typedef {Object} SliceVertex
+ * @property {number[]} position
+ * @property {number[]} [normal]
+ * @property {number[]} [tangent]
+ * @property {number[]} [texCoord]
+ * @property {number[]} [texCoord2]
+ * @property {number[]} [color]
+ * @property {number[]} [jointIds]
+ * @property {number[]} [jointWeights]
+ */
+
+/**
+ * @typedef {Object} HullBuilder
+ * @property {SliceVertex[]} vertices
+ * @property {number[]} indices
+ * @property {Map<string, number>} weld Quantized vertex key to index
+ * @property {Map<SliceVertex, number>} byVertex Index of already welded vertex objects
+ * @property {number} weldTolerance
+ * @property {number} unweldedVertexCount Vertices emitted before welding
+ */
+
+/**
+ * @typedef {Object} SliceStats
+ * @property {number} sourceVertexCount
+ * @property {number} sourceIndexCount
+ * @property {number} unweldedVertexCount Without welding, three per triangle
+ * @property {number} upperVertexCount
+ * @property {number} upperIndexCount
+ * @property {number} lowerVertexCount
+ * @property {number} lowerIndexCount
+ */
+
+/**
+ * @typedef {Object} SliceGeometryResult
+ * @property {{skin: MeshData, cap: MeshData}} upper Piece on the side the normal points to
+ * @property {{skin: MeshData, cap: MeshData}} lower
+ * @property {number} upperVolume Enclosed volume in mesh units
+ * @property {number} lowerVolume
+ * @property {SliceStats} stats
+ */
+
+/** Contour points closer than this are welded when chaining loops */
+export const CONTOUR_WELD_EPSILON = 1e-5;
+
+/**
+ * Vertices closer to the plane than this count as lying on it, so rounding
+ * noise does not produce sliver triangles
+ */
+export const PLANE_EPSILON = 1e-6;
+
+/** Default tolerance for merging hull vertices */
+export const DEFAULT_WELD_TOLERANCE = 1e-5;
+
+/**
+ * Vertex attributes besides the position: {@link MeshData} array, matching
+ * {@link SliceVertex} key and values per vertex (`0` for as many as the
+ * array holds, joints can come in sets of 4 or 8)
+ */
+export const VERTEX_ATTRIBUTES = [
+    {array: 'normals', key: 'normal', size: 3},
+    {array: 'tangents', key: 'tangent', size: 4},
+    {array: 'texCoords', key: 'texCoord', size: 2},
+    {array: 'texCoords2', key: 'texCoord2', size: 2},
+    {array: 'colors', key: 'color', size: 4},
+    {array: 'jointIds', key: 'jointIds', size: 0},
+    {array: 'jointWeights', key: 'jointWeights', size: 0},
+];
+
+/**
+ * Signed distance from a position to the plane
+ *
+ * @param {ArrayLike<number>} position
+ * @param {Plane} plane
+ * @returns {number} Positive on the upper side
+ */
+export function signedDistance(position, plane) {
+    const n = plane.normal;
+    const p = plane.point;
+    return n[0] * (position[0] - p[0]) + n[1] * (position[1] - p[1]) + n[2] * (position[2] - p[2]);
+}
+
+function lerp(a, b, t) {
+    return a.map((x, i) => x + (b[i] - x) * t);
+}
+
+function normalize(v) {
+    const len = Math.hypot(v[0], v[1], v[2]);
+    return len > 0 ? v.map((x) => x / len) : v;
+}
+
+/**
+ * Tangent orthonormalized against a normal (Gram-Schmidt), keeping the
+ * bitangent sign in w. Falls back to any direction perpendicular to the
+ * normal if the tangent is parallel to it.
+ *
+ * @param {number[]} tangent xyz and w
+ * @param {number[]} normal Unit normal
+ * @returns {number[]}
+ */
+export function orthonormalizeTangent(tangent, normal) {
+    const d = tangent[0] * normal[0] + tangent[1] * normal[1] + tangent[2] * normal[2];
+    let t = [tangent[0] - normal[0] * d, tangent[1] - normal[1] * d, tangent[2] - normal[2] * d];
+    if (Math.hypot(t[0], t[1], t[2]) < 1e-6) t = planeBasis(normal).u;
+    const [x, y, z] = normalize(t);
+    return [x, y, z, tangent[3] < 0 ? -1 : 1];
+}
+
+/**
+ * Interpolate between two vertices.
+ *
+ * Normals are renormalized and tangents orthonormalized against the new
+ * normal. Joint ids can't be blended, so the joints of the closer vertex
+ * are used, unless both vertices have the same joints and only the
+ * weights need blending.
+ *
+ * @param {SliceVertex} v1
+ * @param {SliceVertex} v2
+ * @param {number} t
+ * @returns {SliceVertex}
+ */
+export function interpolateVertex(v1, v2, t) {
+    const result = {position: lerp(v1.position, v2.position, t)};
+
+    if (v1.normal && v2.normal) {
+        result.normal = normalize(lerp(v1.normal, v2.normal, t));
+    }
+
+    if (v1.tangent && v2.tangent) {
+        const tangent = lerp(v1.tangent, v2.tangent, t);
+        tangent[3] = (t < 0.5 ? v1 : v2).tangent[3];
+        result.tangent = result.normal
+            ? orthonormalizeTangent(tangent, result.normal)
+            : [...normalize(tangent.slice(0, 3)), tangent[3] < 0 ? -1 : 1];
+    }
+
+    for (const key of ['texCoord', 'texCoord2', 'color']) {
+        if (v1[key] && v2[key]) result[key] = lerp(v1[key], v2[key], t);
+    }
+
+    if (v1.jointIds && v2.jointIds && v1.jointWeights && v2.jointWeights) {
+        const sameJoints = v1.jointIds.every((id, i) => id === v2.jointIds[i]);
+        const closer = t < 0.5 ? v1 : v2;
+        result.jointIds = closer.jointIds.slice();
+        result.jointWeights = sameJoints
+            ? lerp(v1.jointWeights, v2.jointWeights, t)
+            : closer.jointWeights.slice();
+    }
+
+    return result;
+}
+
+/**
+ * Compute where the edge a-b crosses the plane.
+ *
+ * Endpoints are ordered by position first, so the two triangles sharing
+ * an edge compute bit-identical intersection points.
+ *
+ * @param {SliceVertex} a
+ * @param {number} da Signed distance of `a`
+ * @param {SliceVertex} b
+ * @param {number} db Signed distance of `b`
+ * @returns {SliceVertex}
+ */
+export function intersectEdge(a, da, b, db) {
+    const pa = a.position;
+    const pb = b.position;
+    const swap =
+        pa[0] > pb[0] ||
+        (pa[0] === pb[0] && (pa[1] > pb[1] || (pa[1] === pb[1] && pa[2] > pb[2])));
+    if (swap) return interpolateVertex(b, a, db / (db - da));
+    return interpolateVertex(a, b, da / (da - db));
+}
+
+/**
+ * Whether the geometric normal of a triangle points along `normal`
+ *
+ * @param {SliceVertex} v0
+ * @param {SliceVertex} v1
+ * @param {SliceVertex} v2
+ * @param {ArrayLike<number>} normal
+ * @returns {boolean}
+ */
+export function facesAlongNormal(v0, v1, v2, normal) {
+    const [a, b, c] = [v0.position, v1.position, v2.position];
+    const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    return (
+        normal[0] * (e1[1] * e2[2] - e1[2] * e2[1]) +
+            normal[1] * (e1[2] * e2[0] - e1[0] * e2[2]) +
+            normal[2] * (e1[0] * e2[1] - e1[1] * e2[0]) >
+        0
+    );
+}
+
+/**
+ * @param {number} [weldTolerance]
+ * @returns {HullBuilder}
+ */
+export function createHullBuilder(weldTolerance = DEFAULT_WELD_TOLERANCE) {
+    return {
+        vertices: [],
+        indices: [],
+        weld: new Map(),
+        byVertex: new Map(),
+        weldTolerance,
+        unweldedVertexCount: 0,
+    };
+}
+
+function weldKey(vertex, tolerance) {
+    const q = (x) => Math.round(x / tolerance);
+    let key = vertex.position.map(q).join(',');
+    for (const {key: name} of VERTEX_ATTRIBUTES) {
+        if (vertex[name]) key += `|${vertex[name].map(q).join(',')}`;
+    }
+    return key;
+}
+
+/**
+ * Index of a vertex in the hull, adding it if no vertex within the weld
+ * tolerance (position and all other attributes) exists yet
+ *
+ * @param {HullBuilder} hull
+ * @param {SliceVertex} vertex
+ * @returns {number}
+ */
+export function addVertex(hull, vertex) {
+    const cached = hull.byVertex.get(vertex);
+    if (cached !== undefined) return cached;
+
+    const key = weldKey(vertex, hull.weldTolerance);
+    let index = hull.weld.get(key);
+    if (index === undefined) {
+        index = hull.vertices.length;
+        hull.vertices.push(vertex);
+        hull.weld.set(key, index);
+    }
+    hull.byVertex.set(vertex, index);
+    return index;
+}
+
+/**
+ * Add a triangle to a hull, reusing welded vertices. Triangles that
+ * collapse after welding are dropped.
+ *
+ * @param {HullBuilder} hull
+ * @param {SliceVertex} v0
+ * @param {SliceVertex} v1
+ * @param {SliceVertex} v2
+ */
+export function addTriangle(hull, v0, v1, v2) {
+    hull.unweldedVertexCount += 3;
+
+    const i0 = addVertex(hull, v0);
+    const i1 = addVertex(hull, v1);
+    const i2 = addVertex(hull, v2);
+    if (i0 === i1 || i1 === i2 || i2 === i0) return;
+
+    hull.indices.push(i0, i1, i2);
+}
+
+/**
+ * Split a triangle that crosses the plane.
+ *
+ * The triangle is clipped into an upper and a lower polygon (at most a
+ * quad each) that keep the original winding. Vertices lying exactly on the
+ * plane belong to both polygons, so no degenerate slivers are produced.
+ * The cross-section segment is appended to `contour`.
+ *
+ * @param {SliceVertex} v0
+ * @param {SliceVertex} v1
+ * @param {SliceVertex} v2
+ * @param {number} d0 Signed distance of `v0`
+ * @param {number} d1
+ * @param {number} d2
+ * @param {HullBuilder} upper
+ * @param {HullBuilder} lower
+ * @param {number[][]} contour Flat list of segment endpoints, two per segment
+ */
+export function splitTriangle(v0, v1, v2, d0, d1, d2, upper, lower, contour) {
+    const verts = [v0, v1, v2];
+    const dists = [d0, d1, d2];
+
+    const upperPoly = [];
+    const lowerPoly = [];
+    const onPlane = [];
+
+    for (let i = 0; i < 3; i++) {
+        const a = verts[i];
+        const b = verts[(i + 1) % 3];
+        const da = dists[i];
+        const db = dists[(i + 1) % 3];
+
+        if (da >= 0) upperPoly.push(a);
+        if (da <= 0) lowerPoly.push(a);
+        if (da === 0) onPlane.push(a.position);
+
+        if ((da > 0 && db < 0) || (da < 0 && db > 0)) {
+            const vInt = intersectEdge(a, da, b, db);
+            upperPoly.push(vInt);
+            lowerPoly.push(vInt);
+            onPlane.push(vInt.position);
+        }
+    }
+
+    /* Fan triangulate the (convex) clipped polygons */
+    for (let i = 1; i + 1 < upperPoly.length; i++) {
+        addTriangle(upper, upperPoly[0], upperPoly[i], upperPoly[i + 1]);
+    }
+    for (let i = 1; i + 1 < lowerPoly.length; i++) {
+        addTriangle(lower, lowerPoly[0], lowerPoly[i], lowerPoly[i + 1]);
+    }
+
+    if (onPlane.length === 2) contour.push(onPlane[0], onPlane[1]);
+}
+
+/**
+ * Read the vertices of a mesh into vertex objects
+ *
+ * @param {MeshData} mesh
+ * @returns {SliceVertex[]}
+ */
+export function readVertices(mesh) {
+    const {positions} = mesh;
+    const count = positions.length / 3;
+    const attributes = VERTEX_ATTRIBUTES.filter(({array}) => mesh[array]).map((a) => ({
+        ...a,
+        size: a.size || mesh[a.array].length / count,
+    }));
+
+    const vertices = new Array(count);
+    for (let i = 0; i < count; i++) {
+        const vertex = {
+            position: [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]],
+        };
+        for (const {array, key, size} of attributes) {
+            vertex[key] = Array.from(mesh[array].subarray(i * size, (i + 1) * size));
+        }
+        vertices[i] = vertex;
+    }
+    return vertices;
+}
+
+/**
+ * Clip all triangles of a mesh against the plane into the upper and lower
+ * builders, collecting cross-section segments.
+ *
+ * Distances within {@link PLANE_EPSILON} are snapped to the plane.
+ * Triangles lying in the plane go to the hull they close: a face looking
+ * along the plane normal bounds the lower hull. A triangle touching the
+ * plane with a whole edge contributes that edge to the cross-section, but
+ * only from above, so an edge shared with a triangle below counts once.
+ *
+ * @param {MeshData} mesh
+ * @param {Plane} plane
+ * @param {HullBuilder} upper
+ * @param {HullBuilder} lower
+ * @param {number[][]} contour
+ */
+export function clipMesh(mesh, plane, upper, lower, contour) {
+    const vertices = readVertices(mesh);
+    const distances = vertices.map((v) => {
+        const d = signedDistance(v.position, plane);
+        return Math.abs(d) < PLANE_EPSILON ? 0 : d;
+    });
+    const indices = mesh.indices;
+
+    for (let i = 0; i < indices.length; i += 3) {
+        const i0 = indices[i];
+        const i1 = indices[i + 1];
+        const i2 = indices[i + 2];
+        const v0 = vertices[i0];
+        const v1 = vertices[i1];
+        const v2 = vertices[i2];
+        const d0 = distances[i0];
+        const d1 = distances[i1];
+        const d2 = distances[i2];
+
+        const hasUpper = d0 > 0 || d1 > 0 || d2 > 0;
+        const hasLower = d0 < 0 || d1 < 0 || d2 < 0;
+
+        if (!hasUpper && !hasLower) {
+            addTriangle(facesAlongNormal(v0, v1, v2, plane.normal) ? lower : upper, v0, v1, v2);
+        } else if (!hasLower) {
+            addTriangle(upper, v0, v1, v2);
+
+            const zeros = [i0, i1, i2].filter((index) => distances[index] === 0);
+            if (zeros.length === 2) {
+                contour.push(vertices[zeros[0]].position, vertices[zeros[1]].position);
+            }
+        } else if (!hasUpper) {
+            addTriangle(lower, v0, v1, v2);
+        } else {
+            splitTriangle(v0, v1, v2, d0, d1, d2, upper, lower, contour);
+        }
+    }
+}
+
+/**
+ * Chain cross-section segments into closed loops.
+ *
+ * Segment endpoints are welded by position. A segment reported twice (a
+ * surface only touching the plane from one side) cancels out. Chains that
+ * do not close, which only happens for non-manifold input, are dropped.
+ *
+ * @param {number[][]} contour Segment endpoints, two per segment
+ * @returns {number[][][]} Loops of positions
+ */
+export function buildContourLoops(contour) {
+    const keyOf = (p) =>
+        `${Math.round(p[0] / CONTOUR_WELD_EPSILON)},${Math.round(p[1] / CONTOUR_WELD_EPSILON)},${Math.round(p[2] / CONTOUR_WELD_EPSILON)}`;
+
+    const points = new Map();
+    const segments = new Map();
+
+    for (let i = 0; i < contour.length; i += 2) {
+        const a = contour[i];
+        const b = contour[i + 1];
+        const ka = keyOf(a);
+        const kb = keyOf(b);
+        if (ka === kb) continue;
+
+        points.set(ka, a);
+        points.set(kb, b);
+
+        const segKey = ka < kb ? `${ka}|${kb}` : `${kb}|${ka}`;
+        if (segments.has(segKey)) {
+            segments.delete(segKey);
+        } else {
+            segments.set(segKey, [ka, kb]);
+        }
+    }
+
+    /* Adjacency: point key -> keys of segments touching it */
+    const adjacency = new Map();
+    for (const [segKey, [ka, kb]] of segments) {
+        if (!adjacency.has(ka)) adjacency.set(ka, []);
+        if (!adjacency.has(kb)) adjacency.set(kb, []);
+        adjacency.get(ka).push(segKey);
+        adjacency.get(kb).push(segKey);
+    }
+
+    const used = new Set();
+    const loops = [];
+
+    for (const [startSeg, [startKey, firstKey]] of segments) {
+        if (used.has(startSeg)) continue;
+        used.add(startSeg);
+
+        const loop = [points.get(startKey)];
+        let current = firstKey;
+        let closed = false;
+
+        while (true) {
+            if (current === startKey) {
+                closed = true;
+                break;
+            }
+            loop.push(points.get(current));
+
+            const next = adjacency.get(current).find((seg) => !used.has(seg));
+            if (!next) break;
+            used.add(next);
+
+            const [ka, kb] = segments.get(next);
+            current = ka === current ? kb : ka;
+        }
+
+        if (closed && loop.length >= 3) loops.push(loop);
+    }
+
+    return loops;
+}
+
+/**
+ * Orthonormal basis (u, v) of a plane, with u x v = normal
+ *
+ * @param {ArrayLike<number>} normal Unit plane normal
+ * @returns {{u: number[], v: number[]}}
+ */
+export function planeBasis(normal) {
+    const [nx, ny, nz] = normal;
+    /* helper x n, with helper = x unless n is close to x */
+    let u = Math.abs(nx) < 0.9 ? [0, nz, -ny] : [-nz, 0, nx];
+    const len = Math.hypot(u[0], u[1], u[2]);
+    u = u.map((x) => x / len);
+    const v = [ny * u[2] - nz * u[1], nz * u[0] - nx * u[2], nx * u[1] - ny * u[0]];
+    return {u, v};
+}
+
+/**
+ * Even-odd point in polygon test
+ *
+ * @param {number[]} point 2D point
+ * @param {number[][]} polygon 2D points
+ * @returns {boolean}
+ */
+export function pointInPolygon(point, polygon) {
+    const [x, y] = point;
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Generate the triangulated cap of a cross-section.
+ *
+ * Loops are projected onto the plane and nested by containment: loops at
+ * even depth are outer boundaries, loops at odd depth are holes of their
+ * innermost enclosing boundary. Each boundary is triangulated together with
+ * its holes using earcut, so concave sections, holes and multiple islands
+ * are all capped.
+ *
+ * UVs are planar-projected and scaled uniformly so the whole cross-section
+ * fits the [0, 1] texture square, centered. Tangents point along the
+ * texture's U direction in the plane, so normal maps work on the cap.
+ * Secondary UVs repeat the planar UVs and vertex colors are white, if the
+ * skin has them. Caps get no joints.
+ *
+ * @param {HullBuilder} cap Builder to append the cap to
+ * @param {number[][][]} loops From {@link buildContourLoops}
+ * @param {ArrayLike<number>} normal Unit plane normal
+ * @param {boolean} isUpper Whether the cap closes the upper hull
+ * @param {string[]} [skinAttributes] {@link SliceVertex} keys of the skin
+ */
+export function generateCap(cap, loops, normal, isUpper, skinAttributes = []) {
+    if (loops.length === 0) return;
+
+    const {vertices, indices} = cap;
+    const {u, v} = planeBasis(normal);
+    const project = (p) => [
+        p[0] * u[0] + p[1] * u[1] + p[2] * u[2],
+        p[0] * v[0] + p[1] * v[1] + p[2] * v[2],
+    ];
+
+    const polygons = loops.map((loop) => {
+        const points2D = loop.map(project);
+        let area = 0;
+        for (let i = 0; i < points2D.length; i++) {
+            const [x0, y0] = points2D[i];
+            const [x1, y1] = points2D[(i + 1) % points2D.length];
+            area += x0 * y1 - x1 * y0;
+        }
+        return {loop, points2D, area: Math.abs(area) * 0.5, depth: 0, parent: -1};
+    });
+
+    /* Cross-section bounds in plane coordinates, for the UV projection */
+    let minU = Infinity;
+    let minV = Infinity;
+    let maxU = -Infinity;
+    let maxV = -Infinity;
+    for (const {points2D} of polygons) {
+        for (const [pu, pv] of points2D) {
+            minU = Math.min(minU, pu);
+            maxU = Math.max(maxU, pu);
+            minV = Math.min(minV, pv);
+            maxV = Math.max(maxV, pv);
+        }
+    }
+    const uvScale = 1 / Math.max(maxU - minU, maxV - minV, 1e-6);
+    const centerU = (minU + maxU) * 0.5;
+    const centerV = (minV + maxV) * 0.5;
+    const toTexCoord = (p) => {
+        const tu = 0.5 + (p[0] - centerU) * uvScale;
+        const tv = 0.5 + (p[1] - centerV) * uvScale;
+        /* The upper cap is seen from the other side, mirror it so the
+         * texture does not appear flipped */
+        return [isUpper ? 1 - tu : tu, tv];
+    };
+
+    /* Nesting: a loop's parent is the smallest larger loop containing it */
+    for (let i = 0; i < polygons.length; i++) {
+        let parentArea = Infinity;
+        for (let j = 0; j < polygons.length; j++) {
+            if (i === j || polygons[j].area <= polygons[i].area) continue;
+            if (!pointInPolygon(polygons[i].points2D[0], polygons[j].points2D)) continue;
+
+            polygons[i].depth++;
+            if (polygons[j].area < parentArea) {
+                parentArea = polygons[j].area;
+                polygons[i].parent = j;
+            }
+        }
+    }
+
+    /* The upper hull lies on the positive side of the plane, so its cap
+     * faces along -n; the lower hull's cap faces along +n. */
+    const [nx, ny, nz] = normal;
+    const capNormal = isUpper ? [-nx, -ny, -nz] : [nx, ny, nz];
+    /* U runs along u, mirrored on the upper cap. V runs along v on both,
+     * which is cross(capNormal, capTangent), so the bitangent sign is +1. */
+    const capTangent = isUpper ? [-u[0], -u[1], -u[2], 1] : [u[0], u[1], u[2], 1];
+    const hasTexCoord2 = skinAttributes.includes('texCoord2');
+    const hasColor = skinAttributes.includes('color');
+    /* Triangles must wind counter-clockwise around capNormal. In plane
+     * coordinates (u, v) that means clockwise for the upper cap. */
+    const wantPositiveArea = !isUpper;
+
+    for (let i = 0; i < polygons.length; i++) {
+        if (polygons[i].depth % 2 !== 0) continue;
+
+        const rings = [polygons[i]];
+        for (const hole of polygons) {
+            if (hole.parent === i && hole.depth === polygons[i].depth + 1) {
+                rings.push(hole);
+            }
+        }
+
+        const flat = [];
+        const holeIndices = [];
+        const baseIndex = vertices.length;
+        for (let r = 0; r < rings.length; r++) {
+            if (r > 0) holeIndices.push(vertices.length - baseIndex);
+            for (let k = 0; k < rings[r].loop.length; k++) {
+                const point2D = rings[r].points2D[k];
+                flat.push(point2D[0], point2D[1]);
+                const vertex = {
+                    position: rings[r].loop[k],
+                    normal: capNormal,
+                    tangent: capTangent,
+                    texCoord: toTexCoord(point2D),
+                };
+                if (hasTexCoord2) vertex.texCoord2 = vertex.texCoord;
+                if (hasColor) vertex.color = [1, 1, 1, 1];
+                vertices.push(vertex);
+            }
+        }
+
+        const triangles = earcut(flat, holeIndices.length > 0 ? holeIndices : undefined, 2);
+
+        for (let t = 0; t < triangles.length; t += 3) {
+            const a = triangles[t];
+            let b = triangles[t + 1];
+            let c = triangles[t + 2];
+
+            const area =
+                (flat[b * 2] - flat[a * 2]) * (flat[c * 2 + 1] - flat[a * 2 + 1]) -
+                (flat[c * 2] - flat[a * 2]) * (flat[b * 2 + 1] - flat[a * 2 + 1]);
+            if (area > 0 !== wantPositiveArea) [b, c] = [c, b];
+
+            indices.push(baseIndex + a, baseIndex + b, baseIndex + c);
+            cap.unweldedVertexCount += 3;
+        }
+    }
+}
+
+/**
+ * Signed volume enclosed by a closed triangle mesh, summed from the
+ * tetrahedra each triangle forms with the origin
+ *
+ * @param {MeshData} mesh
+ * @returns {number}
+ */
+export function computeVolume(mesh) {
+    const {positions, indices} = mesh;
+    let volume = 0;
+    for (let i = 0; i < indices.length; i += 3) {
+        const a = indices[i] * 3;
+        const b = indices[i + 1] * 3;
+        const c = indices[i + 2] * 3;
+        volume +=
+            positions[a] * (positions[b + 1] * positions[c + 2] - positions[b + 2] * positions[c + 1]) +
+            positions[a + 1] * (positions[b + 2] * positions[c] - positions[b] * positions[c + 2]) +
+            positions[a + 2] * (positions[b] * positions[c + 1] - positions[b + 1] * positions[c]);
+    }
+    return volume / 6;
+}
+
+/**
+ * Pack a hull into typed arrays
+ *
+ * @param {HullBuilder} hull
+ * @returns {MeshData}
+ */
+export function toMeshData(hull) {
+    const {vertices} = hull;
+    const count = vertices.length;
+
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) positions.set(vertices[i].position, i * 3);
+
+    const data = {positions, indices: new Uint32Array(hull.indices)};
+
+    /* Attributes only some vertices have can't be written, drop them */
+    for (const {array, key} of VERTEX_ATTRIBUTES) {
+        if (count === 0 || !vertices.every((v) => v[key])) continue;
+
+        const size = vertices[0][key].length;
+        const values = new (key === 'jointIds' ? Uint16Array : Float32Array)(count * size);
+        for (let i = 0; i < count; i++) values.set(vertices[i][key], i * size);
+        data[array] = values;
+    }
+    return data;
+}
+
+/**
+ * Slice geometry along a plane into two closed pieces.
+ *
+ * `skin` is the surface of the object. `cap` is the cross-section of an
+ * earlier slice, if the object is itself a piece; it is clipped with the
+ * skin so the new pieces stay closed. Each piece gets its skin and its cap
+ * as separate meshes, so they can use different materials.
+ *
+ * @param {MeshData} skin
+ * @param {Plane} plane
+ * @param {Object} [options]
+ * @param {MeshData} [options.cap] Cap of a previously sliced piece
+ * @param {number} [options.weldTolerance]
+ * @returns {SliceGeometryResult|null} `null` if the plane misses the geometry
+ */
+export function sliceGeometry(skin, plane, options = {}) {
+    const {cap = null, weldTolerance = DEFAULT_WELD_TOLERANCE} = options;
+
+    const upper = createHullBuilder(weldTolerance);
+    const lower = createHullBuilder(weldTolerance);
+    const upperCap = createHullBuilder(weldTolerance);
+    const lowerCap = createHullBuilder(weldTolerance);
+
+    /* Cross-section segments, shared by both caps */
+    const contour = [];
+
+    clipMesh(skin, plane, upper, lower, contour);
+    if (cap) clipMesh(cap, plane, upperCap, lowerCap, contour);
+
+    if (upper.indices.length === 0 || lower.indices.length === 0) return null;
+
+    const loops = buildContourLoops(contour);
+    const skinAttributes = VERTEX_ATTRIBUTES.filter(({array}) => skin[array]).map(({key}) => key);
+    generateCap(upperCap, loops, plane.normal, true, skinAttributes);
+    generateCap(lowerCap, loops, plane.normal, false, skinAttributes);
+
+    const result = {
+        upper: {skin: toMeshData(upper), cap: toMeshData(upperCap)},
+        lower: {skin: toMeshData(lower), cap: toMeshData(lowerCap)},
+    };
+
+    result.upperVolume = computeVolume(result.upper.skin) + computeVolume(result.upper.cap);
+    result.lowerVolume = computeVolume(result.lower.skin) + computeVolume(result.lower.cap);
+
+    result.stats = {
+        sourceVertexCount: skin.positions.length / 3 + (cap ? cap.positions.length / 3 : 0),
+        sourceIndexCount: skin.indices.length + (cap ? cap.indices.length : 0),
+        unweldedVertexCount:
+            upper.unweldedVertexCount +
+            lower.unweldedVertexCount +
+            upperCap.unweldedVertexCount +
+            lowerCap.unweldedVertexCount,
+        upperVertexCount: upper.vertices.length + upperCap.vertices.length,
+        upperIndexCount: upper.indices.length + upperCap.indices.length,
+        lowerVertexCount: lower.vertices.length + lowerCap.vertices.length,
+        lowerIndexCount: lower.indices.length + lowerCap.indices.length,
+    };
+
+    return result;
+}
+
+/**
+ * Buffers of mesh data that can be transferred to or from a worker
+ *
+ * @param {...(MeshData|null|undefined)} meshes
+ * @returns {ArrayBuffer[]} Each buffer once, shared memory excluded
+ */
+export function collectTransferables(...meshes) {
+    const buffers = new Set();
+    for (const mesh of meshes) {
+        if (!mesh) continue;
+        const arrays = [mesh.positions, mesh.indices, ...VERTEX_ATTRIBUTES.map(({array}) => mesh[array])];
+        for (const array of arrays) {
+            if (array && array.buffer instanceof ArrayBuffer) buffers.add(array.buffer);
+        }
+    }
+    return [...buffers];
+}
@@ -0,0 +1,135 @@
+import {collectTransferables} from './slice-core.js';
+
+/**
+ * @typedef {import('./slice-core.js').MeshData} MeshData
+ * @typedef {import('./slice-core.js').Plane} Plane
+ * @typedef {import('./slice-core.js').SliceGeometryResult} SliceGeometryResult
+ */
+
+/**
+ * @typedef {Object} SliceJob
+ * @property {MeshData} skin Transferred to the worker, unusable afterwards
+ * @property {MeshData|null} cap Transferred to the worker, unusable afterwards
+ * @property {Plane} plane
+ * @property {number} weldTolerance
+ */
+
+/**
+ * Runs {@link sliceGeometry} jobs in a worker (see slice-worker.js).
+ *
+ * At most `maxInFlight` jobs are posted at once, callers check
+ * {@link canRun} and keep the rest queued. If the worker can't be created
+ * or fails, {@link available} turns `false` and every pending job is
+ * rejected, so callers can slice on the main thread instead.
+ */
+export class SliceWorkerClient {
+    /**
+     * @param {string|URL|null} workerUrl Bundled worker script, `null`
+     *     for no worker
+     * @param {number} [maxInFlight] Jobs posted to the worker at once
+     */
+    constructor(workerUrl, maxInFlight = 2) {
+        this.maxInFlight = Math.max(1, maxInFlight);
+
+        /** @type {Worker|null} */
+        this.worker = null;
+
+        /** @type {Map<number, {resolve: Function, reject: Function}>} */
+        this.pending = new Map();
+        this.nextId = 1;
+
+        if (!workerUrl || typeof Worker === 'undefined') return;
+
+        try {
+            this.worker = new Worker(workerUrl, {type: 'module'});
+        } catch (error) {
+            console.warn('Could not create slice worker:', error);
+            return;
+        }
+        this.worker.onmessage = this.onMessage;
+        this.worker.onerror = this.onError;
+    }
+
+    /** Whether jobs can be posted to the worker */
+    get available() {
+        return this.worker !== null;
+    }
+
+    /** Number of jobs posted and not answered yet */
+    get inFlight() {
+        return this.pending.size;
+    }
+
+    /** Whether another job can be posted without exceeding the cap */
+    get canRun() {
+        return this.available && this.inFlight < this.maxInFlight;
+    }
+
+    /**
+     * Post a job to the worker. The job's typed arrays are transferred,
+     * so they must not be shared with anything else (e.g. engine memory).
+     *
+     * @param {SliceJob} job
+     * @returns {Promise<SliceGeometryResult|null>}
+     */
+    run(job) {
+        if (!this.available) {
+            return Promise.reject(new Error('Slice worker is not available'));
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, {resolve, reject});
+            this.worker.postMessage(
+                {
+                    id,
+                    skin: job.skin,
+                    cap: job.cap,
+                    plane: job.plane,
+                    weldTolerance: job.weldTolerance,
+                },
+                collectTransferables(job.skin, job.cap)
+            );
+        });
+    }
+
+    /**
+     * Stop the worker and reject all pending jobs
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.rejectAll(new Error('Slice worker was terminated'));
+    }
+
+    /** @param {MessageEvent} e */
+    onMessage = (e) => {
+        const {id, result, error} = e.data;
+        const job = this.pending.get(id);
+        if (!job) return;
+        this.pending.delete(id);
+
+        if (error) {
+            job.reject(new Error(error));
+        } else {
+            job.resolve(result);
+        }
+    };
+
+    /** @param {ErrorEvent} e */
+    onError = (e) => {
+        /* Usually the script failed to load, don't try again */
+        console.warn('Slice worker failed:', e.message);
+        e.preventDefault();
+        this.terminate();
+    };
+
+    /** @param {Error} error */
+    rejectAll(error) {
+        const pending = [...this.pending.values()];
+        this.pending.clear();
+        for (const job of pending) job.reject(error);
+    }
+}
@@ -0,0 +1,30 @@
+import {collectTransferables, sliceGeometry} from './slice-core.js';
+
+/**
+ * Worker entry point for {@link SliceWorkerClient}.
+ *
+ * Receives `{id, skin, cap, plane, weldTolerance}` and answers with
+ * `{id, result}` or `{id, error}`. Input and output mesh data is moved with
+ * transferable buffers, so neither side copies vertex data.
+ *
+ * The worker imports slice-core.js and earcut, so it is bundled on its own
+ * into `static/slice-worker.js` by `npm run build`. Rebuild after changing
+ * either.
+ */
+self.onmessage = (e) => {
+    const {id, skin, cap, plane, weldTolerance} = e.data;
+    try {
+        const result = sliceGeometry(skin, plane, {cap, weldTolerance});
+        const transfer = result
+            ? collectTransferables(
+                  result.upper.skin,
+                  result.upper.cap,
+                  result.lower.skin,
+                  result.lower.cap
+              )
+            : [];
+        self.postMessage({id, result}, transfer);
+    } catch (error) {
+        self.postMessage({id, error: String(error && error.message ? error.message : error)});
+    }
+};
@@ -0,0 +1,93 @@
+import {SpatialHash} from './spatial-hash.js';
+
+/**
+ * Registry of everything a blade can cut, kept in a {@link SpatialHash} by
+ * world space bounds.
+ *
+ * Sliceables add themselves when activated, keep their bounds up to date
+ * every frame and remove themselves when deactivated, sliced or destroyed.
+ * Blades then only test what is near their swept volume, instead of walking
+ * the scene graph.
+ */
+
+/**
+ * @typedef {Object} Sliceable
+ * @property {(min: number[], max: number[]) => void} getWorldBounds Write
+ *     the world space bounding box into `min` and `max`
+ */
+
+/**
+ * @template {Sliceable} T
+ */
+export class SliceableRegistry {
+    /**
+     * @param {number} [cellSize] Grid cell size in meters
+     */
+    constructor(cellSize) {
+        /** @type {SpatialHash<T>} */
+        this.grid = new SpatialHash(cellSize);
+        this.min = [0, 0, 0];
+        this.max = [0, 0, 0];
+    }
+
+    /** Number of registered sliceables */
+    get size() {
+        return this.grid.size;
+    }
+
+    /** Grid metrics, including candidates returned by the last query */
+    get stats() {
+        return this.grid.stats;
+    }
+
+    /** @param {T} sliceable */
+    has(sliceable) {
+        return this.grid.has(sliceable);
+    }
+
+    /**
+     * Register a sliceable at its current bounds
+     * @param {T} sliceable
+     */
+    add(sliceable) {
+        sliceable.getWorldBounds(this.min, this.max);
+        this.grid.insert(sliceable, this.min, this.max);
+    }
+
+    /**
+     * Move a registered sliceable to its current bounds, does nothing for
+     * sliceables that are not registered
+     * @param {T} sliceable
+     */
+    update(sliceable) {
+        if (this.grid.has(sliceable)) this.add(sliceable);
+    }
+
+    /**
+     * @param {T} sliceable
+     * @returns {boolean} Whether it was registered
+     */
+    remove(sliceable) {
+        return this.grid.remove(sliceable);
+    }
+
+    /**
+     * Sliceables whose bounds overlap a box
+     *
+     * @param {ArrayLike<number>} min
+     * @param {ArrayLike<number>} max
+     * @param {T[]} [out] Destination, cleared first
+     * @returns {T[]} out
+     */
+    query(min, max, out) {
+        return this.grid.query(min, max, out);
+    }
+
+    /** @returns {IterableIterator<T>} */
+    [Symbol.iterator]() {
+        return this.grid.entries.keys();
+    }
+}
+
+/** Registry shared by all sliceable fruits and swords */
+export const sliceableRegistry = new SliceableRegistry();
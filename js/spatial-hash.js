@@ -0,0 +1,209 @@
+/**
+ * Uniform grid over axis aligned boxes, for finding the few items near a
+ * query box without testing all of them.
+ *
+ * Items are bucketed into every cell their box touches. Cells are keyed by
+ * their integer coordinates, so the grid is unbounded and only occupied
+ * cells use memory.
+ */
+
+/**
+ * @typedef {Object} SpatialHashStats
+ * @property {number} items Items in the grid
+ * @property {number} cells Occupied cells
+ * @property {number} cellsVisited Cells looked up by the last query
+ * @property {number} candidates Items returned by the last query
+ */
+
+/** Default cell size in meters, about the size of a large fruit */
+export const DEFAULT_CELL_SIZE = 0.5;
+
+/** Items spanning more cells than this are kept out of the grid and always returned */
+const MAX_CELLS_PER_ITEM = 512;
+
+/**
+ * @template T
+ */
+export class SpatialHash {
+    /**
+     * @param {number} [cellSize] Edge length of a cell
+     */
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        if (!(cellSize > 0)) throw new Error(`Cell size must be positive, got ${cellSize}`);
+        this.cellSize = cellSize;
+
+        /** @type {Map<string, Set<T>>} */
+        this.cells = new Map();
+
+        /** @type {Map<T, {min: number[], max: number[], range: number[], keys: string[]}>} */
+        this.entries = new Map();
+
+        /** Items too large to bucket */
+        /** @type {Set<T>} */
+        this.oversized = new Set();
+
+        this.lastCellsVisited = 0;
+        this.lastCandidates = 0;
+    }
+
+    /** Number of items in the grid */
+    get size() {
+        return this.entries.size;
+    }
+
+    /** @returns {SpatialHashStats} */
+    get stats() {
+        return {
+            items: this.entries.size,
+            cells: this.cells.size,
+            cellsVisited: this.lastCellsVisited,
+            candidates: this.lastCandidates,
+        };
+    }
+
+    /** @param {T} item */
+    has(item) {
+        return this.entries.has(item);
+    }
+
+    /**
+     * Add an item or move it to a new box. Moving within the same cells
+     * only updates the stored box.
+     *
+     * @param {T} item
+     * @param {ArrayLike<number>} min
+     * @param {ArrayLike<number>} max
+     */
+    insert(item, min, max) {
+        const range = this.cellRange(min, max);
+        const entry = this.entries.get(item);
+        if (entry && range.every((c, i) => c === entry.range[i])) {
+            copy3(entry.min, min);
+            copy3(entry.max, max);
+            return;
+        }
+        if (entry) this.remove(item);
+
+        const keys = [];
+        const cellCount = (range[3] - range[0] + 1) * (range[4] - range[1] + 1) * (range[5] - range[2] + 1);
+        if (cellCount > MAX_CELLS_PER_ITEM) {
+            this.oversized.add(item);
+        } else {
+            forEachCell(range, (key) => {
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = new Set();
+                    this.cells.set(key, cell);
+                }
+                cell.add(item);
+                keys.push(key);
+            });
+        }
+        this.entries.set(item, {min: copy3([0, 0, 0], min), max: copy3([0, 0, 0], max), range, keys});
+    }
+
+    /**
+     * @param {T} item
+     * @returns {boolean} Whether the item was in the grid
+     */
+    remove(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return false;
+
+        for (const key of entry.keys) {
+            const cell = this.cells.get(key);
+            cell.delete(item);
+            if (cell.size === 0) this.cells.delete(key);
+        }
+        this.oversized.delete(item);
+        this.entries.delete(item);
+        return true;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+        this.oversized.clear();
+    }
+
+    /**
+     * Items whose box overlaps the query box
+     *
+     * @param {ArrayLike<number>} min
+     * @param {ArrayLike<number>} max
+     * @param {T[]} [out] Destination, cleared first
+     * @returns {T[]} out
+     */
+    query(min, max, out = []) {
+        out.length = 0;
+        const found = new Set(this.oversized);
+
+        const range = this.cellRange(min, max);
+        const cellCount = (range[3] - range[0] + 1) * (range[4] - range[1] + 1) * (range[5] - range[2] + 1);
+        if (cellCount > this.cells.size) {
+            /* Cheaper to go through the occupied cells than all cells of the query */
+            this.lastCellsVisited = this.cells.size;
+            for (const cell of this.cells.values()) {
+                for (const item of cell) found.add(item);
+            }
+        } else {
+            this.lastCellsVisited = cellCount;
+            forEachCell(range, (key) => {
+                const cell = this.cells.get(key);
+                if (cell) for (const item of cell) found.add(item);
+            });
+        }
+
+        for (const item of found) {
+            const entry = this.entries.get(item);
+            if (overlaps(entry.min, entry.max, min, max)) out.push(item);
+        }
+        this.lastCandidates = out.length;
+        return out;
+    }
+
+    /**
+     * Integer cell coordinates covered by a box
+     *
+     * @returns {number[]} Min x, y, z, then max x, y, z
+     */
+    cellRange(min, max) {
+        const s = this.cellSize;
+        return [
+            Math.floor(min[0] / s),
+            Math.floor(min[1] / s),
+            Math.floor(min[2] / s),
+            Math.floor(max[0] / s),
+            Math.floor(max[1] / s),
+            Math.floor(max[2] / s),
+        ];
+    }
+}
+
+function forEachCell(range, callback) {
+    for (let x = range[0]; x <= range[3]; x++) {
+        for (let y = range[1]; y <= range[4]; y++) {
+            for (let z = range[2]; z <= range[5]; z++) {
+                callback(`${x},${y},${z}`);
+            }
+        }
+    }
+}
+
+function overlaps(minA, maxA, minB, maxB) {
+    return (
+        minA[0] <= maxB[0] &&
+        maxA[0] >= minB[0] &&
+        minA[1] <= maxB[1] &&
+        maxA[1] >= minB[1] &&
+        minA[2] <= maxB[2] &&
+        maxA[2] >= minB[2]
+    );
+}
+
+function copy3(out, a) {
+    out[0] = a[0];
+    out[1] = a[1];
+    out[2] = a[2];
+    return out;
+}
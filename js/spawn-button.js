@@ -0,0 +1,44 @@
+import {Component, Property} from '@wonderlandengine/api';
+import {CursorTarget} from '@wonderlandengine/components';
+import {FruitSpawner} from './fruit-spawner.js';
+
+/**
+ * Launches a burst of the `fruit-spawner` on `spawnerObject` when the
+ * object's `cursor-target` is clicked, e.g. on the panel's `button`.
+ */
+export class SpawnButton extends Component {
+    static TypeName = 'spawn-button';
+    static Properties = {
+        /** Object with the `fruit-spawner` */
+        spawnerObject: Property.object(),
+    };
+
+    static onRegister(engine) {
+        engine.registerComponent(CursorTarget);
+        engine.registerComponent(FruitSpawner);
+    }
+
+    /** @type {CursorTarget|null} */
+    target = null;
+
+    start() {
+        this.target = this.object.getComponent(CursorTarget) || this.object.addComponent(CursorTarget);
+    }
+
+    onActivate() {
+        this.target.onClick.add(this.onClick);
+    }
+
+    onDeactivate() {
+        if (!this.target.isDestroyed) this.target.onClick.remove(this.onClick);
+    }
+
+    onClick = () => {
+        const spawner = this.spawnerObject ? this.spawnerObject.getComponent(FruitSpawner) : null;
+        if (!spawner) {
+            console.warn('spawn-button: no fruit-spawner found on spawnerObject');
+            return;
+        }
+        spawner.spawnFruit();
+    };
+}
@@ -0,0 +1,182 @@
+/**
+ * Weapon definitions for the armory.
+ *
+ * A definition only has to name what differs from {@link WEAPON_DEFAULTS}.
+ * Lengths are in the sword object's local units, like `vr-sword`'s
+ * `hiltOffset` and `bladeLength`.
+ */
+
+/**
+ * @typedef {Object} WeaponDefinition
+ * @property {string} id Stable identifier, saved as the selected weapon
+ * @property {string} name Shown in the armory
+ * @property {string} model Name of the model's template object in the
+ *     armory's model library
+ * @property {{position: number[], rotation: number[]}} grip Pose in the
+ *     right controller's space, rotation as euler angles in degrees
+ * @property {{axis: string, hiltOffset: number, length: number}} blade
+ *     Local axis from hilt to tip, one of `vr-sword`'s bladeAxis values
+ * @property {number} hitWidth Thickness of the cutting edge in m
+ * @property {number} weight Mass in kg
+ * @property {number} sharpness 0 for a blunt blade that needs fast swings
+ *     through hard fruit, 1 cuts anything
+ * @property {{color: number[], flashColor: number[], lifetime: number, minWidth: number}} trail
+ *     Settings for `blade-trail`
+ * @property {{swing?: string, hit?: string}} sounds Audio files played when
+ *     a swing starts and on a hit
+ */
+
+/** Blade axes in the order of `vr-sword`'s bladeAxis enum */
+export const BLADE_AXES = ['x', 'y', 'z', '-x', '-y', '-z'];
+
+/** Weight in kg with full haptic feedback */
+export const REFERENCE_WEIGHT = 1.0;
+
+/** Swing speed in m/s a fully blunt blade needs for the hardest fruit */
+export const MAX_CUT_SPEED = 6.0;
+
+/** Storage key of the selected weapon's id */
+export const WEAPON_STORAGE_KEY = 'cpe.armory.weapon';
+
+/** @type {Omit<WeaponDefinition, 'id'|'name'|'model'>} */
+export const WEAPON_DEFAULTS = {
+    grip: {position: [0, 0, 0], rotation: [0, 0, 0]},
+    blade: {axis: '-z', hiltOffset: 0, length: 1},
+    hitWidth: 0,
+    weight: REFERENCE_WEIGHT,
+    sharpness: 1,
+    trail: {color: [1, 1, 1, 0.6], flashColor: [1, 1, 1, 1], lifetime: 0.2, minWidth: 0.25},
+    sounds: {},
+};
+
+/** @type {WeaponDefinition[]} */
+export const WEAPONS = [
+    defineWeapon({
+        id: 'fake-sword',
+        name: 'Fake Sword',
+        model: 'Fake Sword',
+        blade: {axis: '-z', hiltOffset: 0.15, length: 0.85},
+        hitWidth: 0.02,
+        weight: 1.2,
+        sharpness: 0.9,
+    }),
+    defineWeapon({
+        id: 'cardboard-sword',
+        name: 'Cardboard Sword',
+        model: 'Cardboard Sword',
+        blade: {axis: '-z', hiltOffset: 0.12, length: 0.7},
+        hitWidth: 0.05,
+        weight: 0.3,
+        sharpness: 0.3,
+        trail: {color: [0.8, 0.6, 0.4, 0.5], lifetime: 0.15, minWidth: 0.4},
+    }),
+];
+
+/**
+ * Fill in the defaults of a weapon definition and check it
+ *
+ * @param {Partial<WeaponDefinition> & {id: string}} definition
+ * @returns {WeaponDefinition}
+ */
+export function defineWeapon(definition) {
+    const {id} = definition;
+    if (typeof id !== 'string' || !id) throw new Error('Weapon definition needs an id');
+
+    const weapon = {
+        ...WEAPON_DEFAULTS,
+        name: id,
+        model: id,
+        ...definition,
+        grip: {...WEAPON_DEFAULTS.grip, ...definition.grip},
+        blade: {...WEAPON_DEFAULTS.blade, ...definition.blade},
+        trail: {...WEAPON_DEFAULTS.trail, ...definition.trail},
+        sounds: {...WEAPON_DEFAULTS.sounds, ...definition.sounds},
+    };
+
+    if (!BLADE_AXES.includes(weapon.blade.axis)) {
+        throw new Error(`Weapon '${id}': blade axis must be one of ${BLADE_AXES.join(', ')}`);
+    }
+    if (!(weapon.blade.length > 0)) throw new Error(`Weapon '${id}': blade length must be positive`);
+    if (!(weapon.weight > 0)) throw new Error(`Weapon '${id}': weight must be positive`);
+    if (!(weapon.hitWidth >= 0)) throw new Error(`Weapon '${id}': hit width can't be negative`);
+    if (!(weapon.sharpness >= 0 && weapon.sharpness <= 1)) {
+        throw new Error(`Weapon '${id}': sharpness must be between 0 and 1`);
+    }
+    return weapon;
+}
+
+/**
+ * @param {string|null} id
+ * @param {WeaponDefinition[]} [weapons]
+ * @returns {WeaponDefinition|null}
+ */
+export function findWeapon(id, weapons = WEAPONS) {
+    return weapons.find((w) => w.id === id) || null;
+}
+
+/**
+ * Speed the blade needs to cut a fruit, a miss below it
+ *
+ * @param {number} hardness 0 for soft fruit like a tomato, 1 for a coconut
+ * @param {number} sharpness 0 to 1
+ * @returns {number} m/s
+ */
+export function requiredCutSpeed(hardness, sharpness) {
+    const h = Math.min(Math.max(hardness, 0), 1);
+    const s = Math.min(Math.max(sharpness, 0), 1);
+    return MAX_CUT_SPEED * h * (1 - s);
+}
+
+/**
+ * Haptic scale for a weapon, heavier blades push back more
+ *
+ * @param {number} weight kg
+ * @returns {number} 0.4 to 1
+ */
+export function weightHapticScale(weight) {
+    return 0.4 + 0.6 * Math.min(Math.max(weight / REFERENCE_WEIGHT, 0), 1);
+}
+
+/** `localStorage` where available, it throws in some private modes */
+function defaultStorage() {
+    try {
+        return globalThis.localStorage || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Id of the weapon selected in an earlier session
+ *
+ * @param {WeaponDefinition[]} [weapons] Known weapons, others are ignored
+ * @param {Storage|null} [storage]
+ * @returns {string|null}
+ */
+export function loadWeaponId(weapons = WEAPONS, storage = defaultStorage()) {
+    if (!storage) return null;
+    try {
+        const id = storage.getItem(WEAPON_STORAGE_KEY);
+        return findWeapon(id, weapons) ? id : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Remember the selected weapon for the next session
+ *
+ * @param {string} id
+ * @param {Storage|null} [storage]
+ * @returns {boolean} Whether it was saved
+ */
+export function saveWeaponId(id, storage = defaultStorage()) {
+    if (!storage) return false;
+    try {
+        storage.setItem(WEAPON_STORAGE_KEY, id);
+        return true;
+    } catch (e) {
+        /* Full or disabled storage, the choice lasts for this session */
+        return false;
+    }
+}
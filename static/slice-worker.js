@@ -0,0 +1,961 @@
+var __create = Object.create;
+var __defProp = Object.defineProperty;
+var __getOwnPropDesc = Object.getOwnPropertyDescriptor;
+var __getOwnPropNames = Object.getOwnPropertyNames;
+var __getProtoOf = Object.getPrototypeOf;
+var __hasOwnProp = Object.prototype.hasOwnProperty;
+var __commonJS = (cb, mod) => function __require() {
+  return mod || (0, cb[__getOwnPropNames(cb)[0]])((mod = { exports: {} }).exports, mod), mod.exports;
+};
+var __copyProps = (to, from, except, desc) => {
+  if (from && typeof from === "object" || typeof from === "function") {
+    for (let key of __getOwnPropNames(from))
+      if (!__hasOwnProp.call(to, key) && key !== except)
+        __defProp(to, key, { get: () => from[key], enumerable: !(desc = __getOwnPropDesc(from, key)) || desc.enumerable });
+  }
+  return to;
+};
+var __toESM = (mod, isNodeMode, target) => (target = mod != null ? __create(__getProtoOf(mod)) : {}, __copyProps(
+  // If the importer is in node compatibility mode or this is not an ESM
+  // file that has been converted to a CommonJS file using a Babel-
+  // compatible transform (i.e. "__esModule" has not been set), then set
+  // "default" to the CommonJS "module.exports" for node compatibility.
+  isNodeMode || !mod || !mod.__esModule ? __defProp(target, "default", { value: mod, enumerable: true }) : target,
+  mod
+));
+
+// node_modules/earcut/src/earcut.js
+var require_earcut = __commonJS({
+  "node_modules/earcut/src/earcut.js"(exports, module) {
+    "use strict";
+    module.exports = earcut2;
+    module.exports.default = earcut2;
+    function earcut2(data, holeIndices, dim) {
+      dim = dim || 2;
+      var hasHoles = holeIndices && holeIndices.length, outerLen = hasHoles ? holeIndices[0] * dim : data.length, outerNode = linkedList(data, 0, outerLen, dim, true), triangles = [];
+      if (!outerNode || outerNode.next === outerNode.prev)
+        return triangles;
+      var minX, minY, maxX, maxY, x, y, invSize;
+      if (hasHoles)
+        outerNode = eliminateHoles(data, holeIndices, outerNode, dim);
+      if (data.length > 80 * dim) {
+        minX = maxX = data[0];
+        minY = maxY = data[1];
+        for (var i = dim; i < outerLen; i += dim) {
+          x = data[i];
+          y = data[i + 1];
+          if (x < minX)
+            minX = x;
+          if (y < minY)
+            minY = y;
+          if (x > maxX)
+            maxX = x;
+          if (y > maxY)
+            maxY = y;
+        }
+        invSize = Math.max(maxX - minX, maxY - minY);
+        invSize = invSize !== 0 ? 32767 / invSize : 0;
+      }
+      earcutLinked(outerNode, triangles, dim, minX, minY, invSize, 0);
+      return triangles;
+    }
+    function linkedList(data, start, end, dim, clockwise) {
+      var i, last;
+      if (clockwise === signedArea(data, start, end, dim) > 0) {
+        for (i = start; i < end; i += dim)
+          last = insertNode(i, data[i], data[i + 1], last);
+      } else {
+        for (i = end - dim; i >= start; i -= dim)
+          last = insertNode(i, data[i], data[i + 1], last);
+      }
+      if (last && equals(last, last.next)) {
+        removeNode(last);
+        last = last.next;
+      }
+      return last;
+    }
+    function filterPoints(start, end) {
+      if (!start)
+        return start;
+      if (!end)
+        end = start;
+      var p = start, again;
+      do {
+        again = false;
+        if (!p.steiner && (equals(p, p.next) || area(p.prev, p, p.next) === 0)) {
+          removeNode(p);
+          p = end = p.prev;
+          if (p === p.next)
+            break;
+          again = true;
+        } else {
+          p = p.next;
+        }
+      } while (again || p !== end);
+      return end;
+    }
+    function earcutLinked(ear, triangles, dim, minX, minY, invSize, pass) {
+      if (!ear)
+        return;
+      if (!pass && invSize)
+        indexCurve(ear, minX, minY, invSize);
+      var stop = ear, prev, next;
+      while (ear.prev !== ear.next) {
+        prev = ear.prev;
+        next = ear.next;
+        if (invSize ? isEarHashed(ear, minX, minY, invSize) : isEar(ear)) {
+          triangles.push(prev.i / dim | 0);
+          triangles.push(ear.i / dim | 0);
+          triangles.push(next.i / dim | 0);
+          removeNode(ear);
+          ear = next.next;
+          stop = next.next;
+          continue;
+        }
+        ear = next;
+        if (ear === stop) {
+          if (!pass) {
+            earcutLinked(filterPoints(ear), triangles, dim, minX, minY, invSize, 1);
+          } else if (pass === 1) {
+            ear = cureLocalIntersections(filterPoints(ear), triangles, dim);
+            earcutLinked(ear, triangles, dim, minX, minY, invSize, 2);
+          } else if (pass === 2) {
+            splitEarcut(ear, triangles, dim, minX, minY, invSize);
+          }
+          break;
+        }
+      }
+    }
+    function isEar(ear) {
+      var a = ear.prev, b = ear, c = ear.next;
+      if (area(a, b, c) >= 0)
+        return false;
+      var ax = a.x, bx = b.x, cx = c.x, ay = a.y, by = b.y, cy = c.y;
+      var x0 = ax < bx ? ax < cx ? ax : cx : bx < cx ? bx : cx, y0 = ay < by ? ay < cy ? ay : cy : by < cy ? by : cy, x1 = ax > bx ? ax > cx ? ax : cx : bx > cx ? bx : cx, y1 = ay > by ? ay > cy ? ay : cy : by > cy ? by : cy;
+      var p = c.next;
+      while (p !== a) {
+        if (p.x >= x0 && p.x <= x1 && p.y >= y0 && p.y <= y1 && pointInTriangle(ax, ay, bx, by, cx, cy, p.x, p.y) && area(p.prev, p, p.next) >= 0)
+          return false;
+        p = p.next;
+      }
+      return true;
+    }
+    function isEarHashed(ear, minX, minY, invSize) {
+      var a = ear.prev, b = ear, c = ear.next;
+      if (area(a, b, c) >= 0)
+        return false;
+      var ax = a.x, bx = b.x, cx = c.x, ay = a.y, by = b.y, cy = c.y;
+      var x0 = ax < bx ? ax < cx ? ax : cx : bx < cx ? bx : cx, y0 = ay < by ? ay < cy ? ay : cy : by < cy ? by : cy, x1 = ax > bx ? ax > cx ? ax : cx : bx > cx ? bx : cx, y1 = ay > by ? ay > cy ? ay : cy : by > cy ? by : cy;
+      var minZ = zOrder(x0, y0, minX, minY, invSize), maxZ = zOrder(x1, y1, minX, minY, invSize);
+      var p = ear.prevZ, n = ear.nextZ;
+      while (p && p.z >= minZ && n && n.z <= maxZ) {
+        if (p.x >= x0 && p.x <= x1 && p.y >= y0 && p.y <= y1 && p !== a && p !== c && pointInTriangle(ax, ay, bx, by, cx, cy, p.x, p.y) && area(p.prev, p, p.next) >= 0)
+          return false;
+        p = p.prevZ;
+        if (n.x >= x0 && n.x <= x1 && n.y >= y0 && n.y <= y1 && n !== a && n !== c && pointInTriangle(ax, ay, bx, by, cx, cy, n.x, n.y) && area(n.prev, n, n.next) >= 0)
+          return false;
+        n = n.nextZ;
+      }
+      while (p && p.z >= minZ) {
+        if (p.x >= x0 && p.x <= x1 && p.y >= y0 && p.y <= y1 && p !== a && p !== c && pointInTriangle(ax, ay, bx, by, cx, cy, p.x, p.y) && area(p.prev, p, p.next) >= 0)
+          return false;
+        p = p.prevZ;
+      }
+      while (n && n.z <= maxZ) {
+        if (n.x >= x0 && n.x <= x1 && n.y >= y0 && n.y <= y1 && n !== a && n !== c && pointInTriangle(ax, ay, bx, by, cx, cy, n.x, n.y) && area(n.prev, n, n.next) >= 0)
+          return false;
+        n = n.nextZ;
+      }
+      return true;
+    }
+    function cureLocalIntersections(start, triangles, dim) {
+      var p = start;
+      do {
+        var a = p.prev, b = p.next.next;
+        if (!equals(a, b) && intersects(a, p, p.next, b) && locallyInside(a, b) && locallyInside(b, a)) {
+          triangles.push(a.i / dim | 0);
+          triangles.push(p.i / dim | 0);
+          triangles.push(b.i / dim | 0);
+          removeNode(p);
+          removeNode(p.next);
+          p = start = b;
+        }
+        p = p.next;
+      } while (p !== start);
+      return filterPoints(p);
+    }
+    function splitEarcut(start, triangles, dim, minX, minY, invSize) {
+      var a = start;
+      do {
+        var b = a.next.next;
+        while (b !== a.prev) {
+          if (a.i !== b.i && isValidDiagonal(a, b)) {
+            var c = splitPolygon(a, b);
+            a = filterPoints(a, a.next);
+            c = filterPoints(c, c.next);
+            earcutLinked(a, triangles, dim, minX, minY, invSize, 0);
+            earcutLinked(c, triangles, dim, minX, minY, invSize, 0);
+            return;
+          }
+          b = b.next;
+        }
+        a = a.next;
+      } while (a !== start);
+    }
+    function eliminateHoles(data, holeIndices, outerNode, dim) {
+      var queue = [], i, len, start, end, list;
+      for (i = 0, len = holeIndices.length; i < len; i++) {
+        start = holeIndices[i] * dim;
+        end = i < len - 1 ? holeIndices[i + 1] * dim : data.length;
+        list = linkedList(data, start, end, dim, false);
+        if (list === list.next)
+          list.steiner = true;
+        queue.push(getLeftmost(list));
+      }
+      queue.sort(compareX);
+      for (i = 0; i < queue.length; i++) {
+        outerNode = eliminateHole(queue[i], outerNode);
+      }
+      return outerNode;
+    }
+    function compareX(a, b) {
+      return a.x - b.x;
+    }
+    function eliminateHole(hole, outerNode) {
+      var bridge = findHoleBridge(hole, outerNode);
+      if (!bridge) {
+        return outerNode;
+      }
+      var bridgeReverse = splitPolygon(bridge, hole);
+      filterPoints(bridgeReverse, bridgeReverse.next);
+      return filterPoints(bridge, bridge.next);
+    }
+    function findHoleBridge(hole, outerNode) {
+      var p = outerNode, hx = hole.x, hy = hole.y, qx = -Infinity, m;
+      do {
+        if (hy <= p.y && hy >= p.next.y && p.next.y !== p.y) {
+          var x = p.x + (hy - p.y) * (p.next.x - p.x) / (p.next.y - p.y);
+          if (x <= hx && x > qx) {
+            qx = x;
+            m = p.x < p.next.x ? p : p.next;
+            if (x === hx)
+              return m;
+          }
+        }
+        p = p.next;
+      } while (p !== outerNode);
+      if (!m)
+        return null;
+      var stop = m, mx = m.x, my = m.y, tanMin = Infinity, tan;
+      p = m;
+      do {
+        if (hx >= p.x && p.x >= mx && hx !== p.x && pointInTriangle(hy < my ? hx : qx, hy, mx, my, hy < my ? qx : hx, hy, p.x, p.y)) {
+          tan = Math.abs(hy - p.y) / (hx - p.x);
+          if (locallyInside(p, hole) && (tan < tanMin || tan === tanMin && (p.x > m.x || p.x === m.x && sectorContainsSector(m, p)))) {
+            m = p;
+            tanMin = tan;
+          }
+        }
+        p = p.next;
+      } while (p !== stop);
+      return m;
+    }
+    function sectorContainsSector(m, p) {
+      return area(m.prev, m, p.prev) < 0 && area(p.next, m, m.next) < 0;
+    }
+    function indexCurve(start, minX, minY, invSize) {
+      var p = start;
+      do {
+        if (p.z === 0)
+          p.z = zOrder(p.x, p.y, minX, minY, invSize);
+        p.prevZ = p.prev;
+        p.nextZ = p.next;
+        p = p.next;
+      } while (p !== start);
+      p.prevZ.nextZ = null;
+      p.prevZ = null;
+      sortLinked(p);
+    }
+    function sortLinked(list) {
+      var i, p, q, e, tail, numMerges, pSize, qSize, inSize = 1;
+      do {
+        p = list;
+        list = null;
+        tail = null;
+        numMerges = 0;
+        while (p) {
+          numMerges++;
+          q = p;
+          pSize = 0;
+          for (i = 0; i < inSize; i++) {
+            pSize++;
+            q = q.nextZ;
+            if (!q)
+              break;
+          }
+          qSize = inSize;
+          while (pSize > 0 || qSize > 0 && q) {
+            if (pSize !== 0 && (qSize === 0 || !q || p.z <= q.z)) {
+              e = p;
+              p = p.nextZ;
+              pSize--;
+            } else {
+              e = q;
+              q = q.nextZ;
+              qSize--;
+            }
+            if (tail)
+              tail.nextZ = e;
+            else
+              list = e;
+            e.prevZ = tail;
+            tail = e;
+          }
+          p = q;
+        }
+        tail.nextZ = null;
+        inSize *= 2;
+      } while (numMerges > 1);
+      return list;
+    }
+    function zOrder(x, y, minX, minY, invSize) {
+      x = (x - minX) * invSize | 0;
+      y = (y - minY) * invSize | 0;
+      x = (x | x << 8) & 16711935;
+      x = (x | x << 4) & 252645135;
+      x = (x | x << 2) & 858993459;
+      x = (x | x << 1) & 1431655765;
+      y = (y | y << 8) & 16711935;
+      y = (y | y << 4) & 252645135;
+      y = (y | y << 2) & 858993459;
+      y = (y | y << 1) & 1431655765;
+      return x | y << 1;
+    }
+    function getLeftmost(start) {
+      var p = start, leftmost = start;
+      do {
+        if (p.x < leftmost.x || p.x === leftmost.x && p.y < leftmost.y)
+          leftmost = p;
+        p = p.next;
+      } while (p !== start);
+      return leftmost;
+    }
+    function pointInTriangle(ax, ay, bx, by, cx, cy, px, py) {
+      return (cx - px) * (ay - py) >= (ax - px) * (cy - py) && (ax - px) * (by - py) >= (bx - px) * (ay - py) && (bx - px) * (cy - py) >= (cx - px) * (by - py);
+    }
+    function isValidDiagonal(a, b) {
+      return a.next.i !== b.i && a.prev.i !== b.i && !intersectsPolygon(a, b) && // dones't intersect other edges
+      (locallyInside(a, b) && locallyInside(b, a) && middleInside(a, b) && // locally visible
+      (area(a.prev, a, b.prev) || area(a, b.prev, b)) || // does not create opposite-facing sectors
+      equals(a, b) && area(a.prev, a, a.next) > 0 && area(b.prev, b, b.next) > 0);
+    }
+    function area(p, q, r) {
+      return (q.y - p.y) * (r.x - q.x) - (q.x - p.x) * (r.y - q.y);
+    }
+    function equals(p1, p2) {
+      return p1.x === p2.x && p1.y === p2.y;
+    }
+    function intersects(p1, q1, p2, q2) {
+      var o1 = sign(area(p1, q1, p2));
+      var o2 = sign(area(p1, q1, q2));
+      var o3 = sign(area(p2, q2, p1));
+      var o4 = sign(area(p2, q2, q1));
+      if (o1 !== o2 && o3 !== o4)
+        return true;
+      if (o1 === 0 && onSegment(p1, p2, q1))
+        return true;
+      if (o2 === 0 && onSegment(p1, q2, q1))
+        return true;
+      if (o3 === 0 && onSegment(p2, p1, q2))
+        return true;
+      if (o4 === 0 && onSegment(p2, q1, q2))
+        return true;
+      return false;
+    }
+    function onSegment(p, q, r) {
+      return q.x <= Math.max(p.x, r.x) && q.x >= Math.min(p.x, r.x) && q.y <= Math.max(p.y, r.y) && q.y >= Math.min(p.y, r.y);
+    }
+    function sign(num) {
+      return num > 0 ? 1 : num < 0 ? -1 : 0;
+    }
+    function intersectsPolygon(a, b) {
+      var p = a;
+      do {
+        if (p.i !== a.i && p.next.i !== a.i && p.i !== b.i && p.next.i !== b.i && intersects(p, p.next, a, b))
+          return true;
+        p = p.next;
+      } while (p !== a);
+      return false;
+    }
+    function locallyInside(a, b) {
+      return area(a.prev, a, a.next) < 0 ? area(a, b, a.next) >= 0 && area(a, a.prev, b) >= 0 : area(a, b, a.prev) < 0 || area(a, a.next, b) < 0;
+    }
+    function middleInside(a, b) {
+      var p = a, inside = false, px = (a.x + b.x) / 2, py = (a.y + b.y) / 2;
+      do {
+        if (p.y > py !== p.next.y > py && p.next.y !== p.y && px < (p.next.x - p.x) * (py - p.y) / (p.next.y - p.y) + p.x)
+          inside = !inside;
+        p = p.next;
+      } while (p !== a);
+      return inside;
+    }
+    function splitPolygon(a, b) {
+      var a2 = new Node(a.i, a.x, a.y), b2 = new Node(b.i, b.x, b.y), an = a.next, bp = b.prev;
+      a.next = b;
+      b.prev = a;
+      a2.next = an;
+      an.prev = a2;
+      b2.next = a2;
+      a2.prev = b2;
+      bp.next = b2;
+      b2.prev = bp;
+      return b2;
+    }
+    function insertNode(i, x, y, last) {
+      var p = new Node(i, x, y);
+      if (!last) {
+        p.prev = p;
+        p.next = p;
+      } else {
+        p.next = last.next;
+        p.prev = last;
+        last.next.prev = p;
+        last.next = p;
+      }
+      return p;
+    }
+    function removeNode(p) {
+      p.next.prev = p.prev;
+      p.prev.next = p.next;
+      if (p.prevZ)
+        p.prevZ.nextZ = p.nextZ;
+      if (p.nextZ)
+        p.nextZ.prevZ = p.prevZ;
+    }
+    function Node(i, x, y) {
+      this.i = i;
+      this.x = x;
+      this.y = y;
+      this.prev = null;
+      this.next = null;
+      this.z = 0;
+      this.prevZ = null;
+      this.nextZ = null;
+      this.steiner = false;
+    }
+    earcut2.deviation = function(data, holeIndices, dim, triangles) {
+      var hasHoles = holeIndices && holeIndices.length;
+      var outerLen = hasHoles ? holeIndices[0] * dim : data.length;
+      var polygonArea = Math.abs(signedArea(data, 0, outerLen, dim));
+      if (hasHoles) {
+        for (var i = 0, len = holeIndices.length; i < len; i++) {
+          var start = holeIndices[i] * dim;
+          var end = i < len - 1 ? holeIndices[i + 1] * dim : data.length;
+          polygonArea -= Math.abs(signedArea(data, start, end, dim));
+        }
+      }
+      var trianglesArea = 0;
+      for (i = 0; i < triangles.length; i += 3) {
+        var a = triangles[i] * dim;
+        var b = triangles[i + 1] * dim;
+        var c = triangles[i + 2] * dim;
+        trianglesArea += Math.abs(
+          (data[a] - data[c]) * (data[b + 1] - data[a + 1]) - (data[a] - data[b]) * (data[c + 1] - data[a + 1])
+        );
+      }
+      return polygonArea === 0 && trianglesArea === 0 ? 0 : Math.abs((trianglesArea - polygonArea) / polygonArea);
+    };
+    function signedArea(data, start, end, dim) {
+      var sum = 0;
+      for (var i = start, j = end - dim; i < end; i += dim) {
+        sum += (data[j] - data[i]) * (data[i + 1] + data[j + 1]);
+        j = i;
+      }
+      return sum;
+    }
+    earcut2.flatten = function(data) {
+      var dim = data[0][0].length, result = { vertices: [], holes: [], dimensions: dim }, holeIndex = 0;
+      for (var i = 0; i < data.length; i++) {
+        for (var j = 0; j < data[i].length; j++) {
+          for (var d = 0; d < dim; d++)
+            result.vertices.push(data[i][j][d]);
+        }
+        if (i > 0) {
+          holeIndex += data[i - 1].length;
+          result.holes.push(holeIndex);
+        }
+      }
+      return result;
+    };
+  }
+});
+
+// js/slice-core.js
+var import_earcut = __toESM(require_earcut(), 1);
+var CONTOUR_WELD_EPSILON = 1e-5;
+var PLANE_EPSILON = 1e-6;
+var DEFAULT_WELD_TOLERANCE = 1e-5;
+var VERTEX_ATTRIBUTES = [
+  { array: "normals", key: "normal", size: 3 },
+  { array: "tangents", key: "tangent", size: 4 },
+  { array: "texCoords", key: "texCoord", size: 2 },
+  { array: "texCoords2", key: "texCoord2", size: 2 },
+  { array: "colors", key: "color", size: 4 },
+  { array: "jointIds", key: "jointIds", size: 0 },
+  { array: "jointWeights", key: "jointWeights", size: 0 }
+];
+function signedDistance(position, plane) {
+  const n = plane.normal;
+  const p = plane.point;
+  return n[0] * (position[0] - p[0]) + n[1] * (position[1] - p[1]) + n[2] * (position[2] - p[2]);
+}
+function lerp(a, b, t) {
+  return a.map((x, i) => x + (b[i] - x) * t);
+}
+function normalize(v) {
+  const len = Math.hypot(v[0], v[1], v[2]);
+  return len > 0 ? v.map((x) => x / len) : v;
+}
+function orthonormalizeTangent(tangent, normal) {
+  const d = tangent[0] * normal[0] + tangent[1] * normal[1] + tangent[2] * normal[2];
+  let t = [tangent[0] - normal[0] * d, tangent[1] - normal[1] * d, tangent[2] - normal[2] * d];
+  if (Math.hypot(t[0], t[1], t[2]) < 1e-6)
+    t = planeBasis(normal).u;
+  const [x, y, z] = normalize(t);
+  return [x, y, z, tangent[3] < 0 ? -1 : 1];
+}
+function interpolateVertex(v1, v2, t) {
+  const result = { position: lerp(v1.position, v2.position, t) };
+  if (v1.normal && v2.normal) {
+    result.normal = normalize(lerp(v1.normal, v2.normal, t));
+  }
+  if (v1.tangent && v2.tangent) {
+    const tangent = lerp(v1.tangent, v2.tangent, t);
+    tangent[3] = (t < 0.5 ? v1 : v2).tangent[3];
+    result.tangent = result.normal ? orthonormalizeTangent(tangent, result.normal) : [...normalize(tangent.slice(0, 3)), tangent[3] < 0 ? -1 : 1];
+  }
+  for (const key of ["texCoord", "texCoord2", "color"]) {
+    if (v1[key] && v2[key])
+      result[key] = lerp(v1[key], v2[key], t);
+  }
+  if (v1.jointIds && v2.jointIds && v1.jointWeights && v2.jointWeights) {
+    const sameJoints = v1.jointIds.every((id, i) => id === v2.jointIds[i]);
+    const closer = t < 0.5 ? v1 : v2;
+    result.jointIds = closer.jointIds.slice();
+    result.jointWeights = sameJoints ? lerp(v1.jointWeights, v2.jointWeights, t) : closer.jointWeights.slice();
+  }
+  return result;
+}
+function intersectEdge(a, da, b, db) {
+  const pa = a.position;
+  const pb = b.position;
+  const swap = pa[0] > pb[0] || pa[0] === pb[0] && (pa[1] > pb[1] || pa[1] === pb[1] && pa[2] > pb[2]);
+  if (swap)
+    return interpolateVertex(b, a, db / (db - da));
+  return interpolateVertex(a, b, da / (da - db));
+}
+function facesAlongNormal(v0, v1, v2, normal) {
+  const [a, b, c] = [v0.position, v1.position, v2.position];
+  const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+  return normal[0] * (e1[1] * e2[2] - e1[2] * e2[1]) + normal[1] * (e1[2] * e2[0] - e1[0] * e2[2]) + normal[2] * (e1[0] * e2[1] - e1[1] * e2[0]) > 0;
+}
+function createHullBuilder(weldTolerance = DEFAULT_WELD_TOLERANCE) {
+  return {
+    vertices: [],
+    indices: [],
+    weld: /* @__PURE__ */ new Map(),
+    byVertex: /* @__PURE__ */ new Map(),
+    weldTolerance,
+    unweldedVertexCount: 0
+  };
+}
+function weldKey(vertex, tolerance) {
+  const q = (x) => Math.round(x / tolerance);
+  let key = vertex.position.map(q).join(",");
+  for (const { key: name } of VERTEX_ATTRIBUTES) {
+    if (vertex[name])
+      key += `|${vertex[name].map(q).join(",")}`;
+  }
+  return key;
+}
+function addVertex(hull, vertex) {
+  const cached = hull.byVertex.get(vertex);
+  if (cached !== void 0)
+    return cached;
+  const key = weldKey(vertex, hull.weldTolerance);
+  let index = hull.weld.get(key);
+  if (index === void 0) {
+    index = hull.vertices.length;
+    hull.vertices.push(vertex);
+    hull.weld.set(key, index);
+  }
+  hull.byVertex.set(vertex, index);
+  return index;
+}
+function addTriangle(hull, v0, v1, v2) {
+  hull.unweldedVertexCount += 3;
+  const i0 = addVertex(hull, v0);
+  const i1 = addVertex(hull, v1);
+  const i2 = addVertex(hull, v2);
+  if (i0 === i1 || i1 === i2 || i2 === i0)
+    return;
+  hull.indices.push(i0, i1, i2);
+}
+function splitTriangle(v0, v1, v2, d0, d1, d2, upper, lower, contour) {
+  const verts = [v0, v1, v2];
+  const dists = [d0, d1, d2];
+  const upperPoly = [];
+  const lowerPoly = [];
+  const onPlane = [];
+  for (let i = 0; i < 3; i++) {
+    const a = verts[i];
+    const b = verts[(i + 1) % 3];
+    const da = dists[i];
+    const db = dists[(i + 1) % 3];
+    if (da >= 0)
+      upperPoly.push(a);
+    if (da <= 0)
+      lowerPoly.push(a);
+    if (da === 0)
+      onPlane.push(a.position);
+    if (da > 0 && db < 0 || da < 0 && db > 0) {
+      const vInt = intersectEdge(a, da, b, db);
+      upperPoly.push(vInt);
+      lowerPoly.push(vInt);
+      onPlane.push(vInt.position);
+    }
+  }
+  for (let i = 1; i + 1 < upperPoly.length; i++) {
+    addTriangle(upper, upperPoly[0], upperPoly[i], upperPoly[i + 1]);
+  }
+  for (let i = 1; i + 1 < lowerPoly.length; i++) {
+    addTriangle(lower, lowerPoly[0], lowerPoly[i], lowerPoly[i + 1]);
+  }
+  if (onPlane.length === 2)
+    contour.push(onPlane[0], onPlane[1]);
+}
+function readVertices(mesh) {
+  const { positions } = mesh;
+  const count = positions.length / 3;
+  const attributes = VERTEX_ATTRIBUTES.filter(({ array }) => mesh[array]).map((a) => ({
+    ...a,
+    size: a.size || mesh[a.array].length / count
+  }));
+  const vertices = new Array(count);
+  for (let i = 0; i < count; i++) {
+    const vertex = {
+      position: [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]]
+    };
+    for (const { array, key, size } of attributes) {
+      vertex[key] = Array.from(mesh[array].subarray(i * size, (i + 1) * size));
+    }
+    vertices[i] = vertex;
+  }
+  return vertices;
+}
+function clipMesh(mesh, plane, upper, lower, contour) {
+  const vertices = readVertices(mesh);
+  const distances = vertices.map((v) => {
+    const d = signedDistance(v.position, plane);
+    return Math.abs(d) < PLANE_EPSILON ? 0 : d;
+  });
+  const indices = mesh.indices;
+  for (let i = 0; i < indices.length; i += 3) {
+    const i0 = indices[i];
+    const i1 = indices[i + 1];
+    const i2 = indices[i + 2];
+    const v0 = vertices[i0];
+    const v1 = vertices[i1];
+    const v2 = vertices[i2];
+    const d0 = distances[i0];
+    const d1 = distances[i1];
+    const d2 = distances[i2];
+    const hasUpper = d0 > 0 || d1 > 0 || d2 > 0;
+    const hasLower = d0 < 0 || d1 < 0 || d2 < 0;
+    if (!hasUpper && !hasLower) {
+      addTriangle(facesAlongNormal(v0, v1, v2, plane.normal) ? lower : upper, v0, v1, v2);
+    } else if (!hasLower) {
+      addTriangle(upper, v0, v1, v2);
+      const zeros = [i0, i1, i2].filter((index) => distances[index] === 0);
+      if (zeros.length === 2) {
+        contour.push(vertices[zeros[0]].position, vertices[zeros[1]].position);
+      }
+    } else if (!hasUpper) {
+      addTriangle(lower, v0, v1, v2);
+    } else {
+      splitTriangle(v0, v1, v2, d0, d1, d2, upper, lower, contour);
+    }
+  }
+}
+function buildContourLoops(contour) {
+  const keyOf = (p) => `${Math.round(p[0] / CONTOUR_WELD_EPSILON)},${Math.round(p[1] / CONTOUR_WELD_EPSILON)},${Math.round(p[2] / CONTOUR_WELD_EPSILON)}`;
+  const points = /* @__PURE__ */ new Map();
+  const segments = /* @__PURE__ */ new Map();
+  for (let i = 0; i < contour.length; i += 2) {
+    const a = contour[i];
+    const b = contour[i + 1];
+    const ka = keyOf(a);
+    const kb = keyOf(b);
+    if (ka === kb)
+      continue;
+    points.set(ka, a);
+    points.set(kb, b);
+    const segKey = ka < kb ? `${ka}|${kb}` : `${kb}|${ka}`;
+    if (segments.has(segKey)) {
+      segments.delete(segKey);
+    } else {
+      segments.set(segKey, [ka, kb]);
+    }
+  }
+  const adjacency = /* @__PURE__ */ new Map();
+  for (const [segKey, [ka, kb]] of segments) {
+    if (!adjacency.has(ka))
+      adjacency.set(ka, []);
+    if (!adjacency.has(kb))
+      adjacency.set(kb, []);
+    adjacency.get(ka).push(segKey);
+    adjacency.get(kb).push(segKey);
+  }
+  const used = /* @__PURE__ */ new Set();
+  const loops = [];
+  for (const [startSeg, [startKey, firstKey]] of segments) {
+    if (used.has(startSeg))
+      continue;
+    used.add(startSeg);
+    const loop = [points.get(startKey)];
+    let current = firstKey;
+    let closed = false;
+    while (true) {
+      if (current === startKey) {
+        closed = true;
+        break;
+      }
+      loop.push(points.get(current));
+      const next = adjacency.get(current).find((seg) => !used.has(seg));
+      if (!next)
+        break;
+      used.add(next);
+      const [ka, kb] = segments.get(next);
+      current = ka === current ? kb : ka;
+    }
+    if (closed && loop.length >= 3)
+      loops.push(loop);
+  }
+  return loops;
+}
+function planeBasis(normal) {
+  const [nx, ny, nz] = normal;
+  let u = Math.abs(nx) < 0.9 ? [0, nz, -ny] : [-nz, 0, nx];
+  const len = Math.hypot(u[0], u[1], u[2]);
+  u = u.map((x) => x / len);
+  const v = [ny * u[2] - nz * u[1], nz * u[0] - nx * u[2], nx * u[1] - ny * u[0]];
+  return { u, v };
+}
+function pointInPolygon(point, polygon) {
+  const [x, y] = point;
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if (yi > y !== yj > y && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+function generateCap(cap, loops, normal, isUpper, skinAttributes = []) {
+  if (loops.length === 0)
+    return;
+  const { vertices, indices } = cap;
+  const { u, v } = planeBasis(normal);
+  const project = (p) => [
+    p[0] * u[0] + p[1] * u[1] + p[2] * u[2],
+    p[0] * v[0] + p[1] * v[1] + p[2] * v[2]
+  ];
+  const polygons = loops.map((loop) => {
+    const points2D = loop.map(project);
+    let area = 0;
+    for (let i = 0; i < points2D.length; i++) {
+      const [x0, y0] = points2D[i];
+      const [x1, y1] = points2D[(i + 1) % points2D.length];
+      area += x0 * y1 - x1 * y0;
+    }
+    return { loop, points2D, area: Math.abs(area) * 0.5, depth: 0, parent: -1 };
+  });
+  let minU = Infinity;
+  let minV = Infinity;
+  let maxU = -Infinity;
+  let maxV = -Infinity;
+  for (const { points2D } of polygons) {
+    for (const [pu, pv] of points2D) {
+      minU = Math.min(minU, pu);
+      maxU = Math.max(maxU, pu);
+      minV = Math.min(minV, pv);
+      maxV = Math.max(maxV, pv);
+    }
+  }
+  const uvScale = 1 / Math.max(maxU - minU, maxV - minV, 1e-6);
+  const centerU = (minU + maxU) * 0.5;
+  const centerV = (minV + maxV) * 0.5;
+  const toTexCoord = (p) => {
+    const tu = 0.5 + (p[0] - centerU) * uvScale;
+    const tv = 0.5 + (p[1] - centerV) * uvScale;
+    return [isUpper ? 1 - tu : tu, tv];
+  };
+  for (let i = 0; i < polygons.length; i++) {
+    let parentArea = Infinity;
+    for (let j = 0; j < polygons.length; j++) {
+      if (i === j || polygons[j].area <= polygons[i].area)
+        continue;
+      if (!pointInPolygon(polygons[i].points2D[0], polygons[j].points2D))
+        continue;
+      polygons[i].depth++;
+      if (polygons[j].area < parentArea) {
+        parentArea = polygons[j].area;
+        polygons[i].parent = j;
+      }
+    }
+  }
+  const [nx, ny, nz] = normal;
+  const capNormal = isUpper ? [-nx, -ny, -nz] : [nx, ny, nz];
+  const capTangent = isUpper ? [-u[0], -u[1], -u[2], 1] : [u[0], u[1], u[2], 1];
+  const hasTexCoord2 = skinAttributes.includes("texCoord2");
+  const hasColor = skinAttributes.includes("color");
+  const wantPositiveArea = !isUpper;
+  for (let i = 0; i < polygons.length; i++) {
+    if (polygons[i].depth % 2 !== 0)
+      continue;
+    const rings = [polygons[i]];
+    for (const hole of polygons) {
+      if (hole.parent === i && hole.depth === polygons[i].depth + 1) {
+        rings.push(hole);
+      }
+    }
+    const flat = [];
+    const holeIndices = [];
+    const baseIndex = vertices.length;
+    for (let r = 0; r < rings.length; r++) {
+      if (r > 0)
+        holeIndices.push(vertices.length - baseIndex);
+      for (let k = 0; k < rings[r].loop.length; k++) {
+        const point2D = rings[r].points2D[k];
+        flat.push(point2D[0], point2D[1]);
+        const vertex = {
+          position: rings[r].loop[k],
+          normal: capNormal,
+          tangent: capTangent,
+          texCoord: toTexCoord(point2D)
+        };
+        if (hasTexCoord2)
+          vertex.texCoord2 = vertex.texCoord;
+        if (hasColor)
+          vertex.color = [1, 1, 1, 1];
+        vertices.push(vertex);
+      }
+    }
+    const triangles = (0, import_earcut.default)(flat, holeIndices.length > 0 ? holeIndices : void 0, 2);
+    for (let t = 0; t < triangles.length; t += 3) {
+      const a = triangles[t];
+      let b = triangles[t + 1];
+      let c = triangles[t + 2];
+      const area = (flat[b * 2] - flat[a * 2]) * (flat[c * 2 + 1] - flat[a * 2 + 1]) - (flat[c * 2] - flat[a * 2]) * (flat[b * 2 + 1] - flat[a * 2 + 1]);
+      if (area > 0 !== wantPositiveArea)
+        [b, c] = [c, b];
+      indices.push(baseIndex + a, baseIndex + b, baseIndex + c);
+      cap.unweldedVertexCount += 3;
+    }
+  }
+}
+function computeVolume(mesh) {
+  const { positions, indices } = mesh;
+  let volume = 0;
+  for (let i = 0; i < indices.length; i += 3) {
+    const a = indices[i] * 3;
+    const b = indices[i + 1] * 3;
+    const c = indices[i + 2] * 3;
+    volume += positions[a] * (positions[b + 1] * positions[c + 2] - positions[b + 2] * positions[c + 1]) + positions[a + 1] * (positions[b + 2] * positions[c] - positions[b] * positions[c + 2]) + positions[a + 2] * (positions[b] * positions[c + 1] - positions[b + 1] * positions[c]);
+  }
+  return volume / 6;
+}
+function toMeshData(hull) {
+  const { vertices } = hull;
+  const count = vertices.length;
+  const positions = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++)
+    positions.set(vertices[i].position, i * 3);
+  const data = { positions, indices: new Uint32Array(hull.indices) };
+  for (const { array, key } of VERTEX_ATTRIBUTES) {
+    if (count === 0 || !vertices.every((v) => v[key]))
+      continue;
+    const size = vertices[0][key].length;
+    const values = new (key === "jointIds" ? Uint16Array : Float32Array)(count * size);
+    for (let i = 0; i < count; i++)
+      values.set(vertices[i][key], i * size);
+    data[array] = values;
+  }
+  return data;
+}
+function sliceGeometry(skin, plane, options = {}) {
+  const { cap = null, weldTolerance = DEFAULT_WELD_TOLERANCE } = options;
+  const upper = createHullBuilder(weldTolerance);
+  const lower = createHullBuilder(weldTolerance);
+  const upperCap = createHullBuilder(weldTolerance);
+  const lowerCap = createHullBuilder(weldTolerance);
+  const contour = [];
+  clipMesh(skin, plane, upper, lower, contour);
+  if (cap)
+    clipMesh(cap, plane, upperCap, lowerCap, contour);
+  if (upper.indices.length === 0 || lower.indices.length === 0)
+    return null;
+  const loops = buildContourLoops(contour);
+  const skinAttributes = VERTEX_ATTRIBUTES.filter(({ array }) => skin[array]).map(({ key }) => key);
+  generateCap(upperCap, loops, plane.normal, true, skinAttributes);
+  generateCap(lowerCap, loops, plane.normal, false, skinAttributes);
+  const result = {
+    upper: { skin: toMeshData(upper), cap: toMeshData(upperCap) },
+    lower: { skin: toMeshData(lower), cap: toMeshData(lowerCap) }
+  };
+  result.upperVolume = computeVolume(result.upper.skin) + computeVolume(result.upper.cap);
+  result.lowerVolume = computeVolume(result.lower.skin) + computeVolume(result.lower.cap);
+  result.stats = {
+    sourceVertexCount: skin.positions.length / 3 + (cap ? cap.positions.length / 3 : 0),
+    sourceIndexCount: skin.indices.length + (cap ? cap.indices.length : 0),
+    unweldedVertexCount: upper.unweldedVertexCount + lower.unweldedVertexCount + upperCap.unweldedVertexCount + lowerCap.unweldedVertexCount,
+    upperVertexCount: upper.vertices.length + upperCap.vertices.length,
+    upperIndexCount: upper.indices.length + upperCap.indices.length,
+    lowerVertexCount: lower.vertices.length + lowerCap.vertices.length,
+    lowerIndexCount: lower.indices.length + lowerCap.indices.length
+  };
+  return result;
+}
+function collectTransferables(...meshes) {
+  const buffers = /* @__PURE__ */ new Set();
+  for (const mesh of meshes) {
+    if (!mesh)
+      continue;
+    const arrays = [mesh.positions, mesh.indices, ...VERTEX_ATTRIBUTES.map(({ array }) => mesh[array])];
+    for (const array of arrays) {
+      if (array && array.buffer instanceof ArrayBuffer)
+        buffers.add(array.buffer);
+    }
+  }
+  return [...buffers];
+}
+
+// js/slice-worker.js
+self.onmessage = (e) => {
+  const { id, skin, cap, plane, weldTolerance } = e.data;
+  try {
+    const result = sliceGeometry(skin, plane, { cap, weldTolerance });
+    const transfer = result ? collectTransferables(
+      result.upper.skin,
+      result.upper.cap,
+      result.lower.skin,
+      result.lower.cap
+    ) : [];
+    self.postMessage({ id, result }, transfer);
+  } catch (error) {
+    self.postMessage({ id, error: String(error && error.message ? error.message : error) });
+  }
+};
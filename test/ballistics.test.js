@@ -0,0 +1,75 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {vec3} from 'gl-matrix';
+
+import {
+    apexVelocity,
+    apexVelocityForGravity,
+    burstSchedule,
+    reachZone,
+    zonePoint,
+} from '../js/ballistics.js';
+
+const close = (a, b, epsilon = 1e-6) => a.every((v, i) => Math.abs(v - b[i]) < epsilon);
+
+/* Position after t seconds of flight */
+function flight(from, velocity, gravity, t) {
+    return [
+        from[0] + velocity[0] * t,
+        from[1] + velocity[1] * t - 0.5 * gravity * t * t,
+        from[2] + velocity[2] * t,
+    ];
+}
+
+test('arcs peak at the apex after the flight time', () => {
+    const from = [1, 0, -3];
+    const apex = [0.2, 1.4, -0.6];
+    const velocity = vec3.create();
+    const gravity = apexVelocity(velocity, from, apex, 0.8);
+    assert.ok(close(flight(from, velocity, gravity, 0.8), apex));
+    /* Vertical velocity is zero at the top */
+    assert.ok(Math.abs(velocity[1] - gravity * 0.8) < 1e-6);
+
+    const time = apexVelocityForGravity(velocity, from, apex, 9.81);
+    assert.ok(close(flight(from, velocity, 9.81, time), apex));
+
+    /* No arc goes up to a point below the launch */
+    assert.equal(apexVelocity(velocity, apex, from, 1), 0);
+    assert.ok(close(velocity, [0, 0, 0]));
+    assert.equal(apexVelocityForGravity(velocity, apex, from, 9.81), 0);
+});
+
+test('the reach zone is level, in front of the head', () => {
+    /* Looking down and to the right */
+    const zone = reachZone([0, 1.7, 0], [1, -1, 0], {distance: 0.5, heightOffset: -0.2, size: [1, 0.4, 0.2]});
+    assert.ok(close(zone.center, [0.5, 1.5, 0]));
+    assert.ok(close(zone.forward, [1, 0, 0]));
+    assert.ok(close(zone.right, [0, 0, 1]));
+
+    const point = vec3.create();
+    assert.ok(close(zonePoint(point, zone, 1, -1, 1), [0.6, 1.3, 0.5]));
+    assert.ok(close(zonePoint(point, zone, 0, 0, 0), zone.center));
+
+    /* Straight down falls back to -z */
+    const down = reachZone([0, 1.7, 0], [0, -1, 0], {distance: 1, heightOffset: 0, size: [1, 1, 1]});
+    assert.ok(close(down.center, [0, 1.7, -1]));
+});
+
+test('bursts spread their shots over time and lanes', () => {
+    assert.deepEqual(burstSchedule('single', 5, 0.2), {shots: [{delay: 0, lane: null}], sharedLaunchPoint: true});
+
+    const fan = burstSchedule('fan', 3, 0.2);
+    assert.deepEqual(fan.shots.map((s) => s.lane), [-1, 0, 1]);
+    assert.ok(fan.shots.every((s) => s.delay === 0));
+
+    const sweep = burstSchedule('sweep', 3, 0.25);
+    assert.deepEqual(sweep.shots.map((s) => s.delay), [0, 0.25, 0.5]);
+    assert.ok(sweep.sharedLaunchPoint);
+
+    const stream = burstSchedule('stream', 2, 0.5);
+    assert.deepEqual(stream.shots, [{delay: 0, lane: null}, {delay: 0.5, lane: null}]);
+    assert.equal(stream.sharedLaunchPoint, false);
+
+    assert.equal(burstSchedule('volley', 0, 0).shots.length, 1);
+    assert.throws(() => burstSchedule('spiral', 3, 0), /Unknown burst pattern 'spiral'/);
+});
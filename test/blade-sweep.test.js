@@ -0,0 +1,93 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {closestPointOnTriangle, sweepBox, sweepSphere, triangleOverlapsBox} from '../js/blade-sweep.js';
+
+const close = (a, b, epsilon = 1e-3) => Math.abs(a - b) < epsilon;
+
+/** Vertical one meter blade moving along x */
+const pose = (x, z = 0) => ({hilt: [x, -0.5, z], tip: [x, 0.5, z]});
+
+test('closest point on a triangle', () => {
+    const a = [0, 0, 0];
+    const b = [1, 0, 0];
+    const c = [0, 1, 0];
+    const expect = (p, expected) =>
+        assert.ok(p.every((x, k) => close(x, expected[k], 1e-9)), `${p} is not ${expected}`);
+    expect(closestPointOnTriangle([0.2, 0.2, 1], a, b, c), [0.2, 0.2, 0]);
+    expect(closestPointOnTriangle([-1, -1, 0], a, b, c), [0, 0, 0]);
+    expect(closestPointOnTriangle([1, 1, 0], a, b, c), [0.5, 0.5, 0]);
+
+    /* Degenerate triangles are segments */
+    expect(closestPointOnTriangle([0.5, 1, 0], a, b, b), [0.5, 0, 0]);
+});
+
+test('triangle and box overlap', () => {
+    const extents = [1, 1, 1];
+    assert.ok(triangleOverlapsBox([[0, 0, 0], [5, 0, 0], [0, 5, 0]], extents));
+    assert.ok(!triangleOverlapsBox([[2, 0, 0], [5, 0, 0], [2, 5, 0]], extents));
+    /* Separated by the triangle plane only */
+    assert.ok(!triangleOverlapsBox([[2.5, 0, -1], [0, 2.5, -1], [1.25, 1.25, 1]], extents));
+    /* Segments are degenerate triangles */
+    assert.ok(triangleOverlapsBox([[-2, 0, 0], [2, 0, 0], [2, 0, 0]], extents));
+    assert.ok(!triangleOverlapsBox([[-2, 0, 1.5], [2, 0, 1.5], [2, 0, 1.5]], extents));
+});
+
+test('a fast swing through a sphere hits between frames', () => {
+    /* Neither pose touches the fruit */
+    const hit = sweepSphere(pose(-2), pose(2), [0, 0, 0], 0.25);
+    assert.ok(hit);
+    assert.ok(close(hit.time, 1.75 / 4), `time ${hit.time}`);
+    assert.ok(close(hit.point[0], -0.25) && close(hit.point[1], 0), `point ${hit.point}`);
+    assert.ok(close(hit.along, 0.5));
+    assert.deepEqual(hit.bladeDirection, [0, 1, 0]);
+    assert.deepEqual(hit.displacement, [4, 0, 0]);
+});
+
+test('a swing beside a sphere misses', () => {
+    assert.equal(sweepSphere(pose(-2, 0.3), pose(2, 0.3), [0, 0, 0], 0.25), null);
+    /* Blade ends below the fruit */
+    assert.equal(sweepSphere(pose(-2), pose(2), [0, 0.8, 0], 0.25), null);
+});
+
+test('the tip hits even if the hilt is far away', () => {
+    const from = {hilt: [-2, -3, 0], tip: [-2, 0.1, 0]};
+    const to = {hilt: [2, -3, 0], tip: [2, 0.1, 0]};
+    const hit = sweepSphere(from, to, [0, 0, 0], 0.2);
+    assert.ok(hit);
+    assert.ok(hit.along > 0.9, `along ${hit.along}`);
+});
+
+test('a wrist flick sweeps the blade around the hilt', () => {
+    /* Hilt stays put, the tip turns 90 degrees */
+    const from = {hilt: [0, 0, 0], tip: [1, 0, 0]};
+    const to = {hilt: [0, 0, 0], tip: [0, 1, 0]};
+    const hit = sweepSphere(from, to, [0.4, 0.4, 0], 0.1);
+    assert.ok(hit);
+    assert.ok(hit.time > 0 && hit.time < 0.5, `time ${hit.time}`);
+    assert.ok(Math.hypot(hit.point[0] - 0.4, hit.point[1] - 0.4) <= 0.1 + 1e-3);
+});
+
+test('starting inside the volume hits immediately', () => {
+    const hit = sweepSphere(pose(0), pose(1), [0, 0, 0], 0.25);
+    assert.equal(hit.time, 0);
+    assert.ok(close(hit.point[0], 0));
+});
+
+test('oriented boxes are swept in their own space', () => {
+    const s = Math.SQRT1_2;
+    /* Rotated 45 degrees around y, so the corner reaches x = -0.707 */
+    const box = {center: [0, 0, 0], axes: [[s, 0, -s], [0, 1, 0], [s, 0, s]], extents: [0.5, 0.5, 0.5]};
+
+    const hit = sweepBox(pose(-2), pose(2), box);
+    assert.ok(hit);
+    assert.ok(close(hit.point[0], -s), `point ${hit.point}`);
+
+    /* The rotated box is narrower off its center */
+    const offset = sweepBox(pose(-2, 0.45), pose(2, 0.45), box);
+    assert.ok(close(offset.point[0], 0.45 - s), `point ${offset.point}`);
+
+    /* Inside the corner an axis aligned box would have */
+    assert.equal(sweepBox(pose(0.45, 0.45), pose(0.45, 0.45), box), null);
+    assert.ok(sweepBox(pose(0.2, 0.45), pose(0.2, 0.45), box));
+});
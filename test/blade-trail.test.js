@@ -0,0 +1,42 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {buildTrailGeometry, speedIntensity} from '../js/blade-trail.js';
+
+const settings = {lifetime: 0.2, minWidth: 0.25};
+
+const sample = (time, x, intensity = 1) => ({time, hilt: [x, 0, 0], tip: [x, 1, 0], intensity});
+
+test('intensity follows the swing speed', () => {
+    assert.equal(speedIntensity(0.5, 1, 5), 0);
+    assert.equal(speedIntensity(3, 1, 5), 0.5);
+    assert.equal(speedIntensity(9, 1, 5), 1);
+    assert.equal(speedIntensity(2, 1, 1), 1);
+});
+
+test('faster samples cover more of the blade', () => {
+    const positions = new Float32Array(4 * 6);
+    const alphas = new Float32Array(4 * 2);
+    const live = buildTrailGeometry([sample(1, 0, 1), sample(1, 1, 0)], 1, settings, positions, alphas);
+    assert.equal(live, 2);
+
+    /* Inner vertex at the hilt for full intensity, a quarter down otherwise */
+    assert.deepEqual(Array.from(positions.subarray(0, 6)), [0, 0, 0, 0, 1, 0]);
+    assert.deepEqual(Array.from(positions.subarray(6, 12)), [1, 0.75, 0, 1, 1, 0]);
+    assert.deepEqual(Array.from(alphas.subarray(0, 4)), [1, 1, 0, 0]);
+});
+
+test('samples fade over their lifetime and expire', () => {
+    const positions = new Float32Array(4 * 6);
+    const alphas = new Float32Array(4 * 2);
+    const samples = [sample(1, 0), sample(0.9, 1), sample(0.7, 2)];
+    const live = buildTrailGeometry(samples, 1, settings, positions, alphas);
+    assert.equal(live, 2);
+    assert.ok(Math.abs(alphas[2] - 0.5) < 1e-6);
+
+    /* Unused vertices collapse onto the last live tip, invisible */
+    for (let i = 2; i < 4; i++) {
+        assert.deepEqual(Array.from(positions.subarray(i * 6, i * 6 + 6)), [1, 1, 0, 1, 1, 0]);
+        assert.equal(alphas[i * 2], 0);
+    }
+});
@@ -0,0 +1,121 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    computeBounds,
+    computeConvexHull,
+    fitCollider,
+    fitSphere,
+} from '../js/collision-shapes.js';
+import {computeVolume, sliceGeometry} from '../js/slice-core.js';
+import {cube, sphere, torus} from './fixtures.js';
+
+/** Every directed edge of a hull is matched by its reverse */
+function assertClosed(hull) {
+    const edges = new Set();
+    const {indices} = hull;
+    for (let t = 0; t < indices.length; t += 3) {
+        for (let e = 0; e < 3; e++) {
+            edges.add(`${indices[t + e]},${indices[t + ((e + 1) % 3)]}`);
+        }
+    }
+    for (const edge of edges) {
+        const [a, b] = edge.split(',');
+        assert.ok(edges.has(`${b},${a}`), `edge ${edge} is open`);
+    }
+}
+
+/** Every point is inside or on the hull */
+function assertContains(hull, positions) {
+    const p = hull.positions;
+    for (let t = 0; t < hull.indices.length; t += 3) {
+        const [a, b, c] = [0, 1, 2].map((k) => {
+            const i = hull.indices[t + k] * 3;
+            return [p[i], p[i + 1], p[i + 2]];
+        });
+        const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+        const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+        const n = [
+            e1[1] * e2[2] - e1[2] * e2[1],
+            e1[2] * e2[0] - e1[0] * e2[2],
+            e1[0] * e2[1] - e1[1] * e2[0],
+        ];
+        for (let i = 0; i < positions.length; i += 3) {
+            const d =
+                n[0] * (positions[i] - a[0]) +
+                n[1] * (positions[i + 1] - a[1]) +
+                n[2] * (positions[i + 2] - a[2]);
+            assert.ok(d <= 1e-4, `point ${i / 3} is outside of the hull`);
+        }
+    }
+}
+
+test('bounds and bounding sphere', () => {
+    const bounds = computeBounds(cube(2).positions);
+    assert.deepEqual(bounds.center, [0, 0, 0]);
+    assert.deepEqual(bounds.extents, [1, 1, 1]);
+
+    const {center, radius} = fitSphere(sphere(0.5).positions);
+    assert.ok(Math.hypot(...center) < 0.05);
+    assert.ok(radius >= 0.5 - 1e-6 && radius < 0.53, `radius ${radius}`);
+});
+
+test('convex hull of a cube is the cube', () => {
+    const mesh = cube(2, 3);
+    const hull = computeConvexHull(mesh.positions);
+    assertClosed(hull);
+    assertContains(hull, mesh.positions);
+    assert.ok(Math.abs(computeVolume(hull) - 8) < 1e-5);
+});
+
+test('convex hull respects the vertex budget', () => {
+    const mesh = sphere(1, 32, 48);
+    const hull = computeConvexHull(mesh.positions, 32);
+    assert.ok(hull.positions.length / 3 <= 32);
+    assertClosed(hull);
+
+    /* Reduced hulls are inside the mesh but still close to its volume */
+    const volume = computeVolume(hull);
+    assert.ok(volume > 0.8 * computeVolume(mesh), `hull volume ${volume}`);
+    assert.ok(volume <= computeVolume(mesh) + 1e-5);
+});
+
+test('convex hull fills concave parts', () => {
+    const mesh = torus(1, 0.3);
+    const hull = computeConvexHull(mesh.positions, Infinity);
+    assertClosed(hull);
+    assertContains(hull, mesh.positions);
+    assert.ok(computeVolume(hull) > computeVolume(mesh));
+});
+
+test('flat point sets have no hull', () => {
+    assert.equal(computeConvexHull(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0])), null);
+    assert.equal(computeConvexHull(new Float32Array([0, 0, 0, 1, 1, 1])), null);
+
+    const collider = fitCollider(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0]), 'convex');
+    assert.equal(collider.shape, 'box');
+});
+
+test('auto picks the tightest cheap shape', () => {
+    assert.equal(fitCollider(cube(2).positions).shape, 'box');
+    assert.equal(fitCollider(sphere(1).positions).shape, 'sphere');
+
+    /* Half a sphere is neither box nor sphere shaped */
+    const half = sliceGeometry(sphere(1), {point: [0, 0, 0], normal: [0, 1, 0]});
+    const collider = fitCollider(half.upper.skin.positions);
+    assert.equal(collider.shape, 'convex');
+    assert.ok(collider.hull);
+    assert.ok(collider.volume > 0.9 * half.upperVolume, `hull volume ${collider.volume}`);
+    assert.ok(collider.volume <= half.upperVolume + 1e-5);
+});
+
+test('box and sphere colliders are centered on the piece', () => {
+    const half = sliceGeometry(cube(2), {point: [0, 0.5, 0], normal: [0, 1, 0]});
+    const box = fitCollider(half.upper.skin.positions, 'box');
+    assert.deepEqual(box.center, [0, 0.75, 0]);
+    assert.deepEqual(box.extents, [1, 0.25, 1]);
+
+    const ball = fitCollider(half.upper.skin.positions, 'sphere');
+    assert.ok(Math.abs(ball.center[1] - 0.75) < 1e-5);
+    assert.equal(ball.extents[0], ball.extents[1]);
+});
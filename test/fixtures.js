@@ -0,0 +1,242 @@
+/**
+ * Closed, consistently wound (counter-clockwise, outward) test meshes in
+ * the {@link MeshData} layout used by js/slice-core.js.
+ */
+
+function toMeshData(positions, normals, texCoords, indices) {
+    return {
+        positions: new Float32Array(positions),
+        normals: new Float32Array(normals),
+        texCoords: new Float32Array(texCoords),
+        indices: new Uint32Array(indices),
+    };
+}
+
+/**
+ * Axis aligned box with split vertices per face, like exported models
+ *
+ * @param {number} size Edge length
+ * @param {number} [segments] Subdivisions per edge, puts vertices on
+ *     planes like y = 0
+ */
+export function cube(size = 2, segments = 1) {
+    const positions = [];
+    const normals = [];
+    const texCoords = [];
+    const indices = [];
+    const h = size / 2;
+
+    /* normal, u axis, v axis with u x v = normal */
+    const faces = [
+        [[1, 0, 0], [0, 0, -1], [0, 1, 0]],
+        [[-1, 0, 0], [0, 0, 1], [0, 1, 0]],
+        [[0, 1, 0], [1, 0, 0], [0, 0, -1]],
+        [[0, -1, 0], [1, 0, 0], [0, 0, 1]],
+        [[0, 0, 1], [1, 0, 0], [0, 1, 0]],
+        [[0, 0, -1], [-1, 0, 0], [0, 1, 0]],
+    ];
+
+    for (const [n, u, v] of faces) {
+        const base = positions.length / 3;
+        for (let j = 0; j <= segments; j++) {
+            for (let i = 0; i <= segments; i++) {
+                const a = (i / segments) * 2 - 1;
+                const b = (j / segments) * 2 - 1;
+                for (let k = 0; k < 3; k++) {
+                    positions.push((n[k] + u[k] * a + v[k] * b) * h);
+                }
+                normals.push(...n);
+                texCoords.push(i / segments, j / segments);
+            }
+        }
+        const row = segments + 1;
+        for (let j = 0; j < segments; j++) {
+            for (let i = 0; i < segments; i++) {
+                const i0 = base + j * row + i;
+                indices.push(i0, i0 + 1, i0 + row + 1, i0, i0 + row + 1, i0 + row);
+            }
+        }
+    }
+
+    return toMeshData(positions, normals, texCoords, indices);
+}
+
+/**
+ * UV sphere with a texture seam and single vertices at the poles
+ *
+ * @param {number} radius
+ * @param {number} [rings] Latitude subdivisions
+ * @param {number} [sectors] Longitude subdivisions
+ */
+export function sphere(radius = 1, rings = 16, sectors = 24) {
+    const positions = [];
+    const normals = [];
+    const texCoords = [];
+    const indices = [];
+
+    /* Seam: the first and last column share positions but not UVs */
+    for (let r = 1; r < rings; r++) {
+        const theta = (r / rings) * Math.PI;
+        for (let s = 0; s <= sectors; s++) {
+            const phi = (s / sectors) * Math.PI * 2;
+            const n = [Math.sin(theta) * Math.cos(phi), Math.cos(theta), -Math.sin(theta) * Math.sin(phi)];
+            positions.push(n[0] * radius, n[1] * radius, n[2] * radius);
+            normals.push(...n);
+            texCoords.push(s / sectors, r / rings);
+        }
+    }
+    const top = positions.length / 3;
+    positions.push(0, radius, 0);
+    normals.push(0, 1, 0);
+    texCoords.push(0.5, 0);
+    const bottom = top + 1;
+    positions.push(0, -radius, 0);
+    normals.push(0, -1, 0);
+    texCoords.push(0.5, 1);
+
+    const row = sectors + 1;
+    for (let s = 0; s < sectors; s++) {
+        indices.push(top, s, s + 1);
+        const last = (rings - 2) * row;
+        indices.push(bottom, last + s + 1, last + s);
+    }
+    for (let r = 0; r < rings - 2; r++) {
+        for (let s = 0; s < sectors; s++) {
+            const i0 = r * row + s;
+            indices.push(i0, i0 + row, i0 + row + 1, i0, i0 + row + 1, i0 + 1);
+        }
+    }
+
+    return toMeshData(positions, normals, texCoords, indices);
+}
+
+/**
+ * Torus around the y axis. Cut through y = 0 it has a cross-section with
+ * a hole, cut through x = 0 it has two islands.
+ *
+ * @param {number} major Ring radius
+ * @param {number} minor Tube radius
+ */
+export function torus(major = 1, minor = 0.3, segments = 24, sides = 12) {
+    const positions = [];
+    const normals = [];
+    const texCoords = [];
+    const indices = [];
+
+    for (let i = 0; i < segments; i++) {
+        const a = (i / segments) * Math.PI * 2;
+        for (let j = 0; j < sides; j++) {
+            const b = (j / sides) * Math.PI * 2;
+            const n = [Math.cos(b) * Math.cos(a), Math.sin(b), -Math.cos(b) * Math.sin(a)];
+            positions.push(
+                (major + minor * Math.cos(b)) * Math.cos(a),
+                minor * Math.sin(b),
+                -(major + minor * Math.cos(b)) * Math.sin(a)
+            );
+            normals.push(...n);
+            texCoords.push(i / segments, j / sides);
+        }
+    }
+
+    for (let i = 0; i < segments; i++) {
+        for (let j = 0; j < sides; j++) {
+            const i0 = i * sides + j;
+            const i1 = ((i + 1) % segments) * sides + j;
+            const i2 = ((i + 1) % segments) * sides + ((j + 1) % sides);
+            const i3 = i * sides + ((j + 1) % sides);
+            indices.push(i0, i1, i2, i0, i2, i3);
+        }
+    }
+
+    return toMeshData(positions, normals, texCoords, indices);
+}
+
+/**
+ * U-shaped prism extruded along z, a concave cross-section when cut
+ * perpendicular to z
+ */
+export function uPrism(depth = 1) {
+    /* Counter-clockwise outline in the xy plane */
+    const outline = [
+        [-1.5, -1], [1.5, -1], [1.5, 1], [0.5, 1],
+        [0.5, 0], [-0.5, 0], [-0.5, 1], [-1.5, 1],
+    ];
+    /* Convex decomposition of the U, counter-clockwise */
+    const front = [
+        [0, 1, 4], [0, 4, 5], [1, 2, 3], [1, 3, 4], [0, 5, 6], [0, 6, 7],
+    ];
+
+    const positions = [];
+    const normals = [];
+    const texCoords = [];
+    const indices = [];
+    const h = depth / 2;
+
+    const pushVertex = (p, n) => {
+        positions.push(...p);
+        normals.push(...n);
+        texCoords.push((p[0] + 1.5) / 3, (p[1] + 1) / 2);
+        return positions.length / 3 - 1;
+    };
+
+    /* Front (z = +h) and back (z = -h) faces */
+    let base = positions.length / 3;
+    for (const [x, y] of outline) pushVertex([x, y, h], [0, 0, 1]);
+    for (const [a, b, c] of front) indices.push(base + a, base + b, base + c);
+    base = positions.length / 3;
+    for (const [x, y] of outline) pushVertex([x, y, -h], [0, 0, -1]);
+    for (const [a, b, c] of front) indices.push(base + a, base + c, base + b);
+
+    /* Side walls */
+    for (let i = 0; i < outline.length; i++) {
+        const [x0, y0] = outline[i];
+        const [x1, y1] = outline[(i + 1) % outline.length];
+        const len = Math.hypot(x1 - x0, y1 - y0);
+        const n = [(y1 - y0) / len, -(x1 - x0) / len, 0];
+        const a = pushVertex([x0, y0, h], n);
+        const b = pushVertex([x0, y0, -h], n);
+        const c = pushVertex([x1, y1, -h], n);
+        const d = pushVertex([x1, y1, h], n);
+        indices.push(a, b, c, a, c, d);
+    }
+
+    return toMeshData(positions, normals, texCoords, indices);
+}
+
+/**
+ * Add tangents, secondary UVs, colors and joints to a mesh, so every
+ * attribute the slicer knows about is present
+ *
+ * @param {ReturnType<typeof toMeshData>} mesh
+ */
+export function withAllAttributes(mesh) {
+    const count = mesh.positions.length / 3;
+    const tangents = new Float32Array(count * 4);
+    const colors = new Float32Array(count * 4);
+    const jointIds = new Uint16Array(count * 4);
+    const jointWeights = new Float32Array(count * 4);
+
+    for (let i = 0; i < count; i++) {
+        const [nx, ny, nz] = mesh.normals.subarray(i * 3, i * 3 + 3);
+        /* up x n, or x x n at the poles */
+        let t = Math.abs(ny) < 0.99 ? [nz, 0, -nx] : [0, -nz, ny];
+        const len = Math.hypot(t[0], t[1], t[2]);
+        tangents.set([t[0] / len, t[1] / len, t[2] / len, 1], i * 4);
+
+        const [x, y, z] = mesh.positions.subarray(i * 3, i * 3 + 3);
+        colors.set([(x + 1) / 2, (y + 1) / 2, (z + 1) / 2, 1], i * 4);
+
+        /* Upper half bound to joint 1, lower half to joint 0 */
+        jointIds.set([y > 0 ? 1 : 0, 0, 0, 0], i * 4);
+        jointWeights.set([1, 0, 0, 0], i * 4);
+    }
+
+    return {
+        ...mesh,
+        tangents,
+        texCoords2: mesh.texCoords.slice(),
+        colors,
+        jointIds,
+        jointWeights,
+    };
+}
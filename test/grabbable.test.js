@@ -0,0 +1,35 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {quat, vec3} from 'gl-matrix';
+
+import {mirrorGripPose, throwVelocity} from '../js/grabbable.js';
+
+const close = (a, b, epsilon = 1e-6) => a.every((v, i) => Math.abs(v - b[i]) < epsilon);
+
+test('a mirrored grip pose is the mirror image of the original', () => {
+    const position = [0.02, -0.01, -0.05];
+    const rotation = quat.fromEuler(quat.create(), 20, 35, -50);
+    const mirroredPosition = vec3.create();
+    const mirroredRotation = quat.create();
+    mirrorGripPose(mirroredPosition, mirroredRotation, position, rotation);
+    assert.ok(close(mirroredPosition, [-0.02, -0.01, -0.05]));
+
+    /* Rotating a mirrored point gives the mirror of the rotated point */
+    const point = [0.3, 0.1, -0.7];
+    const rotated = vec3.transformQuat(vec3.create(), point, rotation);
+    const mirrored = vec3.transformQuat(vec3.create(), [-point[0], point[1], point[2]], mirroredRotation);
+    assert.ok(close(mirrored, [-rotated[0], rotated[1], rotated[2]]));
+
+    /* Mirroring twice, also in place, is the original pose */
+    mirrorGripPose(mirroredPosition, mirroredRotation, mirroredPosition, mirroredRotation);
+    assert.ok(close(mirroredPosition, position));
+    assert.ok(close(mirroredRotation, rotation));
+});
+
+test('throws are scaled and capped', () => {
+    const out = vec3.create();
+    assert.ok(close(throwVelocity(out, [1, 2, 0], 1.5, 20), [1.5, 3, 0]));
+    throwVelocity(out, [30, 0, 40], 1, 10);
+    assert.ok(close(out, [6, 0, 8]));
+    assert.ok(close(throwVelocity(out, [1, 1, 1], 1, 0), [0, 0, 0]));
+});
@@ -0,0 +1,45 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {InputType} from '@wonderlandengine/api';
+
+import {findHandObject} from '../js/hand-lookup.js';
+
+/* Object with an `input` and/or `hand-tracking` component, like in the scene */
+function fakeObject(name, {inputType, tracking, children = []} = {}) {
+    const components = {};
+    if (inputType !== undefined) {
+        /* Eyes and rays have a handedness too, e.g. 'left' for RayLeft */
+        const handedness = InputType[inputType].endsWith('Left') ? 'left' : 'right';
+        components['input'] = {inputType, handedness};
+    }
+    if (tracking !== undefined) components['hand-tracking'] = {handedness: tracking};
+    return {
+        name,
+        children,
+        getComponent(type) {
+            return components[type] || null;
+        },
+    };
+}
+
+test('controllers are found past eye and ray inputs of the same hand', () => {
+    const eye = fakeObject('EyeLeft', {inputType: InputType.EyeLeft});
+    const cursor = fakeObject('CursorLeft', {inputType: InputType.RayLeft});
+    const left = fakeObject('ControllerLeft', {inputType: InputType.ControllerLeft});
+    const right = fakeObject('ControllerRight', {inputType: InputType.ControllerRight});
+    const space = fakeObject('TrackedSpace', {children: [fakeObject('Head', {children: [eye]}), cursor, right, left]});
+
+    assert.equal(findHandObject([space], 'left'), left);
+    assert.equal(findHandObject([space], 'right'), right);
+});
+
+test('tracked hands are the fallback without a controller', () => {
+    /* Hand tracking holds the enum index until initialized */
+    const hand = fakeObject('HandLeft', {tracking: 0});
+    const roots = [fakeObject('EyeLeft', {inputType: InputType.EyeLeft}), hand];
+    assert.equal(findHandObject(roots, 'left'), hand);
+    assert.equal(findHandObject(roots, 'right'), null);
+
+    const controller = fakeObject('ControllerLeft', {inputType: InputType.ControllerLeft});
+    assert.equal(findHandObject([hand, controller], 'left'), controller);
+});
@@ -0,0 +1,106 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    HAPTIC_PATTERNS,
+    hapticSettings,
+    playHaptic,
+    pulseGamepad,
+    sliceHapticScale,
+} from '../js/haptics.js';
+
+function mockGamepad() {
+    const pulses = [];
+    return {pulses, hapticActuators: [{pulse: (intensity, duration) => pulses.push([intensity, duration])}]};
+}
+
+/** Runs scheduled pulses right away, remembering their delays */
+function scheduler() {
+    const delays = [];
+    const schedule = (callback, delay) => {
+        delays.push(delay);
+        callback();
+    };
+    return {delays, schedule};
+}
+
+function withSettings(settings, fn) {
+    const saved = {...hapticSettings};
+    Object.assign(hapticSettings, settings);
+    try {
+        fn();
+    } finally {
+        Object.assign(hapticSettings, saved);
+    }
+}
+
+test('patterns play all their pulses in order', () => {
+    const gamepad = mockGamepad();
+    const {delays, schedule} = scheduler();
+    assert.ok(playHaptic(gamepad, 'combo', {schedule}));
+    assert.deepEqual(
+        gamepad.pulses,
+        HAPTIC_PATTERNS.combo.map((p) => [p.intensity, p.duration])
+    );
+    assert.deepEqual(delays, [70, 140]);
+});
+
+test('intensity is scaled and clamped', () => {
+    const gamepad = mockGamepad();
+    withSettings({intensity: 0.5}, () => {
+        playHaptic(gamepad, [{intensity: 0.8, duration: 10}], {scale: 0.5});
+        playHaptic(gamepad, [{intensity: 1, duration: 10}], {scale: 4});
+    });
+    assert.deepEqual(gamepad.pulses, [
+        [0.2, 10],
+        [1, 10],
+    ]);
+});
+
+test('buttons scale the ui tick and the longer hover buzz', () => {
+    const gamepad = mockGamepad();
+    playHaptic(gamepad, 'ui', {scale: 0.3});
+    playHaptic(gamepad, 'hover', {scale: 0.5});
+    assert.deepEqual(gamepad.pulses, [
+        [0.3, 20],
+        [0.5, 50],
+    ]);
+});
+
+test('mute stops patterns, also pulses still pending', () => {
+    const gamepad = mockGamepad();
+    withSettings({muted: true}, () => {
+        assert.ok(!playHaptic(gamepad, 'slice'));
+    });
+    assert.equal(gamepad.pulses.length, 0);
+
+    const pending = [];
+    playHaptic(gamepad, 'slice', {schedule: (callback) => pending.push(callback)});
+    withSettings({muted: true}, () => pending.forEach((callback) => callback()));
+    assert.equal(gamepad.pulses.length, 1);
+});
+
+test('gamepads without pulse actuators rumble', async () => {
+    const effects = [];
+    const gamepad = {
+        vibrationActuator: {
+            playEffect: (type, params) => {
+                effects.push([type, params]);
+                return Promise.resolve('complete');
+            },
+        },
+    };
+    assert.ok(pulseGamepad(gamepad, 0.5, 30));
+    assert.deepEqual(effects, [['dual-rumble', {duration: 30, strongMagnitude: 0.5, weakMagnitude: 0.5}]]);
+
+    assert.ok(!pulseGamepad({}, 1, 10));
+    assert.ok(!playHaptic(null, 'ui'));
+    assert.throws(() => playHaptic(gamepad, 'nope'), /Unknown haptic pattern/);
+});
+
+test('faster cuts through harder fruit feel stronger', () => {
+    assert.equal(sliceHapticScale(0, 0), 0.3);
+    assert.equal(sliceHapticScale(20, 1), 1);
+    assert.ok(sliceHapticScale(4, 0.5) > sliceHapticScale(2, 0.5));
+    assert.ok(sliceHapticScale(4, 0.9) > sliceHapticScale(4, 0.1));
+});
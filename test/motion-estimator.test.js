@@ -0,0 +1,71 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {MotionEstimator} from '../js/motion-estimator.js';
+
+const close = (a, b, epsilon = 1e-6) => Math.abs(a - b) < epsilon;
+
+test('constant velocity is exact, also across a long frame', () => {
+    const estimator = new MotionEstimator(8, 0.2);
+    const times = [0, 1 / 72, 2 / 72, 3 / 72, 0.1, 0.1 + 1 / 72];
+    for (const t of times) estimator.push(t, [2 * t, -t, 0]);
+    assert.ok(close(estimator.linearVelocity[0], 2));
+    assert.ok(close(estimator.linearVelocity[1], -1));
+    assert.ok(close(estimator.speed, Math.sqrt(5)));
+    assert.ok(close(estimator.acceleration[0], 0, 1e-3));
+});
+
+test('constant acceleration is recovered', () => {
+    const estimator = new MotionEstimator(8, 0.2);
+    for (let f = 0; f < 8; f++) {
+        const t = f / 90;
+        estimator.push(t, [0, 0.5 * -9.81 * t * t, 0]);
+    }
+    assert.ok(close(estimator.acceleration[1], -9.81, 1e-3), `acceleration ${estimator.acceleration[1]}`);
+});
+
+test('a single tracking glitch barely moves the estimate', () => {
+    const estimator = new MotionEstimator(8, 0.1);
+    const dt = 1 / 72;
+    for (let f = 0; f < 8; f++) {
+        /* At rest, one pose jumps by 2 cm */
+        estimator.push(f * dt, [f === 7 ? 0.02 : 0, 0, 0]);
+    }
+    const frameDifference = 0.02 / dt;
+    assert.ok(estimator.speed < frameDifference / 4, `speed ${estimator.speed}`);
+});
+
+test('only recent samples count', () => {
+    const estimator = new MotionEstimator(16, 0.05);
+    const dt = 1 / 100;
+    /* Moving, then at rest for longer than the window */
+    for (let f = 0; f < 10; f++) estimator.push(f * dt, [f * 0.05, 0, 0]);
+    for (let f = 10; f < 17; f++) estimator.push(f * dt, [0.45, 0, 0]);
+    assert.ok(close(estimator.speed, 0));
+});
+
+test('angular velocity around world axes', () => {
+    const estimator = new MotionEstimator(8, 0.2);
+    const omega = 3;
+    for (let f = 0; f < 8; f++) {
+        const t = f / 72;
+        const half = (omega * t) / 2;
+        estimator.push(t, [0, 0, 0], [0, Math.sin(half), 0, Math.cos(half)]);
+    }
+    assert.ok(close(estimator.angularVelocity[1], omega, 1e-4), `omega ${estimator.angularVelocity}`);
+    assert.ok(close(estimator.angularVelocity[0], 0) && close(estimator.angularVelocity[2], 0));
+});
+
+test('repeated timestamps replace the sample, reset forgets', () => {
+    const estimator = new MotionEstimator(4, 1);
+    estimator.push(0, [0, 0, 0]);
+    estimator.push(0.1, [1, 0, 0]);
+    estimator.push(0.1, [0.1, 0, 0]);
+    assert.equal(estimator.count, 2);
+    assert.ok(close(estimator.linearVelocity[0], 1));
+
+    estimator.reset();
+    assert.equal(estimator.count, 0);
+    estimator.push(1, [5, 5, 5]);
+    assert.equal(estimator.speed, 0);
+});
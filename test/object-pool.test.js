@@ -0,0 +1,116 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {ObjectPool, PoolService, formatPoolStats} from '../js/object-pool.js';
+
+/* Just enough of an Object3D for the pool, active while its component is */
+function fakeObject(children = [], component = {active: true}) {
+    return {
+        isDestroyed: false,
+        children,
+        components: [component],
+        get active() {
+            return component.active;
+        },
+        set active(active) {
+            component.active = active;
+        },
+        getComponents() {
+            return this.components;
+        },
+        destroy() {
+            this.isDestroyed = true;
+        },
+    };
+}
+
+test('pools hand out active objects and take them back reset', () => {
+    const resets = [];
+    const pool = new ObjectPool({
+        name: 'fruit',
+        create: () => fakeObject([fakeObject()]),
+        reset: (object) => resets.push(object),
+    });
+
+    pool.prewarm(2);
+    assert.equal(pool.size, 2);
+    assert.ok(pool.free.every((o) => !o.active && !o.children[0].active));
+
+    const a = pool.acquire();
+    assert.ok(a.active && a.children[0].active);
+    assert.equal(pool.getStats().misses, 0);
+
+    assert.ok(pool.release(a));
+    assert.deepEqual(resets, [a]);
+    assert.equal(a.active, false);
+    /* Released twice or never acquired */
+    assert.equal(pool.release(a), false);
+    assert.equal(pool.release(fakeObject()), false);
+
+    /* Reused rather than created */
+    assert.equal(pool.acquire(), a);
+    pool.acquire();
+    pool.acquire();
+    const stats = pool.getStats();
+    assert.equal(stats.created, 3);
+    assert.equal(stats.misses, 1);
+    assert.equal(stats.inUse, 3);
+    assert.equal(stats.peakInUse, 3);
+});
+
+test('children inactive on purpose stay inactive when handed out again', () => {
+    const pool = new ObjectPool({
+        name: 'fruit',
+        create: () => fakeObject([fakeObject(), fakeObject([], {active: false})], {active: false}),
+    });
+    pool.prewarm(1);
+
+    const fruit = pool.acquire();
+    assert.deepEqual(
+        [fruit.active, fruit.children[0].active, fruit.children[1].active],
+        [true, true, false]
+    );
+
+    /* Changed while in use, e.g. by a slice */
+    fruit.children[0].active = false;
+    fruit.children[1].active = true;
+    pool.release(fruit);
+    assert.equal(pool.acquire(), fruit);
+    assert.deepEqual([fruit.children[0].active, fruit.children[1].active], [true, false]);
+});
+
+test('full pools destroy returned objects, destroyed ones are skipped', () => {
+    const pool = new ObjectPool({name: 'effect', create: () => fakeObject(), maxFree: 1});
+    const a = pool.acquire();
+    const b = pool.acquire();
+    pool.release(a);
+    pool.release(b);
+    assert.equal(b.isDestroyed, true);
+    assert.equal(pool.getStats().destroyed, 1);
+
+    a.destroy();
+    assert.notEqual(pool.acquire(), a);
+
+    pool.prewarm(3);
+    pool.clear();
+    assert.equal(pool.free.length, 0);
+});
+
+test('the service returns objects to their pool and destroys the rest', () => {
+    const service = new PoolService();
+    const options = {name: 'hull', create: () => fakeObject()};
+    const pool = service.pool('hull', options);
+    assert.equal(service.pool('hull', options), pool);
+    assert.equal(service.get('piece'), null);
+
+    const hull = pool.acquire();
+    service.release(hull);
+    assert.equal(hull.isDestroyed, false);
+    assert.equal(pool.free.length, 1);
+
+    const stray = fakeObject();
+    service.release(stray);
+    assert.equal(stray.isDestroyed, true);
+
+    assert.equal(formatPoolStats(service.stats()), 'hull: 0 in use, 1 free, 1 created, 1 misses');
+});
@@ -0,0 +1,46 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {vec3} from 'gl-matrix';
+
+import {palmEdge, velocityInPlane} from '../js/palm-blade.js';
+import {inputMode, inputSourceTypes} from '../js/input-mode.js';
+
+const close = (a, b, epsilon = 1e-6) => a.every((v, i) => Math.abs(v - b[i]) < epsilon);
+
+test('the edge runs along the pinky, pushed outwards', () => {
+    /* Right hand flat, palm down, fingers along -z, pinky towards +x */
+    const hilt = vec3.create();
+    const tip = vec3.create();
+    const normal = vec3.create();
+    palmEdge(hilt, tip, normal, [0, 0, -0.03], [0.04, 0, -0.03], [0.05, 0, -0.15], 0.01);
+    assert.ok(close(hilt, [0.05, 0, -0.03]));
+    assert.ok(close(tip, [0.06, 0, -0.15]));
+    /* The palm is horizontal */
+    assert.ok(close(normal.map(Math.abs), [0, 1, 0], 1e-2));
+
+    /* Coincident joints don't span a plane */
+    palmEdge(hilt, tip, normal, [0, 0, 0], [0, 0, 0], [0, 0, 0], 0.01);
+    assert.ok(close(normal, [0, 0, 0]));
+});
+
+test('only motion in the palm plane counts', () => {
+    const out = vec3.create();
+    assert.ok(close(velocityInPlane(out, [2, 3, -1], [0, 1, 0]), [2, 0, -1]));
+    /* A slap along the normal */
+    assert.ok(close(velocityInPlane(out, [0, -4, 0], [0, 1, 0]), [0, 0, 0]));
+});
+
+test('input sources switch between hands and controllers', () => {
+    const controller = (handedness) => ({handedness, gripSpace: {}, hand: null});
+    const hand = (handedness) => ({handedness, gripSpace: {}, hand: new Map()});
+
+    let types = inputSourceTypes([controller('left'), controller('right'), {handedness: 'none'}]);
+    assert.deepEqual(types, {left: 'controller', right: 'controller'});
+    assert.equal(inputMode(types), 'controllers');
+
+    types = inputSourceTypes([hand('right'), controller('right'), controller('left')]);
+    assert.deepEqual(types, {left: 'controller', right: 'hand'});
+    assert.equal(inputMode(types), 'hands');
+
+    assert.equal(inputMode(inputSourceTypes([])), 'none');
+});
@@ -0,0 +1,25 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {PointerSlots} from '../js/pointer-slots.js';
+
+test('each finger keeps its slot until it lifts', () => {
+    const slots = new PointerSlots(2);
+    assert.equal(slots.assign(7), 0);
+    assert.equal(slots.assign(9), 1);
+    assert.equal(slots.assign(7), 0);
+    assert.equal(slots.active, 2);
+
+    /* A third finger is ignored */
+    assert.equal(slots.assign(11), -1);
+    assert.equal(slots.slotOf(11), -1);
+
+    /* A freed slot is reused, the other finger keeps its own */
+    assert.equal(slots.release(7), 0);
+    assert.equal(slots.release(7), -1);
+    assert.equal(slots.assign(11), 0);
+    assert.equal(slots.slotOf(9), 1);
+
+    slots.clear();
+    assert.equal(slots.active, 0);
+});
@@ -0,0 +1,84 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {Property} from '@wonderlandengine/api';
+
+import {instantiatePrefab, pairHierarchy, retargetObjectProperties} from '../js/prefab.js';
+
+/* A JS component with an object property, like `button` */
+class FakeButton {
+    static Properties = {
+        buttonMeshObject: Property.object(),
+        hoverColor: Property.color(),
+    };
+}
+
+let nextId = 1;
+
+/* Just enough of an Object3D, clone() copies components as they are */
+function fakeObject(name, children = [], components = []) {
+    return {
+        name,
+        objectId: nextId++,
+        children,
+        components,
+        position: null,
+        /* Whether all components are active, like the template's */
+        get active() {
+            return this.components.every((c) => c.active);
+        },
+        set active(active) {
+            for (const c of this.components) c.active = active;
+        },
+        getComponents() {
+            return this.components;
+        },
+        setPositionWorld(p) {
+            this.position = p;
+        },
+        clone() {
+            const copies = this.components.map((c) => Object.assign(new c.constructor(), c));
+            return fakeObject(name, this.children.map((child) => child.clone()), copies);
+        },
+    };
+}
+
+test('hierarchies pair up by position', () => {
+    const template = fakeObject('root', [fakeObject('a', [fakeObject('b')]), fakeObject('c')]);
+    const clone = template.clone();
+    const pairs = pairHierarchy(template, clone);
+    assert.equal(pairs.size, 4);
+    assert.equal(pairs.get(template.children[0].children[0].objectId), clone.children[0].children[0]);
+});
+
+test('object properties into the template move to the clone', () => {
+    const mesh = fakeObject('ButtonMesh');
+    const outside = fakeObject('Panel');
+    const button = Object.assign(new FakeButton(), {buttonMeshObject: mesh, hoverColor: [1, 0, 0, 1]});
+    const other = Object.assign(new FakeButton(), {buttonMeshObject: outside});
+    const template = fakeObject('Button', [mesh, fakeObject('Label', [], [other])], [button]);
+
+    const clone = template.clone();
+    retargetObjectProperties(clone, pairHierarchy(template, clone));
+    assert.equal(clone.components[0].buttonMeshObject, clone.children[0]);
+    assert.deepEqual(clone.components[0].hoverColor, [1, 0, 0, 1]);
+    /* References outside the template are kept */
+    assert.equal(clone.children[1].components[0].buttonMeshObject, outside);
+    /* The template is left alone */
+    assert.equal(button.buttonMeshObject, mesh);
+});
+
+test('instances are activated and placed, children keep their states', () => {
+    const off = () => ({active: false});
+    const on = () => ({active: true});
+    const template = fakeObject('Fruit', [fakeObject('Leaf', [], [on()]), fakeObject('Juice', [], [off()])], [off()]);
+    const fruit = instantiatePrefab(template, {position: [0, 1, 0]});
+    assert.deepEqual(
+        [fruit.active, fruit.children[0].active, fruit.children[1].active],
+        [true, true, false]
+    );
+    assert.deepEqual(fruit.position, [0, 1, 0]);
+    assert.equal(template.active, false);
+
+    const pooled = instantiatePrefab(template, {active: false});
+    assert.equal(pooled.active, false);
+});
@@ -0,0 +1,102 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {createBodyState, FIXED_TIMESTEP, stepBody} from '../js/rigid-body.js';
+
+const settings = {
+    gravity: 9.81,
+    linearDamping: 0.05,
+    angularDamping: 0.1,
+    groundHeight: 0,
+    restitution: 0.3,
+    friction: 0.6,
+};
+
+function simulate(body, seconds, overrides = {}) {
+    const s = {...settings, ...overrides};
+    const steps = Math.round(seconds / FIXED_TIMESTEP);
+    for (let i = 0; i < steps; i++) stepBody(body, s);
+    return body;
+}
+
+test('a dropped sphere comes to rest on the ground and sleeps', () => {
+    const body = createBodyState({mass: 1, shape: 'sphere', halfExtents: [0.1], position: [0, 2, 0]});
+    simulate(body, 4);
+    assert.ok(Math.abs(body.position[1] - 0.1) < 1e-3, `height ${body.position[1]}`);
+    assert.ok(body.sleeping);
+});
+
+test('a falling body follows gravity before it lands', () => {
+    const body = createBodyState({mass: 1, shape: 'sphere', halfExtents: [0.1], position: [0, 10, 0]});
+    simulate(body, 0.5, {linearDamping: 0});
+    /* y = 10 - g t² / 2, within the error of semi-implicit Euler */
+    assert.ok(Math.abs(body.position[1] - (10 - 0.5 * 9.81 * 0.25)) < 0.05);
+});
+
+test('a tilted box settles flat on a face', () => {
+    const s = Math.sin(Math.PI / 8);
+    const body = createBodyState({
+        mass: 2,
+        shape: 'box',
+        halfExtents: [0.2, 0.1, 0.15],
+        position: [0, 1, 0],
+        rotation: [s, 0, 0, Math.cos(Math.PI / 8)],
+    });
+    simulate(body, 6);
+    assert.ok(body.sleeping);
+
+    /* Resting on one of its faces means the center is at a half extent */
+    const height = body.position[1];
+    assert.ok(
+        [0.2, 0.1, 0.15].some((h) => Math.abs(height - h) < 5e-3),
+        `resting height ${height}`
+    );
+});
+
+test('bounces lose energy with restitution', () => {
+    const body = createBodyState({mass: 1, shape: 'sphere', halfExtents: [0.1], position: [0, 1.1, 0]});
+    let landed = false;
+    let peak = 0;
+    for (let i = 0; i < 240; i++) {
+        stepBody(body, settings);
+        if (body.linearVelocity[1] > 0) landed = true;
+        if (landed) peak = Math.max(peak, body.position[1]);
+    }
+    assert.ok(landed);
+    assert.ok(peak > 0.12 && peak < 0.5, `bounce height ${peak}`);
+});
+
+test('friction stops a sliding body', () => {
+    const body = createBodyState({mass: 1, shape: 'box', halfExtents: [0.1, 0.1, 0.1], position: [0, 0.1, 0]});
+    body.linearVelocity[0] = 2;
+    simulate(body, 3);
+    assert.ok(Math.abs(body.linearVelocity[0]) < 0.05);
+    assert.ok(body.position[0] > 0.1 && body.position[0] < 1.5, `slid ${body.position[0]}`);
+});
+
+test('a spinning body turns around its angular velocity', () => {
+    const body = createBodyState({mass: 1, shape: 'sphere', halfExtents: [0.1], position: [0, 5, 0]});
+    body.angularVelocity[1] = Math.PI;
+    simulate(body, 0.5, {gravity: 0, angularDamping: 0});
+    /* Half a turn per second for half a second: 90 degrees around y */
+    const angle = 2 * Math.acos(Math.min(1, Math.abs(body.rotation[3])));
+    assert.ok(Math.abs(angle - Math.PI / 2) < 0.01, `angle ${angle}`);
+});
+
+test('the fixed step makes results independent of the frame rate', () => {
+    const run = (hz) => {
+        const body = createBodyState({mass: 1, shape: 'sphere', halfExtents: [0.1], position: [0, 3, 0]});
+        body.linearVelocity[0] = 1;
+        let accumulator = 0;
+        for (let frame = 0; frame < hz; frame++) {
+            accumulator += 1 / hz;
+            while (accumulator >= FIXED_TIMESTEP - 1e-9) {
+                stepBody(body, settings);
+                accumulator -= FIXED_TIMESTEP;
+            }
+        }
+        return Array.from(body.position);
+    };
+    assert.deepEqual(run(72), run(120));
+    assert.deepEqual(run(90), run(120));
+});
@@ -0,0 +1,30 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {mat4, vec3} from 'gl-matrix';
+
+import {canvasToNdc, viewRayDirection} from '../js/screen-ray.js';
+
+const close = (a, b, epsilon = 1e-6) => Array.from(a).every((v, i) => Math.abs(v - b[i]) < epsilon);
+
+test('canvas positions map to device coordinates with y up', () => {
+    const rect = {left: 10, top: 20, width: 200, height: 100};
+    const ndc = [0, 0];
+    assert.ok(close(canvasToNdc(ndc, 110, 70, rect), [0, 0]));
+    assert.ok(close(canvasToNdc(ndc, 10, 20, rect), [-1, 1]));
+    assert.ok(close(canvasToNdc(ndc, 210, 120, rect), [1, -1]));
+});
+
+test('rays go through the frustum edges', () => {
+    const fovy = Math.PI / 2;
+    const aspect = 2;
+    const inverse = mat4.invert(mat4.create(), mat4.perspective(mat4.create(), fovy, aspect, 0.1, 100));
+    const dir = vec3.create();
+
+    assert.ok(close(viewRayDirection(dir, 0, 0, inverse), [0, 0, -1]));
+
+    /* Top edge at 45° up, right edge at atan(2) to the side */
+    viewRayDirection(dir, 0, 1, inverse);
+    assert.ok(close(dir, [0, Math.SQRT1_2, -Math.SQRT1_2]));
+    viewRayDirection(dir, 1, 0, inverse);
+    assert.ok(Math.abs(Math.atan2(dir[0], -dir[2]) - Math.atan(2)) < 1e-6);
+});
@@ -0,0 +1,374 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    buildContourLoops,
+    clipMesh,
+    collectTransferables,
+    computeVolume,
+    createHullBuilder,
+    interpolateVertex,
+    orthonormalizeTangent,
+    signedDistance,
+    sliceGeometry,
+} from '../js/slice-core.js';
+import {cube, sphere, torus, uPrism, withAllAttributes} from './fixtures.js';
+
+const EPSILON = 1e-4;
+
+function plane(point, normal) {
+    const len = Math.hypot(normal[0], normal[1], normal[2]);
+    return {point, normal: normal.map((n) => n / len)};
+}
+
+/**
+ * Every directed edge of skin + cap must be matched by exactly one edge in
+ * the opposite direction. Vertices are compared by position, since skin and
+ * cap have separate vertices.
+ */
+function assertWatertight(piece, message) {
+    const key = (positions, i) =>
+        [0, 1, 2].map((k) => Math.round(positions[i * 3 + k] / EPSILON)).join(',');
+
+    const edges = new Map();
+    for (const mesh of [piece.skin, piece.cap]) {
+        const {positions, indices} = mesh;
+        for (let t = 0; t < indices.length; t += 3) {
+            for (let e = 0; e < 3; e++) {
+                const a = key(positions, indices[t + e]);
+                const b = key(positions, indices[t + ((e + 1) % 3)]);
+                const edge = `${a}>${b}`;
+                edges.set(edge, (edges.get(edge) || 0) + 1);
+            }
+        }
+    }
+
+    for (const [edge, count] of edges) {
+        const [a, b] = edge.split('>');
+        assert.equal(count, 1, `${message}: edge ${edge} used ${count} times`);
+        assert.equal(edges.get(`${b}>${a}`), 1, `${message}: edge ${edge} is open`);
+    }
+}
+
+function assertCloseTo(actual, expected, tolerance, message) {
+    assert.ok(
+        Math.abs(actual - expected) <= tolerance,
+        `${message}: expected ${expected}, got ${actual}`
+    );
+}
+
+function assertSliceConservesVolume(mesh, p, message) {
+    const result = sliceGeometry(mesh, p);
+    assert.ok(result, `${message}: plane should hit the mesh`);
+
+    assertWatertight(result.upper, `${message} (upper)`);
+    assertWatertight(result.lower, `${message} (lower)`);
+
+    assert.ok(result.upperVolume > 0, `${message}: upper volume is positive`);
+    assert.ok(result.lowerVolume > 0, `${message}: lower volume is positive`);
+    assertCloseTo(
+        result.upperVolume + result.lowerVolume,
+        computeVolume(mesh),
+        1e-4,
+        `${message}: volume is conserved`
+    );
+    return result;
+}
+
+/** Area of a cap, measured along the plane normal */
+function capArea(cap, normal) {
+    const {positions, indices} = cap;
+    let area = 0;
+    for (let t = 0; t < indices.length; t += 3) {
+        const [a, b, c] = [0, 1, 2].map((k) => {
+            const i = indices[t + k] * 3;
+            return [positions[i], positions[i + 1], positions[i + 2]];
+        });
+        const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+        const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+        const cross = [
+            e1[1] * e2[2] - e1[2] * e2[1],
+            e1[2] * e2[0] - e1[0] * e2[2],
+            e1[0] * e2[1] - e1[1] * e2[0],
+        ];
+        area += (cross[0] * normal[0] + cross[1] * normal[1] + cross[2] * normal[2]) / 2;
+    }
+    return area;
+}
+
+test('signedDistance is positive on the normal side', () => {
+    const p = plane([0, 1, 0], [0, 2, 0]);
+    assert.equal(signedDistance([5, 3, -2], p), 2);
+    assert.equal(signedDistance([0, 1, 0], p), 0);
+    assert.equal(signedDistance([0, 0, 0], p), -1);
+});
+
+test('interpolateVertex interpolates attributes and renormalizes normals', () => {
+    const v = interpolateVertex(
+        {position: [0, 0, 0], normal: [1, 0, 0], texCoord: [0, 0]},
+        {position: [2, 4, 0], normal: [0, 1, 0], texCoord: [1, 0.5]},
+        0.5
+    );
+    assert.deepEqual(v.position, [1, 2, 0]);
+    assert.deepEqual(v.texCoord, [0.5, 0.25]);
+    assertCloseTo(Math.hypot(...v.normal), 1, 1e-9, 'normal length');
+    assertCloseTo(v.normal[0], Math.SQRT1_2, 1e-9, 'normal x');
+});
+
+test('interpolateVertex keeps tangents orthonormal and joints intact', () => {
+    const v = interpolateVertex(
+        {
+            position: [0, 0, 0],
+            normal: [0, 1, 0],
+            tangent: [1, 0, 0, -1],
+            color: [1, 0, 0, 1],
+            jointIds: [1, 2, 0, 0],
+            jointWeights: [0.5, 0.5, 0, 0],
+        },
+        {
+            position: [1, 0, 0],
+            normal: [1, 0, 0],
+            tangent: [0, -1, 0, -1],
+            color: [0, 0, 1, 1],
+            jointIds: [3, 0, 0, 0],
+            jointWeights: [1, 0, 0, 0],
+        },
+        0.25
+    );
+    const [tx, ty, tz, tw] = v.tangent;
+    assertCloseTo(Math.hypot(tx, ty, tz), 1, 1e-9, 'tangent length');
+    assertCloseTo(tx * v.normal[0] + ty * v.normal[1] + tz * v.normal[2], 0, 1e-9, 'tangent . normal');
+    assert.equal(tw, -1);
+    assert.deepEqual(v.color, [0.75, 0, 0.25, 1]);
+    assert.deepEqual(v.jointIds, [1, 2, 0, 0]);
+    assert.deepEqual(v.jointWeights, [0.5, 0.5, 0, 0]);
+
+    /* A tangent parallel to the normal is replaced */
+    const t = orthonormalizeTangent([0, 2, 0, 1], [0, 1, 0]);
+    assertCloseTo(Math.hypot(t[0], t[1], t[2]), 1, 1e-9, 'fallback length');
+    assertCloseTo(t[1], 0, 1e-9, 'fallback . normal');
+});
+
+test('fixtures are closed with positive volume', () => {
+    assertCloseTo(computeVolume(cube(2)), 8, 1e-6, 'cube');
+    assertCloseTo(computeVolume(uPrism(1)), 5, 1e-6, 'u prism');
+    assert.ok(computeVolume(sphere(1)) > 3.9);
+    assert.ok(computeVolume(torus(1, 0.3)) > 1.5);
+});
+
+test('cube splits into two closed boxes', () => {
+    const result = assertSliceConservesVolume(cube(2), plane([0, 0.3, 0], [0, 1, 0]), 'cube');
+    assertCloseTo(result.upperVolume, 2.8, 1e-5, 'upper volume');
+    assertCloseTo(result.lowerVolume, 5.2, 1e-5, 'lower volume');
+    assertCloseTo(capArea(result.lower.cap, [0, 1, 0]), 4, 1e-5, 'lower cap faces +n');
+    assertCloseTo(capArea(result.upper.cap, [0, -1, 0]), 4, 1e-5, 'upper cap faces -n');
+});
+
+test('cube cut diagonally through its edges', () => {
+    assertSliceConservesVolume(cube(2), plane([0, 0, 0], [1, 1, 0]), 'diagonal');
+    assertSliceConservesVolume(cube(2), plane([0.1, -0.2, 0.05], [1, 2, 3]), 'oblique');
+});
+
+test('plane through vertices and edges of the mesh', () => {
+    /* A 2x2 subdivided cube has a vertex row and whole edges on y = 0 */
+    const result = assertSliceConservesVolume(cube(2, 2), plane([0, 0, 0], [0, 1, 0]), 'on-plane');
+    assertCloseTo(result.upperVolume, 4, 1e-5, 'upper volume');
+    assertCloseTo(result.lowerVolume, 4, 1e-5, 'lower volume');
+});
+
+test('triangles lying in the plane go to the hull they close', () => {
+    /* The top face of the cube lies in the plane and closes the lower side */
+    assert.equal(sliceGeometry(cube(2), plane([0, 1, 0], [0, 1, 0])), null);
+    assert.equal(sliceGeometry(cube(2), plane([0, -1, 0], [0, 1, 0])), null);
+
+    const upper = createHullBuilder();
+    const lower = createHullBuilder();
+    const contour = [];
+    clipMesh(cube(2), plane([0, 1, 0], [0, 1, 0]), upper, lower, contour);
+    assert.equal(upper.indices.length, 0);
+    assert.equal(lower.indices.length, 36);
+});
+
+test('plane missing the mesh returns null', () => {
+    assert.equal(sliceGeometry(cube(2), plane([0, 5, 0], [0, 1, 0])), null);
+});
+
+test('sphere slices are watertight with a seam and poles', () => {
+    const mesh = sphere(1);
+    assertSliceConservesVolume(mesh, plane([0, 0, 0], [0, 1, 0]), 'equator');
+    assertSliceConservesVolume(mesh, plane([0, 0.5, 0.2], [0.3, 1, -0.4]), 'oblique');
+    assertSliceConservesVolume(mesh, plane([0, 0, 0], [0, 0, 1]), 'through the seam');
+});
+
+test('torus cross-section has a hole', () => {
+    const mesh = torus(1, 0.3);
+    const result = assertSliceConservesVolume(mesh, plane([0, 0, 0], [0, 1, 0]), 'torus');
+
+    /* Annulus between radius 0.7 and 1.3, approximated by the polygon */
+    const area = capArea(result.lower.cap, [0, 1, 0]);
+    assert.ok(area > 0.95 * Math.PI * (1.3 ** 2 - 0.7 ** 2), `annulus area ${area}`);
+    assert.ok(area < Math.PI * (1.3 ** 2 - 0.7 ** 2), `annulus area ${area}`);
+});
+
+test('torus cut along its axis has two islands', () => {
+    const mesh = torus(1, 0.3);
+    const result = assertSliceConservesVolume(mesh, plane([0, 0, 0], [1, 0, 0]), 'islands');
+    const area = capArea(result.lower.cap, [1, 0, 0]);
+    assert.ok(area > 0.95 * 2 * Math.PI * 0.09, `two discs area ${area}`);
+});
+
+test('concave cross-section is capped exactly', () => {
+    const result = assertSliceConservesVolume(uPrism(1), plane([0, 0, 0], [0, 0, 1]), 'u prism');
+    assertCloseTo(capArea(result.lower.cap, [0, 0, 1]), 5, 1e-5, 'lower cap area');
+    assertCloseTo(capArea(result.upper.cap, [0, 0, -1]), 5, 1e-5, 'upper cap area');
+
+    /* Cutting the arms of the U gives two islands */
+    assertSliceConservesVolume(uPrism(1), plane([0, 0.5, 0], [0, 1, 0]), 'u arms');
+});
+
+test('contour loops are chained and touching segments cancel', () => {
+    const square = [
+        [0, 0, 0], [1, 0, 0],
+        [1, 0, 1], [1, 0, 0],
+        [1, 0, 1], [0, 0, 1],
+        [0, 0, 0], [0, 0, 1],
+    ];
+    assert.equal(buildContourLoops(square).length, 1);
+    assert.equal(buildContourLoops(square)[0].length, 4);
+
+    /* The same segment reported twice cancels out */
+    assert.equal(buildContourLoops([...square, [0, 0, 0], [1, 0, 0]]).length, 0);
+});
+
+test('cap UVs cover the unit square', () => {
+    const result = sliceGeometry(sphere(1), plane([0, 0.2, 0], [0, 1, 0]));
+    for (const cap of [result.upper.cap, result.lower.cap]) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const uv of cap.texCoords) {
+            min = Math.min(min, uv);
+            max = Math.max(max, uv);
+        }
+        assert.ok(min >= -1e-6 && max <= 1 + 1e-6);
+        assertCloseTo(max - min, 1, 1e-3, 'UV extent');
+    }
+});
+
+test('hull vertices are welded', () => {
+    const mesh = sphere(1);
+    const result = sliceGeometry(mesh, plane([0, 0.1, 0], [0.2, 1, 0]));
+    const {stats} = result;
+
+    assert.equal(stats.sourceVertexCount, mesh.positions.length / 3);
+    assert.equal(stats.sourceIndexCount, mesh.indices.length);
+    /* Slivers collapsing during welding are dropped */
+    assert.ok(stats.unweldedVertexCount >= stats.upperIndexCount + stats.lowerIndexCount);
+    assert.ok(stats.upperVertexCount + stats.lowerVertexCount < stats.unweldedVertexCount / 2);
+
+    /* No two hull vertices share position, normal and UV */
+    const {positions, normals, texCoords} = result.upper.skin;
+    const keys = new Set();
+    for (let i = 0; i < positions.length / 3; i++) {
+        const values = [
+            ...positions.subarray(i * 3, i * 3 + 3),
+            ...normals.subarray(i * 3, i * 3 + 3),
+            ...texCoords.subarray(i * 2, i * 2 + 2),
+        ];
+        keys.add(values.map((x) => Math.round(x / EPSILON)).join(','));
+    }
+    assert.equal(keys.size, positions.length / 3);
+});
+
+test('pieces can be sliced again with their cap', () => {
+    const first = sliceGeometry(sphere(1), plane([0, 0, 0], [0, 1, 0]));
+    const second = sliceGeometry(first.upper.skin, plane([0, 0, 0], [1, 0, 0]), {
+        cap: first.upper.cap,
+    });
+    assert.ok(second);
+    assertWatertight(second.upper, 'second upper');
+    assertWatertight(second.lower, 'second lower');
+    assertCloseTo(
+        second.upperVolume + second.lowerVolume,
+        first.upperVolume,
+        1e-4,
+        'volume is conserved'
+    );
+});
+
+test('result buffers are collected once for transfer', () => {
+    const result = sliceGeometry(cube(2), plane([0, 0, 0], [0, 1, 0]));
+    const meshes = [result.upper.skin, result.upper.cap, result.lower.skin, result.lower.cap];
+    const buffers = collectTransferables(...meshes, null);
+
+    /* positions, normals, texCoords and indices of four meshes, plus cap tangents */
+    assert.equal(buffers.length, 18);
+    assert.equal(new Set(buffers).size, buffers.length);
+
+    const shared = new Float32Array(4);
+    assert.equal(
+        collectTransferables({positions: shared.subarray(0, 3), indices: shared}).length,
+        1
+    );
+});
+
+test('all vertex attributes survive slicing', () => {
+    const mesh = withAllAttributes(sphere(1));
+    const result = assertSliceConservesVolume(mesh, plane([0, 0.2, 0], [0.3, 1, 0]), 'attributes');
+
+    for (const piece of [result.upper, result.lower]) {
+        const {skin} = piece;
+        const count = skin.positions.length / 3;
+        assert.equal(skin.tangents.length, count * 4);
+        assert.equal(skin.texCoords2.length, count * 2);
+        assert.equal(skin.colors.length, count * 4);
+        assert.ok(skin.jointIds instanceof Uint16Array);
+        assert.equal(skin.jointIds.length, count * 4);
+        assert.equal(skin.jointWeights.length, count * 4);
+
+        for (let i = 0; i < count; i++) {
+            const t = skin.tangents.subarray(i * 4, i * 4 + 4);
+            const n = skin.normals.subarray(i * 3, i * 3 + 3);
+            assertCloseTo(Math.hypot(t[0], t[1], t[2]), 1, 1e-5, 'tangent length');
+            assertCloseTo(t[0] * n[0] + t[1] * n[1] + t[2] * n[2], 0, 1e-5, 'tangent . normal');
+            assert.ok(Math.abs(t[3]) === 1);
+        }
+    }
+});
+
+test('cap tangents follow the planar UVs', () => {
+    const normal = [0, 0, 1];
+    const result = sliceGeometry(withAllAttributes(cube(2)), plane([0, 0, 0], normal));
+
+    for (const cap of [result.upper.cap, result.lower.cap]) {
+        const {positions, tangents, texCoords, indices} = cap;
+        assert.equal(tangents.length, (positions.length / 3) * 4);
+        assert.equal(cap.colors.length, (positions.length / 3) * 4);
+        assert.deepEqual(cap.texCoords2, texCoords);
+        assert.equal(cap.jointIds, undefined);
+
+        /* Moving along the tangent increases U, along the bitangent V */
+        const [a, b, c] = [0, 1, 2].map((k) => indices[k]);
+        const e1 = [0, 1, 2].map((k) => positions[b * 3 + k] - positions[a * 3 + k]);
+        const e2 = [0, 1, 2].map((k) => positions[c * 3 + k] - positions[a * 3 + k]);
+        const du1 = texCoords[b * 2] - texCoords[a * 2];
+        const du2 = texCoords[c * 2] - texCoords[a * 2];
+        const dv1 = texCoords[b * 2 + 1] - texCoords[a * 2 + 1];
+        const dv2 = texCoords[c * 2 + 1] - texCoords[a * 2 + 1];
+        const det = du1 * dv2 - du2 * dv1;
+        const dPdu = e1.map((x, k) => (x * dv2 - e2[k] * dv1) / det);
+        const t = tangents.subarray(a * 4, a * 4 + 4);
+        assert.ok(dPdu[0] * t[0] + dPdu[1] * t[1] + dPdu[2] * t[2] > 0, 'tangent along +U');
+
+        const capNormal = cap.normals.subarray(a * 3, a * 3 + 3);
+        const bitangent = [
+            (capNormal[1] * t[2] - capNormal[2] * t[1]) * t[3],
+            (capNormal[2] * t[0] - capNormal[0] * t[2]) * t[3],
+            (capNormal[0] * t[1] - capNormal[1] * t[0]) * t[3],
+        ];
+        const dPdv = e1.map((x, k) => (e2[k] * du1 - x * du2) / det);
+        assert.ok(
+            dPdv[0] * bitangent[0] + dPdv[1] * bitangent[1] + dPdv[2] * bitangent[2] > 0,
+            'bitangent along +V'
+        );
+    }
+});
@@ -0,0 +1,97 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {SpatialHash} from '../js/spatial-hash.js';
+import {SliceableRegistry} from '../js/sliceable-registry.js';
+
+const box = (x, y, z, r = 0.1) => [
+    [x - r, y - r, z - r],
+    [x + r, y + r, z + r],
+];
+
+test('queries only return overlapping items', () => {
+    const grid = new SpatialHash(0.5);
+    grid.insert('a', ...box(0, 0, 0));
+    grid.insert('b', ...box(2, 0, 0));
+    grid.insert('c', ...box(0.3, 0, 0));
+
+    assert.deepEqual(grid.query(...box(0.1, 0, 0)).sort(), ['a', 'c']);
+    assert.deepEqual(grid.query(...box(2, 0, 0, 0.5)), ['b']);
+    assert.deepEqual(grid.query(...box(-3, 0, 0)), []);
+    assert.equal(grid.stats.candidates, 0);
+});
+
+test('items move between cells and can be removed', () => {
+    const grid = new SpatialHash(0.5);
+    grid.insert('a', ...box(0, 0, 0));
+    grid.insert('a', ...box(5, 5, 5));
+    assert.equal(grid.size, 1);
+    assert.deepEqual(grid.query(...box(0, 0, 0)), []);
+    assert.deepEqual(grid.query(...box(5, 5, 5)), ['a']);
+
+    assert.ok(grid.remove('a'));
+    assert.ok(!grid.remove('a'));
+    assert.equal(grid.stats.cells, 0);
+});
+
+test('moving within a cell only updates the box', () => {
+    const grid = new SpatialHash(1);
+    grid.insert('a', ...box(0.5, 0.5, 0.5));
+    const cells = grid.cells.get('0,0,0');
+    grid.insert('a', ...box(0.6, 0.5, 0.5));
+    assert.equal(grid.cells.get('0,0,0'), cells);
+    assert.deepEqual(grid.query([0.69, 0.5, 0.5], [0.8, 0.6, 0.6]), ['a']);
+});
+
+test('negative coordinates and boxes spanning cells', () => {
+    const grid = new SpatialHash(0.5);
+    grid.insert('wide', [-1.2, -0.1, -0.1], [1.2, 0.1, 0.1]);
+    assert.deepEqual(grid.query(...box(-1, 0, 0)), ['wide']);
+    assert.deepEqual(grid.query(...box(1, 0, 0)), ['wide']);
+    /* 6 cells along x, 2 along y and z around the origin */
+    assert.equal(grid.stats.cells, 24);
+});
+
+test('oversized items and queries still work', () => {
+    const grid = new SpatialHash(0.1);
+    grid.insert('floor', [-50, -1, -50], [50, 0, 50]);
+    grid.insert('apple', ...box(0, 1, 0));
+    assert.deepEqual(grid.query(...box(3, 0, 3)), ['floor']);
+
+    /* A query over more cells than are occupied visits the occupied ones */
+    assert.deepEqual(grid.query([-100, -100, -100], [100, 100, 100]).sort(), ['apple', 'floor']);
+    assert.equal(grid.stats.cellsVisited, grid.stats.cells);
+});
+
+test('a registry narrows a sweep to nearby sliceables', () => {
+    const registry = new SliceableRegistry(0.5);
+    const fruits = [];
+    for (let x = 0; x < 20; x++) {
+        for (let z = 0; z < 20; z++) {
+            const fruit = {
+                position: [x, 1, z],
+                getWorldBounds(min, max) {
+                    for (let k = 0; k < 3; k++) {
+                        min[k] = this.position[k] - 0.1;
+                        max[k] = this.position[k] + 0.1;
+                    }
+                },
+            };
+            fruits.push(fruit);
+            registry.add(fruit);
+        }
+    }
+    assert.equal(registry.size, 400);
+
+    const candidates = registry.query([4.5, 0.5, 4.5], [5.5, 1.5, 5.5]);
+    assert.deepEqual(candidates, [fruits[5 * 20 + 5]]);
+
+    /* Updates follow movement, removed ones are gone */
+    fruits[0].position = [5.2, 1, 5];
+    registry.update(fruits[0]);
+    assert.equal(registry.query([4.5, 0.5, 4.5], [5.5, 1.5, 5.5]).length, 2);
+    registry.remove(fruits[0]);
+    registry.update(fruits[0]);
+    assert.ok(!registry.has(fruits[0]));
+    assert.equal(registry.size, 399);
+});
@@ -0,0 +1,54 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {SwipeBlade} from '../SWIPEBLADECOMPONENT.js';
+
+/* Canvas that keeps its listeners by event type */
+function stubCanvas() {
+    const listeners = new Map();
+    return {
+        listeners,
+        addEventListener(type, listener) {
+            if (!listeners.has(type)) listeners.set(type, new Set());
+            listeners.get(type).add(listener);
+        },
+        removeEventListener(type, listener) {
+            if (listeners.has(type)) listeners.get(type).delete(listener);
+        },
+        count() {
+            return [...listeners.values()].reduce((sum, set) => sum + set.size, 0);
+        },
+    };
+}
+
+/* A blade outside a running engine, the scene only gives it the engine */
+function swipeBlade(canvas, listen = true) {
+    const blade = new SwipeBlade({engine: {canvas}});
+    blade.init();
+    blade.listen = listen;
+    return blade;
+}
+
+test('activating listens to pointer events on the canvas until deactivated', () => {
+    const canvas = stubCanvas();
+    const blade = swipeBlade(canvas);
+
+    blade.onActivate();
+    assert.deepEqual([...canvas.listeners.keys()], ['pointerdown', 'pointermove', 'pointerup', 'pointercancel']);
+    assert.equal(canvas.count(), 4);
+
+    blade.pointerId = 1;
+    blade.isGrabbed = true;
+    blade.onDeactivate();
+    assert.equal(canvas.count(), 0);
+    assert.equal(blade.pointerId, null);
+    assert.equal(blade.isGrabbed, false);
+});
+
+test('blades driven by touch-swipe leave the canvas alone', () => {
+    const canvas = stubCanvas();
+    const blade = swipeBlade(canvas, false);
+    blade.onActivate();
+    assert.equal(canvas.count(), 0);
+    blade.onDeactivate();
+});
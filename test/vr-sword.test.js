@@ -0,0 +1,62 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {Emitter} from '@wonderlandengine/api';
+
+import {VRSword} from '../VRSWORDCOMPONENTNEW.js';
+
+/* A sword outside a running engine, recording the haptics it plays */
+function sword() {
+    const s = new VRSword({engine: {}});
+    s.init();
+    s.played = [];
+    s.playHaptics = (pattern) => s.played.push(pattern);
+    s.getPointVelocity = (point, out) => out.set([0, 0, -3]);
+    return s;
+}
+
+/* Fruit that takes the hit or ignores it, like a piece just cut off */
+function fruit(takesHit) {
+    return {pointValue: 10, hardness: 0.3, isBomb: false, onHit: () => takesHit};
+}
+
+const hit = {point: [0, 1, 0], bladeDirection: [0, 0, -1]};
+
+test('hits a fruit takes are scored and felt', () => {
+    const s = sword();
+    const notified = [];
+    s.onFruitHit.add((f) => notified.push(f));
+
+    const f = fruit(true);
+    assert.equal(s.hitFruit(f, hit), true);
+    assert.deepEqual(notified, [f]);
+    assert.deepEqual(s.played, ['slice']);
+    assert.equal(s.stats.hits, 1);
+    assert.equal(s.stats.points, 10);
+    assert.equal(s.stats.fastestHit, 3);
+});
+
+test('hits a fruit ignores leave no trace', () => {
+    const s = sword();
+    let notified = 0;
+    s.onFruitHit.add(() => notified++);
+
+    assert.equal(s.hitFruit(fruit(false), hit), false);
+    assert.equal(notified, 0);
+    assert.deepEqual(s.played, []);
+    assert.deepEqual([s.stats.hits, s.stats.points, s.stats.fastestHit], [0, 0, 0]);
+});
+
+test('destroyed swords stop listening to their grabbable', () => {
+    const grabbable = {onGrab: new Emitter(), onRelease: new Emitter(), isDestroyed: false};
+    const s = sword();
+    Object.defineProperty(s, 'object', {value: {getComponent: (type) => (type === 'grabbable' ? grabbable : null)}});
+    s.handTracking = 0;
+
+    s.start();
+    assert.equal(grabbable.onGrab.listenerCount, 1);
+    assert.equal(grabbable.onRelease.listenerCount, 1);
+
+    s.onDestroy();
+    assert.equal(grabbable.onGrab.listenerCount, 0);
+    assert.equal(grabbable.onRelease.listenerCount, 0);
+});
@@ -0,0 +1,73 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    WEAPONS,
+    WEAPON_STORAGE_KEY,
+    defineWeapon,
+    loadWeaponId,
+    requiredCutSpeed,
+    saveWeaponId,
+    weightHapticScale,
+} from '../js/weapons.js';
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+    };
+}
+
+test('definitions get defaults for what they leave out', () => {
+    const weapon = defineWeapon({id: 'stick', blade: {length: 0.5}, trail: {lifetime: 0.1}});
+    assert.equal(weapon.name, 'stick');
+    assert.equal(weapon.blade.length, 0.5);
+    assert.equal(weapon.blade.axis, '-z');
+    assert.equal(weapon.trail.lifetime, 0.1);
+    assert.equal(weapon.trail.minWidth, 0.25);
+    assert.equal(weapon.sharpness, 1);
+
+    /* The built-in weapons are valid and unique */
+    assert.equal(new Set(WEAPONS.map((w) => w.id)).size, WEAPONS.length);
+});
+
+test('invalid definitions are rejected', () => {
+    assert.throws(() => defineWeapon({}), /needs an id/);
+    assert.throws(() => defineWeapon({id: 'a', blade: {axis: 'w'}}), /blade axis/);
+    assert.throws(() => defineWeapon({id: 'a', blade: {length: 0}}), /blade length/);
+    assert.throws(() => defineWeapon({id: 'a', weight: -1}), /weight/);
+    assert.throws(() => defineWeapon({id: 'a', sharpness: 2}), /sharpness/);
+});
+
+test('the selected weapon persists, unknown ones are ignored', () => {
+    const storage = memoryStorage();
+    assert.equal(loadWeaponId(WEAPONS, storage), null);
+    assert.ok(saveWeaponId('cardboard-sword', storage));
+    assert.equal(loadWeaponId(WEAPONS, storage), 'cardboard-sword');
+
+    storage.setItem(WEAPON_STORAGE_KEY, 'removed-sword');
+    assert.equal(loadWeaponId(WEAPONS, storage), null);
+
+    /* Disabled storage throws, the choice is just not kept */
+    const broken = {
+        getItem() {
+            throw new Error('SecurityError');
+        },
+        setItem() {
+            throw new Error('QuotaExceededError');
+        },
+    };
+    assert.equal(loadWeaponId(WEAPONS, broken), null);
+    assert.equal(saveWeaponId('fake-sword', broken), false);
+    assert.equal(saveWeaponId('fake-sword', null), false);
+});
+
+test('blunt blades need faster swings through harder fruit', () => {
+    assert.equal(requiredCutSpeed(1, 1), 0);
+    assert.equal(requiredCutSpeed(0, 0), 0);
+    assert.ok(requiredCutSpeed(1, 0.3) > requiredCutSpeed(0.3, 0.3));
+    assert.ok(requiredCutSpeed(0.5, 0.2) > requiredCutSpeed(0.5, 0.9));
+    assert.equal(weightHapticScale(0), 0.4);
+    assert.equal(weightHapticScale(5), 1);
+});